@@ -1,13 +1,51 @@
 module.exports = function(grunt) {
 
+	/**
+	 * Gets the leading doc comment and the factory function of UMD script.
+	 * @param {String} file
+	 * @return {Object}
+	 */
+	function readFactory(file){
+		var source = grunt.file.read(file),
+			start = source.indexOf(', function(', source.indexOf('\n})(')),
+			end = source.lastIndexOf('});');
+
+		if( -1 === start || -1 === end )
+			grunt.fail.warn('No UMD factory found in ' + file);
+
+		return {
+			banner: source.slice(0, source.indexOf('*/') + 2),
+			factory: source.slice(start + 2, end + 1)
+		};
+	}
+
+	// Root of the factories in modules, the modules can be loaded where window is missing.
+	var moduleRoot = 'var root = \'undefined\' !== typeof window ? window : {};\n\n';
+
+	// Dependencies of the framework bindings by factory argument and their exports.
+	var bindings = {
+		react: {imports: {React: 'react'}, exports: ['useStickySidebar', 'StickySidebar']},
+		vue: {imports: {Vue: 'vue'}, exports: ['vStickySidebar', 'useStickySidebar', 'StickySidebar', 'install']},
+		svelte: {imports: {}, exports: ['stickySidebar']}
+	};
+
 	grunt.initConfig({
 		jshint: {
-			files: ['Gruntfile.js', './sticky-sidebar.js'],
 			options: {
 				globals: {
 					jQuery: true
 				},
 				reporterOutput: ""
+			},
+			src: ['Gruntfile.js', './sticky-sidebar.js', './sticky-sidebar.cjs', './sticky-sidebar-debug.js', 'bindings/*.js'],
+			test: {
+				options: {
+					node: true,
+					mocha: true
+				},
+				files: {
+					src: ['test/**/*.js']
+				}
 			}
 		},
 		uglify: {
@@ -18,14 +56,63 @@ module.exports = function(grunt) {
 			},
 		},
 		watch: {
-			files: ['<%= jshint.files %>'],
-			tasks: ['jshint', 'uglify']
+			files: ['<%= jshint.src %>'],
+			tasks: ['jshint', 'uglify', 'modules']
 		}
 	});
 
+	// ES modules are built from factories of the UMD scripts. `sticky-sidebar.core.mjs` has no
+	// side effects, `sticky-sidebar.mjs` imports it and calls `StickySidebar.autoInit()`.
+	grunt.registerTask('esm', 'Build ES modules of sticky sidebar.', function(){
+		var core = readFactory('sticky-sidebar.js'),
+			debug = readFactory('sticky-sidebar-debug.js');
+
+		grunt.file.write('sticky-sidebar.core.mjs', core.banner + '\n' + moduleRoot +
+			'var StickySidebar = (' + core.factory + ')(root, root.jQuery);\n\n' +
+			'export default StickySidebar;\nexport { StickySidebar };\n');
+
+		grunt.file.write('sticky-sidebar-debug.mjs', debug.banner + '\n' +
+			'import StickySidebar from \'./sticky-sidebar.core.mjs\';\n\n' + moduleRoot +
+			'var Debug = (' + debug.factory + ')(root, StickySidebar);\n\n' +
+			'export default Debug;\n');
+
+		// Bindings import the core, so they share the constructor with the main module.
+		Object.keys(bindings).forEach(function(name){
+			var binding = readFactory('bindings/' + name + '.js'),
+				imports = bindings[name].imports,
+				args = ['StickySidebarCore'].concat(Object.keys(imports));
+
+			grunt.file.write('bindings/' + name + '.mjs', binding.banner + '\n' +
+				'import StickySidebarCore from \'../sticky-sidebar.core.mjs\';\n' +
+				Object.keys(imports).map(function(arg){
+					return 'import * as ' + arg + ' from \'' + imports[arg] + '\';\n';
+				}).join('') + '\n' +
+				'var bindings = (' + binding.factory + ')(' + args.join(', ') + ');\n\n' +
+				bindings[name].exports.map(function(key){
+					return 'export var ' + key + ' = bindings.' + key + ';\n';
+				}).join('') +
+				'export default bindings;\n');
+		});
+
+		grunt.log.ok('ES modules built.');
+	});
+
+	// CommonJS core has no side effects like the ES module one, `sticky-sidebar.cjs` requires it
+	// and calls `StickySidebar.autoInit()`. The debug overlay and the bindings require it too.
+	grunt.registerTask('cjs', 'Build CommonJS core of sticky sidebar.', function(){
+		var core = readFactory('sticky-sidebar.js');
+
+		grunt.file.write('sticky-sidebar.core.cjs', core.banner + '\n' + moduleRoot +
+			'module.exports = (' + core.factory + ')(root, root.jQuery);\n');
+
+		grunt.log.ok('CommonJS core built.');
+	});
+
+	grunt.registerTask('modules', ['esm', 'cjs']);
+
 	grunt.loadNpmTasks('grunt-contrib-jshint');
 	grunt.loadNpmTasks('grunt-contrib-uglify');
 	grunt.loadNpmTasks('grunt-contrib-watch');
 
-	grunt.registerTask('default', ['jshint', 'uglify']);
+	grunt.registerTask('default', ['jshint', 'uglify', 'modules']);
 };
\ No newline at end of file
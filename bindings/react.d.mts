@@ -0,0 +1,13 @@
+/**
+ * Type declarations of Sticky Sidebar React bindings ES module, `sticky-sidebar/bindings/react`
+ * imported by `import`. Types are declared in `react.d.ts`.
+ */
+import StickySidebarReact = require('./react.js');
+
+export declare const useStickySidebar: typeof StickySidebarReact.useStickySidebar;
+export declare const StickySidebar: typeof StickySidebarReact.StickySidebar;
+
+export type StickySidebarHook<T extends HTMLElement = HTMLElement> = StickySidebarReact.StickySidebarHook<T>;
+export type StickySidebarProps = StickySidebarReact.StickySidebarProps;
+
+export default StickySidebarReact;
@@ -0,0 +1,49 @@
+/**
+ * Type declarations of Sticky Sidebar React bindings, `sticky-sidebar/bindings/react`
+ * module. `react.d.mts` re-exports them for ES modules.
+ */
+import type { DependencyList, ElementType, FunctionComponent, MutableRefObject, ReactNode, RefObject } from 'react';
+import StickySidebarCore = require('../sticky-sidebar');
+
+export = StickySidebarReact;
+
+declare namespace StickySidebarReact {
+    /** Result of `useStickySidebar()` hook. */
+    interface StickySidebarHook<T extends HTMLElement = HTMLElement> {
+        /** Ref of the sidebar element. */
+        ref: RefObject<T>;
+
+        /** Current affix type of the sidebar. */
+        affixType: StickySidebarCore.AffixType;
+
+        /** Sticky sidebar instance while the component is mounted. */
+        instance: MutableRefObject<StickySidebarCore | null>;
+    }
+
+    interface StickySidebarProps {
+        /** Options of sticky sidebar. */
+        options?: StickySidebarCore.Options;
+
+        /** Values that the layout of the sidebar depends on, it's updated when they change. */
+        deps?: DependencyList;
+
+        /** Element type of the sidebar, `div` by default. */
+        as?: ElementType;
+
+        className?: string;
+
+        /** Content of the inner wrapper, or function of the affix type that renders it. */
+        children?: ReactNode | ((affixType: StickySidebarCore.AffixType) => ReactNode);
+    }
+
+    /**
+     * Hook that makes the element of the returned ref sticky while the component is mounted.
+     * @param options - Options of sticky sidebar, compared deeply between renders.
+     * @param deps - Values that the layout of the sidebar depends on, it's updated when they change.
+     */
+    function useStickySidebar<T extends HTMLElement = HTMLElement>(options?: StickySidebarCore.Options,
+        deps?: DependencyList): StickySidebarHook<T>;
+
+    /** Component that renders the sidebar element and its inner wrapper. */
+    const StickySidebar: FunctionComponent<StickySidebarProps>;
+}
@@ -0,0 +1,93 @@
+/**
+ * Sticky Sidebar React bindings.
+ *
+ *  var sticky = useStickySidebar({topSpacing: 20}, [items.length]);
+ *  <div ref={sticky.ref}><div className="inner-wrapper-sticky">...</div></div>
+ *
+ *  <StickySidebar options={{topSpacing: 20}}>{(affixType) => ...}</StickySidebar>
+ */
+;(function(root, factory){
+    if( 'function' === typeof define && define.amd ){
+        define(['sticky-sidebar', 'react'], factory);
+
+    } else if( 'object' === typeof module && module.exports ){
+        module.exports = factory(require('../sticky-sidebar.core.cjs'), require('react'));
+
+    } else {
+        root.StickySidebarReact = factory(root.StickySidebar, root.React);
+    }
+})(this || window, function(StickySidebar, React){
+    "use strict";
+
+    /**
+     * Hook that makes the element of the returned ref sticky while the component is mounted.
+     * Options are applied when they change, compared deeply so inline objects aren't applied
+     * on every render. Size changes of the content are followed by the resize sensor, the
+     * sidebar is updated when other inputs of the layout given in `deps` change. The element
+     * should render the inner wrapper itself, sticky sidebar doesn't move children owned by React.
+     * @param {Object} options - Options of sticky sidebar.
+     * @param {Array} deps - Values that the layout of the sidebar depends on.
+     * @return {Object} - `ref` of the sidebar element, `affixType` and `instance`.
+     */
+    function useStickySidebar(options, deps){
+        var ref = React.useRef(null),
+            instance = React.useRef(null),
+            appliedOptions = React.useRef(options),
+            isUpdate = React.useRef(false);
+
+        var state = React.useState('STATIC'),
+            affixType = state[0],
+            setAffixType = state[1];
+
+        React.useEffect(function(){
+            instance.current = new StickySidebar(ref.current, appliedOptions.current || {});
+            setAffixType(instance.current.affixedType);
+
+            var unlisten = StickySidebar.onAffixed(ref.current, function(event){
+                setAffixType(event.detail.type);
+            });
+
+            return function(){
+                unlisten();
+                instance.current.destroy();
+                instance.current = null;
+            };
+        }, []);
+
+        // Runs after every render, the mount effect above runs first.
+        React.useEffect(function(){
+            if( ! instance.current || StickySidebar.isSameOptions(options, appliedOptions.current) ) return;
+
+            appliedOptions.current = options;
+            instance.current = StickySidebar.applyOptions(instance.current, options);
+        });
+
+        // The sidebar is measured when it's created, so the first run is skipped.
+        React.useEffect(function(){
+            if( isUpdate.current && instance.current ) instance.current.updateSticky();
+            isUpdate.current = true;
+        }, deps || []);
+
+        return {ref: ref, affixType: affixType, instance: instance};
+    }
+
+    /**
+     * Component that renders the sidebar element and its inner wrapper. Children may be
+     * a function that receives the affix type.
+     * @param {Object} props - `options`, `deps` of the layout, `as` element type, `className` and `children`.
+     */
+    function StickySidebarComponent(props){
+        var sticky = useStickySidebar(props.options, props.deps);
+        var children = 'function' === typeof props.children ? props.children(sticky.affixType) : props.children;
+
+        return React.createElement(props.as || 'div', {ref: sticky.ref, className: props.className},
+            React.createElement('div', {className: 'inner-wrapper-sticky'}, children));
+    }
+
+    StickySidebarComponent.displayName = 'StickySidebar';
+
+    return {
+        useStickySidebar: useStickySidebar,
+        StickySidebar: StickySidebarComponent
+    };
+});
@@ -0,0 +1,11 @@
+/**
+ * Type declarations of Sticky Sidebar Svelte action ES module, `sticky-sidebar/bindings/svelte`
+ * imported by `import`. Types are declared in `svelte.d.ts`.
+ */
+import StickySidebarSvelte = require('./svelte.js');
+
+export declare const stickySidebar: typeof StickySidebarSvelte.stickySidebar;
+
+export type StickySidebarAction = StickySidebarSvelte.StickySidebarAction;
+
+export default StickySidebarSvelte;
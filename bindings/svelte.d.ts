@@ -0,0 +1,21 @@
+/**
+ * Type declarations of Sticky Sidebar Svelte action, `sticky-sidebar/bindings/svelte`
+ * module. `svelte.d.mts` re-exports them for ES modules.
+ */
+import StickySidebarCore = require('../sticky-sidebar');
+
+export = StickySidebarSvelte;
+
+declare namespace StickySidebarSvelte {
+    /** Object returned by the action. */
+    interface StickySidebarAction {
+        /** Apply new options, the sidebar is re-created when an option of `STATIC_OPTIONS` is changed. */
+        update(options?: StickySidebarCore.Options): void;
+
+        /** Destroy the sticky sidebar of the node. */
+        destroy(): void;
+    }
+
+    /** Make the node sticky while it's mounted, dispatches `sticky-affixed` event. */
+    function stickySidebar(node: HTMLElement, options?: StickySidebarCore.Options): StickySidebarAction;
+}
@@ -0,0 +1,53 @@
+/**
+ * Sticky Sidebar Svelte action.
+ *
+ *  <div use:stickySidebar={{topSpacing: 20}} on:sticky-affixed={(event) => affixType = event.detail.type}>
+ *      <div class="inner-wrapper-sticky">...</div>
+ *  </div>
+ */
+import StickySidebarCore from '../sticky-sidebar.core.mjs';
+
+var bindings = (function(StickySidebar){
+    "use strict";
+
+    /**
+     * Make the node sticky while it's mounted. The node should render the inner wrapper
+     * itself, sticky sidebar doesn't move children owned by Svelte. Dispatches `sticky-affixed`
+     * event with the detail of sticky sidebar `affixed` events when affix type is changed, and updates the sidebar when
+     * content of the node is changed. The instance is kept in `node.stickySidebar`.
+     * @param {HTMLElement} node - Sidebar element.
+     * @param {Object} options - Options of sticky sidebar.
+     * @return {Object} - Action with `update` and `destroy`.
+     */
+    function stickySidebar(node, options){
+        var observer;
+
+        node.stickySidebar = new StickySidebar(node, options || {});
+
+        var removeListener = StickySidebar.onAffixed(node, function(event){
+            node.dispatchEvent(StickySidebar.createEvent('sticky-affixed', event.detail));
+        });
+
+        if( 'function' === typeof MutationObserver ){
+            observer = new MutationObserver(function(){ node.stickySidebar.updateSticky(); });
+            observer.observe(node, {childList: true, subtree: true, characterData: true});
+        }
+
+        return {
+            update: function(options){
+                node.stickySidebar = StickySidebar.applyOptions(node.stickySidebar, options);
+            },
+
+            destroy: function(){
+                if( observer ) observer.disconnect();
+                removeListener();
+                node.stickySidebar.destroy();
+            }
+        };
+    }
+
+    return {stickySidebar: stickySidebar};
+})(StickySidebarCore);
+
+export var stickySidebar = bindings.stickySidebar;
+export default bindings;
@@ -0,0 +1,16 @@
+/**
+ * Type declarations of Sticky Sidebar Vue 3 bindings ES module, `sticky-sidebar/bindings/vue`
+ * imported by `import`. Types are declared in `vue.d.ts`.
+ */
+import StickySidebarVue = require('./vue.js');
+
+export declare const vStickySidebar: typeof StickySidebarVue.vStickySidebar;
+export declare const useStickySidebar: typeof StickySidebarVue.useStickySidebar;
+export declare const StickySidebar: typeof StickySidebarVue.StickySidebar;
+export declare const install: typeof StickySidebarVue.install;
+
+export type StickySidebarElement = StickySidebarVue.StickySidebarElement;
+export type StickySidebarComposable = StickySidebarVue.StickySidebarComposable;
+export type StickySidebarProps = StickySidebarVue.StickySidebarProps;
+
+export default StickySidebarVue;
@@ -0,0 +1,45 @@
+/**
+ * Type declarations of Sticky Sidebar Vue 3 bindings, `sticky-sidebar/bindings/vue`
+ * module. `vue.d.mts` re-exports them for ES modules.
+ */
+import type { App, Component, ObjectDirective, Ref, ShallowRef } from 'vue';
+import StickySidebarCore = require('../sticky-sidebar');
+
+export = StickySidebarVue;
+
+declare namespace StickySidebarVue {
+    /** Element of `v-sticky-sidebar` directive, it keeps the instance. */
+    interface StickySidebarElement extends HTMLElement {
+        stickySidebar: StickySidebarCore;
+    }
+
+    /** Result of `useStickySidebar()` composable. */
+    interface StickySidebarComposable {
+        /** Current affix type of the sidebar. */
+        affixType: Ref<StickySidebarCore.AffixType>;
+
+        /** Sticky sidebar instance while the component is mounted. */
+        instance: ShallowRef<StickySidebarCore | null>;
+    }
+
+    interface StickySidebarProps {
+        /** Options of sticky sidebar. */
+        options?: StickySidebarCore.Options;
+
+        /** Tag of the sidebar element, `div` by default. */
+        tag?: string;
+    }
+
+    /** Directive that makes the element sticky while it's mounted, dispatches `sticky-affixed` event. */
+    const vStickySidebar: ObjectDirective<StickySidebarElement, StickySidebarCore.Options | undefined>;
+
+    /** Composable that makes the element of the given template ref sticky while the component is mounted. */
+    function useStickySidebar(target: Ref<HTMLElement | null>,
+        options?: StickySidebarCore.Options | Ref<StickySidebarCore.Options>): StickySidebarComposable;
+
+    /** Component that renders the sidebar element and its inner wrapper, the default slot receives `affixType`. */
+    const StickySidebar: Component<StickySidebarProps>;
+
+    /** Registers the directive and the component with `app.use()`. */
+    function install(app: App): void;
+}
@@ -0,0 +1,134 @@
+/**
+ * Sticky Sidebar Vue 3 bindings.
+ *
+ *  <div v-sticky-sidebar="{topSpacing: 20}" @sticky-affixed="affixType = $event.detail.type">
+ *      <div class="inner-wrapper-sticky">...</div>
+ *  </div>
+ *
+ *  <StickySidebar :options="{topSpacing: 20}" v-slot="{affixType}">...</StickySidebar>
+ */
+import StickySidebarCore from '../sticky-sidebar.core.mjs';
+import * as Vue from 'vue';
+
+var bindings = (function(StickySidebar, Vue){
+    "use strict";
+
+    /**
+     * Directive that makes the element sticky while it's mounted. The element should render
+     * the inner wrapper itself, sticky sidebar doesn't move children owned by Vue. Dispatches
+     * `sticky-affixed` event with the detail of sticky sidebar `affixed` events.
+     */
+    var vStickySidebar = {
+        mounted: function(element, binding){
+            element.stickySidebar = new StickySidebar(element, binding.value || {});
+            element._stickySidebarUnlisten = StickySidebar.onAffixed(element, function(event){
+                element.dispatchEvent(StickySidebar.createEvent('sticky-affixed', event.detail));
+            });
+        },
+
+        // Content of the component is changed, or the options are.
+        updated: function(element, binding){
+            if( ! StickySidebar.isSameOptions(binding.value, binding.oldValue) )
+                element.stickySidebar = StickySidebar.applyOptions(element.stickySidebar, binding.value);
+            else
+                element.stickySidebar.updateSticky();
+        },
+
+        unmounted: function(element){
+            element._stickySidebarUnlisten();
+            element.stickySidebar.destroy();
+            delete element._stickySidebarUnlisten;
+        }
+    };
+
+    /**
+     * Composable that makes the element of the given template ref sticky while the
+     * component is mounted, and updates the sidebar after the component is updated.
+     * @param {Ref<HTMLElement>} target - Template ref of the sidebar element.
+     * @param {Object|Ref<Object>} options - Options of sticky sidebar, may be reactive.
+     * @return {Object} - `affixType` ref and `instance` shallow ref.
+     */
+    function useStickySidebar(target, options){
+        var affixType = Vue.ref('STATIC'),
+            instance = Vue.shallowRef(null),
+            unlisten;
+
+        Vue.onMounted(function(){
+            instance.value = new StickySidebar(target.value, Vue.unref(options) || {});
+            affixType.value = instance.value.affixedType;
+
+            unlisten = StickySidebar.onAffixed(target.value, function(event){
+                affixType.value = event.detail.type;
+            });
+        });
+
+        Vue.onUpdated(function(){
+            if( instance.value ) instance.value.updateSticky();
+        });
+
+        Vue.watch(function(){ return Vue.unref(options); }, function(newOptions){
+            if( instance.value ) instance.value = StickySidebar.applyOptions(instance.value, newOptions);
+        }, {deep: true});
+
+        Vue.onBeforeUnmount(function(){
+            if( ! instance.value ) return;
+            unlisten();
+            instance.value.destroy();
+            instance.value = null;
+        });
+
+        return {affixType: affixType, instance: instance};
+    }
+
+    /**
+     * Component that renders the sidebar element and its inner wrapper, the default
+     * slot receives `affixType`.
+     */
+    var StickySidebarComponent = {
+        name: 'StickySidebar',
+
+        props: {
+            options: {type: Object, default: function(){ return {}; }},
+            tag: {type: String, default: 'div'}
+        },
+
+        emits: ['affixed'],
+
+        setup: function(props, context){
+            var element = Vue.ref(null);
+            var sticky = useStickySidebar(element, Vue.toRef(props, 'options'));
+
+            Vue.watch(sticky.affixType, function(type){
+                context.emit('affixed', type);
+            });
+
+            context.expose({instance: sticky.instance});
+
+            return function(){
+                var slot = context.slots.default;
+
+                return Vue.h(props.tag, {ref: element}, [
+                    Vue.h('div', {'class': 'inner-wrapper-sticky'}, slot ? slot({affixType: sticky.affixType.value}) : [])
+                ]);
+            };
+        }
+    };
+
+    return {
+        vStickySidebar: vStickySidebar,
+        useStickySidebar: useStickySidebar,
+        StickySidebar: StickySidebarComponent,
+
+        // Registers the directive and the component with `app.use()`.
+        install: function(app){
+            app.directive('sticky-sidebar', vStickySidebar);
+            app.component('StickySidebar', StickySidebarComponent);
+        }
+    };
+})(StickySidebarCore, Vue);
+
+export var vStickySidebar = bindings.vStickySidebar;
+export var useStickySidebar = bindings.useStickySidebar;
+export var StickySidebar = bindings.StickySidebar;
+export var install = bindings.install;
+export default bindings;
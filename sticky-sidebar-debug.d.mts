@@ -0,0 +1,9 @@
+/**
+ * Type declarations of Sticky Sidebar debug overlay ES module, `sticky-sidebar/debug`
+ * imported by `import`.
+ */
+import StickySidebar from './sticky-sidebar.mjs';
+
+declare const Debug: StickySidebar.DebugConstructor;
+
+export default Debug;
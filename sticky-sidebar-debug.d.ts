@@ -0,0 +1,8 @@
+/**
+ * Type declarations of Sticky Sidebar debug overlay, `sticky-sidebar/debug` module.
+ */
+import StickySidebar = require('./sticky-sidebar');
+
+declare const Debug: StickySidebar.DebugConstructor;
+
+export = Debug;
@@ -0,0 +1,259 @@
+/**
+ * Sticky Sidebar debug overlay and state inspector, load it after sticky sidebar and enable
+ * it by `debug: true` option. Leave this file out of production builds, sticky sidebar works
+ * without it.
+ */
+import StickySidebar from './sticky-sidebar.core.mjs';
+
+var root = 'undefined' !== typeof window ? window : {};
+
+var Debug = (function(window, StickySidebar){
+    "use strict";
+
+    var document = window.document;
+
+    if( ! StickySidebar )
+        throw new Error('Sticky sidebar debug overlay needs sticky-sidebar.js loaded first.');
+
+    /**
+     * Colors of the overlay parts.
+     * @type {Object}
+     */
+    var COLORS = {
+        placeholder: '#2e7d32',
+        sidebar: '#f57c00',
+        container: '#1e88e5',
+        collider: '#d81b60'
+    };
+
+    /**
+     * Maximum number of affix transitions kept in the log.
+     * @type {Numeric}
+     */
+    var LOG_SIZE = 100;
+
+    /**
+     * Debug overlay of sticky sidebar, draws the placeholder, sidebar bounds, collider lines
+     * and container bounds in a fixed layer above the page, redrawn whenever the sidebar is
+     * positioned. A floating panel shows the live dimensions, affix type and scroll direction,
+     * and every affix transition is logged to the console with the values that caused it.
+     * @constructor
+     * @param {StickySidebar} stickySidebar
+     */
+    function Debug(stickySidebar){
+        this.stickySidebar = stickySidebar;
+
+        // Scroll direction along the sidebar axis, `down` or `up`, kept while not scrolling.
+        this.direction = 'down';
+        this._viewportStart = null;
+
+        // Affix transitions, the latest last.
+        this.log = [];
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'sticky-sidebar-debug';
+
+        StickySidebar.css(this.overlay, {position: 'fixed', top: 0, left: 0, width: 0, height: 0,
+            zIndex: 2147483647, pointerEvents: 'none'});
+
+        this.parts = {
+            placeholder: this._createPart('placeholder', COLORS.placeholder),
+            sidebar: this._createPart('sidebar', COLORS.sidebar),
+            container: this._createPart('container', COLORS.container),
+            colliderTop: this._createPart('collider-top', COLORS.collider),
+            colliderBottom: this._createPart('collider-bottom', COLORS.collider)
+        };
+
+        this.panel = document.createElement('pre');
+        this.panel.className = 'sticky-sidebar-debug-panel';
+
+        StickySidebar.css(this.panel, {position: 'fixed', right: 10, bottom: 10, margin: 0, padding: '6px 8px',
+            maxHeight: '50vh', overflow: 'auto', font: '11px/15px monospace', color: '#fff',
+            background: 'rgba(0, 0, 0, .75)', pointerEvents: 'auto'});
+
+        this.overlay.appendChild(this.panel);
+        document.body.appendChild(this.overlay);
+
+        this._onAffixed = this._onAffixed.bind(this);
+        this._unlisten = StickySidebar.onAffixed(stickySidebar.sidebar, this._onAffixed);
+    }
+
+    /**
+     * Gets the values of the given dimensions that sticky sidebar decides its affix type by,
+     * along its axis, including collider lines at top and bottom spacing.
+     * @function
+     * @static
+     * @param {Object} dimensions - Dimensions of sticky sidebar.
+     * @param {String} axis
+     * @param {Boolean} rtl
+     * @return {Object}
+     */
+    Debug.getAffixValues = function(dimensions, axis, rtl){
+        var values = StickySidebar.getAxisDimensions(dimensions, axis, rtl);
+
+        values.colliderTop = values.viewportStart + values.topSpacing;
+        values.colliderBottom = values.viewportEnd - values.bottomSpacing;
+        return values;
+    };
+
+    Debug.prototype = {
+
+        /**
+         * Create labeled part of the overlay.
+         * @private
+         * @param {String} name - Part name, used in its class name and label.
+         * @param {String} color
+         * @return {HTMLElement}
+         */
+        _createPart: function(name, color){
+            var part = document.createElement('div'),
+                label = document.createElement('span');
+
+            part.className = 'sticky-sidebar-debug-' + name;
+            StickySidebar.css(part, {position: 'absolute', boxSizing: 'border-box', borderColor: color});
+
+            label.textContent = name;
+            StickySidebar.css(label, {position: 'absolute', top: 0, left: 0, padding: '0 3px',
+                font: '10px/14px monospace', color: '#fff', background: color, whiteSpace: 'nowrap'});
+
+            part.appendChild(label);
+            this.overlay.appendChild(part);
+            return part;
+        },
+
+        /**
+         * Place the part as box with the given screen coordinates.
+         * @private
+         */
+        _box: function(part, top, left, width, height){
+            StickySidebar.css(part, {top: top, left: left, width: width, height: height,
+                borderWidth: '1px', borderStyle: 'dashed'});
+        },
+
+        /**
+         * Place the part as horizontal line, or vertical line when `height` is given.
+         * @private
+         */
+        _line: function(part, top, left, width, height){
+            StickySidebar.css(part, {top: top, left: left, width: width || 0, height: height || 0,
+                borderWidth: 0, borderStyle: 'solid', borderTopWidth: width ? '1px' : 0, borderLeftWidth: width ? 0 : '1px'});
+        },
+
+        /**
+         * Detect scroll direction from the given viewport start along the sidebar axis.
+         * @private
+         * @param {Numeric} viewportStart
+         */
+        _updateDirection: function(viewportStart){
+            if( null !== this._viewportStart && viewportStart !== this._viewportStart )
+                this.direction = viewportStart < this._viewportStart ? 'up' : 'down';
+
+            this._viewportStart = viewportStart;
+        },
+
+        /**
+         * Log the affix transition with the values that caused it.
+         * @private
+         * @param {Object} event - Affixed event of sticky sidebar.
+         */
+        _onAffixed: function(event){
+            var stickySidebar = this.stickySidebar, detail = event.detail;
+            var values = Debug.getAffixValues(detail.dimensions, stickySidebar.options.axis, stickySidebar._rtl);
+
+            this._updateDirection(values.viewportStart);
+
+            var entry = {previousType: detail.previousType, type: detail.type, direction: this.direction, values: values};
+
+            this.log.push(entry);
+            if( this.log.length > LOG_SIZE ) this.log.shift();
+
+            if( window.console )
+                window.console.log('Sticky sidebar: '+ entry.previousType +' -> '+ entry.type +' scrolling '+ entry.direction, values);
+        },
+
+        /**
+         * Render the inspector panel text.
+         * @private
+         * @return {String}
+         */
+        _renderPanel: function(){
+            var stickySidebar = this.stickySidebar, dimensions = stickySidebar.dimensions;
+            var values = Debug.getAffixValues(dimensions, stickySidebar.options.axis, stickySidebar._rtl);
+            var rows = [
+                ['affixedType', stickySidebar.affixedType],
+                ['direction', this.direction],
+                ['colliderTop', values.colliderTop],
+                ['colliderBottom', values.colliderBottom]
+            ];
+
+            Object.keys(dimensions).forEach(function(key){
+                rows.push([key, dimensions[key]]);
+            });
+
+            return rows.map(function(row){
+                var value = 'number' === typeof row[1] ? Math.round(row[1] * 100) / 100 : row[1];
+                return row[0] + new Array(Math.max(1, 20 - row[0].length)).join(' ') + ' ' + value;
+            }).join('\n');
+        },
+
+        /**
+         * Redraw the overlay and the panel from the current dimensions of sticky sidebar.
+         * @public
+         */
+        update: function(){
+            var stickySidebar = this.stickySidebar, dimensions = stickySidebar.dimensions, parts = this.parts;
+
+            // Nothing is positioned while the sidebar is disabled by breakpoint.
+            this.overlay.style.display = stickySidebar._breakpoint ? 'none' : '';
+            if( stickySidebar._breakpoint ) return;
+
+            // Native sticky doesn't calculate dimensions while scrolling.
+            if( stickySidebar._nativeSticky ) stickySidebar._calcDimensionsWithScroll();
+
+            this._updateDirection(Debug.getAffixValues(dimensions, stickySidebar.options.axis, stickySidebar._rtl).viewportStart);
+            this.panel.textContent = this._renderPanel();
+
+            // Dimensions are relative to the scrolled content, the overlay to the screen viewport.
+            var top = dimensions.viewportOffsetTop - dimensions.viewportTop,
+                left = dimensions.viewportOffsetLeft - dimensions.viewportLeft,
+                placeholder = stickySidebar.sidebar.getBoundingClientRect(),
+                inner = stickySidebar.sidebarInner.getBoundingClientRect();
+
+            this._box(parts.placeholder, placeholder.top, placeholder.left, placeholder.width, placeholder.height);
+            this._box(parts.sidebar, inner.top, inner.left, inner.width, inner.height);
+            this._box(parts.container, dimensions.containerTop + top, dimensions.containerLeft + left,
+                dimensions.containerWidth, dimensions.containerHeight);
+
+            if( 'y' === stickySidebar.options.axis ){
+                this._line(parts.colliderTop, dimensions.viewportOffsetTop + dimensions.topSpacing,
+                    dimensions.viewportOffsetLeft, dimensions.viewportWidth);
+                this._line(parts.colliderBottom, dimensions.viewportOffsetTop + dimensions.viewportHeight - dimensions.bottomSpacing,
+                    dimensions.viewportOffsetLeft, dimensions.viewportWidth);
+                return;
+            }
+
+            // Top spacing is at the left edge in horizontal axis, at the right edge in RTL.
+            var start = stickySidebar._rtl ? dimensions.viewportWidth - dimensions.topSpacing : dimensions.topSpacing,
+                end = stickySidebar._rtl ? dimensions.bottomSpacing : dimensions.viewportWidth - dimensions.bottomSpacing;
+
+            this._line(parts.colliderTop, dimensions.viewportOffsetTop, dimensions.viewportOffsetLeft + start, 0, dimensions.viewportHeight);
+            this._line(parts.colliderBottom, dimensions.viewportOffsetTop, dimensions.viewportOffsetLeft + end, 0, dimensions.viewportHeight);
+        },
+
+        /**
+         * Remove the overlay and stop logging.
+         * @public
+         */
+        destroy: function(){
+            this._unlisten();
+
+            if( this.overlay.parentNode ) this.overlay.parentNode.removeChild(this.overlay);
+        }
+    };
+
+    StickySidebar.Debug = Debug;
+
+    return Debug;
+})(root, StickySidebar);
+
+export default Debug;
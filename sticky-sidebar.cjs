@@ -0,0 +1,11 @@
+/**
+ * Sticky Sidebar JavaScript Plugin, CommonJS module.
+ *
+ * Same as `sticky-sidebar.js` loaded by script tag, defines `<sticky-sidebar>` element and
+ * initializes Data-API sidebars. Require `sticky-sidebar/core` to leave that to the page.
+ */
+var StickySidebar = require('./sticky-sidebar.core.cjs');
+
+StickySidebar.autoInit();
+
+module.exports = StickySidebar;
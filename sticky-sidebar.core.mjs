@@ -0,0 +1,3369 @@
+/**
+ * Sticky Sidebar JavaScript Plugin.
+ * @version 1.0.0
+ * @author Ahmed Bouhuolia <a.bouhuolia@gmail.com>
+ * @license The MIT License (MIT)
+ */
+var root = 'undefined' !== typeof window ? window : {};
+
+var StickySidebar = (function(window, $){
+
+    var document = window.document;
+
+    /**
+     * Sticky Sidebar.
+     * @public
+     * @constructor
+     * @param {HTMLElement|String|jQuery} sidebar - The sidebar element or selector.
+     * @param {Object} options - The options of sticky sidebar.
+     */
+    function StickySidebar(sidebar, options){
+        // Options set by the caller and including defaults.
+        this._options = StickySidebar.extend({}, StickySidebar.DEFAULTS, options);
+
+        // Current options, including options of matching responsive breakpoints.
+        this.options = {};
+        this._responsiveQueries = false;
+        this._mediaQueryLists = [];
+        this._updateResponsive();
+
+        // Sidebar wrapper and inner wrapper element.
+        this.sidebar = StickySidebar.getElement(sidebar);
+        this.sidebarInner = false;
+
+        if( ! this.sidebar )
+            throw new Error('There is no specific sidebar element.');
+
+        // Whether the sidebar is given as jQuery object, spacing functions receive
+        // jQuery object of the sidebar then as they did before.
+        this._jQuery = Boolean($ && sidebar && sidebar.jquery);
+
+        // Sidebar container element.
+        this.container = this._getContainer();
+
+        // The scrollable element that sidebar sticks inside its viewport.
+        this.scrollContainer = StickySidebar.getElement(this.options.scrollContainer) || window;
+
+        // Current Affix Type of sidebar element.
+        this.affixedType = 'STATIC';
+
+        this._initialized = false;
+        this._breakpoint = false;
+        this._nativeSticky = false;
+        this._resizeListeners = [];
+
+        // Writing direction of the sidebar and of the scrolled element.
+        this._rtl = false;
+        this._scrollRTL = false;
+
+        // Measured sizes of offset elements, cached until dimensions are re-calculated.
+        this._offsetElements = [];
+        this._offsetSizes = [];
+        this._offsetSpacing = {top: 0, bottom: 0};
+
+        // Scrollspy links with their sections sorted by position, and the active link.
+        this._spyItems = [];
+        this._spyScrollHeight = 0;
+        this._spyViewportHeight = 0;
+        this._activeLink = null;
+        this._activeClass = null;
+
+        // Running transition of the inner wrapper between positions of affix types.
+        this._transition = null;
+
+        // Debug overlay of `debug` option.
+        this._debug = null;
+
+        // Listeners bound to this instance, kept to be able to unbind them.
+        this._onScroll = this._onScroll.bind(this);
+        this._onResize = this._onResize.bind(this);
+        this._onMediaChange = this._onMediaChange.bind(this);
+        this.updateSticky = this.updateSticky.bind(this);
+        this.scrollActiveIntoView = this.scrollActiveIntoView.bind(this);
+        this._onSpyClick = this._onSpyClick.bind(this);
+        this._stepTransition = this._stepTransition.bind(this);
+        this._onPlaceholderResize = this._onPlaceholderResize.bind(this);
+
+        // Dimenstions of sidebar, container and screen viewport.
+        this.dimensions = {
+            translateY: 0,
+            translateX: 0,
+            topSpacing: 0,
+            bottomSpacing: 0,
+            sidebarHeight: 0,
+            sidebarWidth: 0,
+            containerTop: 0,
+            containerHeight: 0,
+            containerLeft: 0,
+            containerWidth: 0,
+            viewportHeight: 0,
+            viewportWidth: 0,
+            viewportTop: 0,
+            viewportLeft: 0,
+            lastViewportTop: 0,
+            lastViewportLeft: 0,
+            scrollDistance: 0,
+        };
+
+        // Initialize sticky sidebar for first time.
+        this.initialize();
+    }
+
+    /**
+     * Version of sticky sidebar plugin.
+     * @static
+     */
+    StickySidebar.VERSION = '1.0.0';
+
+    /**
+     * Events namespace of sticky sidebar plugin.
+     * @static
+     */
+    StickySidebar.EVENT_KEY = '.sticky';
+
+    /**
+     * Gets name of affix events for the given affix type, e.g. `VIEWPORT-TOP` type
+     * triggers `affix.top.sticky` and `affixed.top.sticky` events.
+     *
+     *  STATIC            -> static
+     *  VIEWPORT-TOP      -> top
+     *  VIEWPORT-BOTTOM   -> bottom
+     *  VIEWPORT-UNBOTTOM -> unbottom
+     *  CONTAINER-BOTTOM  -> container-bottom
+     *  CONTAINER-TOP     -> container-top
+     *  VIEWPORT-UNTOP    -> untop
+     *
+     * Horizontal axis and reveal mode types are named the same way, e.g. `left`,
+     * `container-right`, `hidden` and `revealed`.
+     * @function
+     * @static
+     * @param {String} affixType
+     * @return {String}
+     */
+    StickySidebar.getEventName = function(affixType){
+        return affixType.toLowerCase().replace('viewport-', '');
+    };
+
+    /**
+     * All affix types of sticky sidebar, including horizontal axis, RTL and reveal mode types.
+     * @static
+     */
+    StickySidebar.AFFIX_TYPES = ['STATIC', 'VIEWPORT-TOP', 'VIEWPORT-BOTTOM', 'VIEWPORT-UNBOTTOM', 'CONTAINER-BOTTOM',
+        'CONTAINER-TOP', 'VIEWPORT-UNTOP',
+        'VIEWPORT-LEFT', 'VIEWPORT-RIGHT', 'VIEWPORT-UNRIGHT', 'CONTAINER-RIGHT', 'VIEWPORT-UNLEFT', 'CONTAINER-LEFT',
+        'VIEWPORT-HIDDEN', 'VIEWPORT-REVEALED'];
+
+    /**
+     * Listen to `affixed` events of all affix types on the given sidebar element.
+     * @function
+     * @static
+     * @param {HTMLElement} element - Sidebar element.
+     * @param {Function} callback - Called with the event, its detail has the new `type`.
+     * @return {Function} - Removes the listeners.
+     */
+    StickySidebar.onAffixed = function(element, callback){
+        var eventNames = StickySidebar.AFFIX_TYPES.map(function(affixType){
+            return 'affixed.' + StickySidebar.getEventName(affixType) + StickySidebar.EVENT_KEY;
+        });
+
+        eventNames.forEach(function(eventName){
+            element.addEventListener(eventName, callback);
+        });
+
+        return function(){
+            eventNames.forEach(function(eventName){
+                element.removeEventListener(eventName, callback);
+            });
+        };
+    };
+
+    /**
+     * Default options for the sticky sidebar.
+     * @static
+     */
+    StickySidebar.DEFAULTS = {
+
+        /**
+         * Additional top spacing of the element when it becomes sticky, `auto` to measure
+         * fixed and sticky elements of the page, see `offsetElements` option.
+         * @type {Numeric|Function|String}
+         */
+        topSpacing: 0,
+
+        /**
+         * Additional bottom spacing of the element when it becomes sticky, `auto` to
+         * measure fixed and sticky elements of the page, see `offsetElements` option.
+         * @type {Numeric|Function|String}
+         */
+        bottomSpacing: 0,
+
+        /**
+         * Fixed or sticky elements like headers and cookie banners that the sidebar sticks
+         * clear of. Their sizes are added to top spacing when they stick to the top of the
+         * viewport and to bottom spacing when they stick to the bottom. When not defined
+         * and any spacing is `auto`, fixed and sticky children of the body are used.
+         * @type {String|HTMLElement[]|False}
+         */
+        offsetElements: false,
+
+        /**
+         * Container sidebar selector to know what the beginning and end of sticky element.
+         * @type {String|HTMLElement|False}
+         */
+        containerSelector: false,
+
+        /**
+         * Inner wrapper selector.
+         * @type {String}
+         */
+        innerWrapperSelector: '.inner-wrapper-sticky',
+
+        /**
+         * The name of CSS class to apply to elements when they have become stuck.
+         * @type {String}
+         */
+        stickyClass: 'is-affixed',
+
+        /**
+         * Detect when sidebar and its container change height so re-calculate their dimensions,
+         * also when the sidebar column changes width while the inner wrapper is fixed.
+         * @type {Boolean}
+         */
+        resizeSensor: true,
+
+        /**
+         * Use the legacy `<object>` resize sensor in browsers that don't support
+         * ResizeObserver, it sets `position: relative` on observed static elements.
+         * @type {Boolean}
+         */
+        resizeSensorFallback: false,
+
+        /**
+         * The sidebar returns to its normal position if its width below this value.
+         * @type {Numeric}
+         */
+        minWidth: false,
+
+        /**
+         * Enable the sticky behavior, mostly useful to disable it in responsive breakpoints.
+         * @type {Boolean}
+         */
+        enabled: true,
+
+        /**
+         * Options for responsive breakpoints, keys are media queries or numeric min-width
+         * in pixels and values are options merged in when the query matches. Options of
+         * all matching breakpoints are merged in order of keys. Options read only on
+         * initialize like `axis` and `scrollContainer` can't be changed by breakpoints.
+         * @example {0: {enabled: false}, 768: {topSpacing: 60}, 1200: {topSpacing: 100}}
+         * @type {Object|False}
+         */
+        responsive: false,
+
+        /**
+         * The scroll axis that sidebar sticks along, `y` for vertical scroll or `x` for
+         * horizontal scroll. In `x` axis top and bottom spacing are applied on the left
+         * and right edges of the viewport.
+         * @type {String}
+         */
+        axis: 'y',
+
+        /**
+         * The viewport edge that sidebar sticks to, `top` or `bottom`. Sidebar anchored at
+         * the bottom is pinned at bottom spacing while it fits the viewport and is held at
+         * its container edges, at the top edge by `CONTAINER-TOP` affix type. The taller one
+         * scrolls the same way in both, its free state is `VIEWPORT-UNTOP` at the bottom.
+         * @type {String}
+         */
+        anchor: 'top',
+
+        /**
+         * The scrollable element that holds the sidebar and its container, viewport and
+         * scroll offsets are computed relative to it. Window is used when not defined.
+         * @type {String|HTMLElement|False}
+         */
+        scrollContainer: false,
+
+        /**
+         * Name of stack group, sidebars of the same group stick below each other in
+         * document order instead of overlapping, and push each other out when their
+         * containers end.
+         * @type {String|False}
+         */
+        stackGroup: false,
+
+        /**
+         * Hide the stuck sidebar by sliding it out while scrolling down and reveal it
+         * when scrolling up, works along the vertical axis and with top anchor only.
+         * @type {Boolean}
+         */
+        reveal: false,
+
+        /**
+         * Scroll distance in pixels in one direction before the sidebar hides or reveals.
+         * @type {Numeric}
+         */
+        revealTolerance: 5,
+
+        /**
+         * Use CSS `position: sticky` when the browser supports it and the sidebar fits
+         * the viewport, affix events are dispatched by IntersectionObserver. The sidebar
+         * should be as tall as its container. Scroll engine is used otherwise.
+         * @type {Boolean}
+         */
+        nativeSticky: false,
+
+        /**
+         * How the sidebar taller than the viewport is scrolled, `page` scrolls it with the
+         * page and `scroll` pins the inner wrapper at top spacing with its own scrollbar,
+         * the latter works along the vertical axis only.
+         * @type {String}
+         */
+        overflowMode: 'page',
+
+        /**
+         * Selector of the active item which is kept scrolled into view inside the inner
+         * wrapper in `scroll` overflow mode.
+         * @type {String|False}
+         */
+        activeSelector: false,
+
+        /**
+         * Scrollspy, links to sections of the page inside the inner wrapper get active class
+         * while their section is at top spacing, and clicking them scrolls smoothly to the
+         * section. `true` uses all hash links, or give selector of the links.
+         * @type {Boolean|String}
+         */
+        scrollSpy: false,
+
+        /**
+         * The class name added to the link of the active section by scrollspy.
+         * @type {String}
+         */
+        scrollSpyClass: 'active',
+
+        /**
+         * Animate the inner wrapper from its previous position when the affix type changes
+         * instead of jumping, by transform only. Works along the vertical axis only, and
+         * is skipped when the user prefers reduced motion.
+         * @type {Boolean}
+         */
+        transition: false,
+
+        /**
+         * Duration of the transition in milliseconds.
+         * @type {Numeric}
+         */
+        transitionDuration: 250,
+
+        /**
+         * Easing of the transition, name of `StickySidebar.EASINGS` or function that maps
+         * progress from 0 to 1 to the eased progress.
+         * @type {String|Function}
+         */
+        transitionEasing: 'ease-out',
+
+        /**
+         * Draw debug overlay of the sidebar, its placeholder, collider lines and container
+         * bounds. Needs `sticky-sidebar-debug.js` loaded after sticky sidebar.
+         * @type {Boolean}
+         */
+        debug: false
+    };
+
+    /**
+     * Constructor of debug overlay, defined by `sticky-sidebar-debug.js`, so the overlay
+     * isn't part of production builds.
+     * @static
+     */
+    StickySidebar.Debug = null;
+
+    /**
+     * Options that can't be changed by `setOptions()` once sticky sidebar is initialized.
+     * @static
+     */
+    StickySidebar.STATIC_OPTIONS = ['axis', 'innerWrapperSelector', 'scrollContainer', 'resizeSensor', 'resizeSensorFallback', 'overflowMode'];
+
+    /**
+     * Gets dimensions of sidebar, container and viewport along the given axis by
+     * axis independent names, e.g. `containerStart` is `containerTop` in `y` axis.
+     * Right-to-left horizontal axis starts at the right edge, so its coordinates are
+     * mirrored to keep start before end.
+     * @function
+     * @static
+     * @param {Object} dimensions - Dimensions of sticky sidebar.
+     * @param {String} axis - `x` or `y`.
+     * @param {Boolean} rtl - Whether the sidebar is right-to-left.
+     * @return {Object}
+     */
+    StickySidebar.getAxisDimensions = function(dimensions, axis, rtl){
+        var keys = StickySidebar.AXES[axis], result = {};
+
+        for( var key in keys ) result[key] = dimensions[keys[key]];
+
+        if( 'x' === axis && rtl ){
+            result.containerStart = -dimensions.containerRight;
+            result.containerEnd = -dimensions.containerLeft;
+            result.viewportStart = -dimensions.viewportRight;
+            result.viewportEnd = -dimensions.viewportLeft;
+            result.lastViewportStart = -(dimensions.lastViewportLeft + dimensions.viewportWidth);
+        }
+
+        result.topSpacing = dimensions.topSpacing;
+        result.bottomSpacing = dimensions.bottomSpacing;
+        return result;
+    };
+
+    /**
+     * Rename affix type to the edges of the given axis, horizontal axis names its
+     * affix types after left and right edges, its start is the right edge in RTL.
+     * @function
+     * @static
+     * @param {String|False} affixType - Affix type named after top and bottom edges.
+     * @param {String} axis - `x` or `y`.
+     * @param {Boolean} rtl - Whether the sidebar is right-to-left.
+     * @return {String|False}
+     */
+    StickySidebar.toAxisAffixType = function(affixType, axis, rtl){
+        if( 'x' !== axis || ! affixType ) return affixType;
+
+        if( rtl ) return affixType.replace('TOP', 'RIGHT').replace('BOTTOM', 'LEFT');
+        return affixType.replace('TOP', 'LEFT').replace('BOTTOM', 'RIGHT');
+    };
+
+    /**
+     * Gets affix type of sidebar from plain dimensions along the scroll axis, holds all
+     * logical affix of the sidebar when scrolling up and down and when sidebar is bigger
+     * than viewport and vice versa. It doesn't read or change the DOM.
+     * @function
+     * @static
+     * @param {Object} dimensions - Axis dimensions, see `StickySidebar.getAxisDimensions()`.
+     * @param {Object} state - Current `affixedType`, `scrollDistance`, `anchor`, `reveal`, `revealTolerance`
+     *                         options and `overflowScroll` when the sidebar scrolls on its own.
+     * @return {Object} - New `affixType`, `translate` and `scrollDistance`.
+     */
+    StickySidebar.computeAffix = function(dimensions, state){
+        if( 'bottom' === state.anchor ) return StickySidebar.computeBottomAffix(dimensions, state);
+
+        var affixType = false, translate = dimensions.translate;
+        var scrollDistance = state.scrollDistance || 0;
+
+        var containerStart = dimensions.containerStart;
+        var containerEnd = dimensions.containerEnd;
+        var sidebarSize = dimensions.sidebarSize;
+        var viewportStart = dimensions.viewportStart;
+        var isSidebarFitsViewport = state.overflowScroll || sidebarSize < dimensions.viewportSize;
+
+        var sidebarEnd = sidebarSize + containerStart;
+        var colliderTop = viewportStart + dimensions.topSpacing;
+        var colliderBottom = dimensions.viewportEnd - dimensions.bottomSpacing;
+
+        // In reveal mode the sidebar between its container edges is hidden or revealed.
+        if( state.reveal && colliderTop > containerStart && sidebarSize + colliderTop < containerEnd ){
+            var reveal = StickySidebar.computeReveal(viewportStart - dimensions.lastViewportStart, state);
+
+            translate = colliderTop - containerStart;
+            affixType = reveal.affixType;
+            scrollDistance = reveal.scrollDistance;
+
+        // When browser is scrolling top.
+        } else if( viewportStart < dimensions.lastViewportStart ){
+            if( colliderTop <= containerStart ){
+                translate = 0;
+                affixType = 'STATIC';
+
+            } else if( colliderTop <= translate + containerStart ){
+                translate = colliderTop - containerStart;
+                affixType = 'VIEWPORT-TOP';
+
+            } else if( ! isSidebarFitsViewport && containerStart <= colliderTop ){
+                affixType = 'VIEWPORT-UNBOTTOM';
+            }
+        // When browser is scrolling up.
+        } else {
+            // When sidebar element is not bigger than screen viewport.
+            if( isSidebarFitsViewport ){
+
+                if( sidebarSize + colliderTop >= containerEnd ){
+                    translate = containerEnd - sidebarEnd;
+                    affixType = 'CONTAINER-BOTTOM';
+
+                } else if( colliderTop >= containerStart ){
+                    translate = colliderTop - containerStart;
+                    affixType = 'VIEWPORT-TOP';
+                }
+            // When sidebar element is bigger than screen viewport.
+            } else {
+
+                if( containerEnd <= colliderBottom ){
+                    translate = containerEnd - sidebarEnd;
+                    affixType = 'CONTAINER-BOTTOM';
+
+                } else if( sidebarEnd + translate <= colliderBottom ){
+                    translate = colliderBottom - sidebarEnd;
+                    affixType = 'VIEWPORT-BOTTOM';
+
+                } else if( containerStart + translate <= colliderTop ){
+                    affixType = 'VIEWPORT-UNBOTTOM';
+                }
+            }
+        }
+
+        return {affixType: affixType, translate: translate, scrollDistance: scrollDistance};
+    };
+
+    /**
+     * Gets affix type of sidebar anchored at the bottom, the mirror of top anchor. The sidebar
+     * that fits the viewport is pinned at bottom spacing wherever it's between its container
+     * edges, so it doesn't depend on scroll direction. The taller one is affixed the same way
+     * as top anchored, its states at the top edge are renamed.
+     * @function
+     * @static
+     * @param {Object} dimensions - Axis dimensions, see `StickySidebar.getAxisDimensions()`.
+     * @param {Object} state - The same as of `StickySidebar.computeAffix()`.
+     * @return {Object} - New `affixType`, `translate` and `scrollDistance`.
+     */
+    StickySidebar.computeBottomAffix = function(dimensions, state){
+        var containerStart = dimensions.containerStart;
+        var containerEnd = dimensions.containerEnd;
+        var sidebarSize = dimensions.sidebarSize;
+
+        if( ! state.overflowScroll && sidebarSize >= dimensions.viewportSize ){
+            var result = StickySidebar.computeAffix(dimensions, StickySidebar.extend({}, state, {anchor: 'top'}));
+
+            if( 'STATIC' === result.affixType ) result.affixType = 'CONTAINER-TOP';
+            else if( 'VIEWPORT-UNBOTTOM' === result.affixType ) result.affixType = 'VIEWPORT-UNTOP';
+            return result;
+        }
+
+        var sidebarEnd = sidebarSize + containerStart;
+        var colliderBottom = dimensions.viewportEnd - dimensions.bottomSpacing;
+        var affixType, translate;
+
+        if( containerEnd <= colliderBottom ){
+            translate = containerEnd - sidebarEnd;
+            affixType = 'CONTAINER-BOTTOM';
+
+        } else if( colliderBottom <= sidebarEnd ){
+            translate = 0;
+            affixType = 'CONTAINER-TOP';
+
+        } else {
+            translate = colliderBottom - sidebarEnd;
+            affixType = 'VIEWPORT-BOTTOM';
+        }
+
+        return {affixType: affixType, translate: translate, scrollDistance: state.scrollDistance || 0};
+    };
+
+    /**
+     * Gets affix type of sidebar in reveal mode, accumulates scroll distance in the
+     * current direction and switches the type once it exceeds the tolerance.
+     * @function
+     * @static
+     * @param {Numeric} delta - Scrolled distance since the last scroll event.
+     * @param {Object} state - Current `affixedType`, `scrollDistance` and `revealTolerance` option.
+     * @return {Object} - New `affixType` and `scrollDistance`.
+     */
+    StickySidebar.computeReveal = function(delta, state){
+        var scrollDistance = state.scrollDistance || 0, affixType;
+
+        // Restart counting when scroll direction changes.
+        if( (delta > 0) !== (scrollDistance > 0) ) scrollDistance = 0;
+
+        scrollDistance += delta;
+
+        if( scrollDistance > state.revealTolerance ) affixType = 'VIEWPORT-HIDDEN';
+        else if( scrollDistance < -state.revealTolerance ) affixType = 'VIEWPORT-REVEALED';
+        else if( 'VIEWPORT-HIDDEN' === state.affixedType ) affixType = state.affixedType;
+        else affixType = 'VIEWPORT-REVEALED';
+
+        return {affixType: affixType, scrollDistance: scrollDistance};
+    };
+
+    /**
+     * Registry of stack groups, holds sticky sidebars of every group in document order.
+     * @static
+     */
+    StickySidebar.stacks = {};
+
+    /**
+     * Add sticky sidebar to its stack group in the registry.
+     * @function
+     * @static
+     * @param {StickySidebar} stickySidebar
+     */
+    StickySidebar.addToStack = function(stickySidebar){
+        var group = stickySidebar.options.stackGroup;
+        var stack = StickySidebar.stacks[group] = StickySidebar.stacks[group] || [];
+
+        stack.push(stickySidebar);
+        stack.sort(function(a, b){
+            return (a.sidebar.compareDocumentPosition(b.sidebar) & 2) ? 1 : -1;
+        });
+    };
+
+    /**
+     * Remove sticky sidebar from its stack group in the registry.
+     * @function
+     * @static
+     * @param {StickySidebar} stickySidebar
+     * @param {String} group - Stack group, defaults to the current `stackGroup` option.
+     */
+    StickySidebar.removeFromStack = function(stickySidebar, group){
+        group = group || stickySidebar.options.stackGroup;
+        var stack = StickySidebar.stacks[group];
+
+        if( ! stack ) return;
+
+        var index = stack.indexOf(stickySidebar);
+        if( -1 !== index ) stack.splice(index, 1);
+
+        if( ! stack.length ) delete StickySidebar.stacks[group];
+    };
+
+    /**
+     * Dimensions keys that affix logic reads and writes along each scroll axis.
+     * @static
+     */
+    StickySidebar.AXES = {
+        y: {
+            translate: 'translateY',
+            containerStart: 'containerTop',
+            containerEnd: 'containerBottom',
+            sidebarSize: 'sidebarHeight',
+            viewportSize: 'viewportHeight',
+            viewportStart: 'viewportTop',
+            viewportEnd: 'viewportBottom',
+            lastViewportStart: 'lastViewportTop'
+        },
+        x: {
+            translate: 'translateX',
+            containerStart: 'containerLeft',
+            containerEnd: 'containerRight',
+            sidebarSize: 'sidebarWidth',
+            viewportSize: 'viewportWidth',
+            viewportStart: 'viewportLeft',
+            viewportEnd: 'viewportRight',
+            lastViewportStart: 'lastViewportLeft'
+        }
+    };
+
+    /**
+     * Detarmine if the browser is Internet Explorer.
+     * @function
+     * @static
+     */
+    StickySidebar.isIE = function(){
+        return Boolean(window.navigator.userAgent.match(/Trident/));
+    };
+
+    /**
+     * Detarmine if the browser supports CSS transfrom feature.
+     * @function
+     * @static
+     * @param {Boolean} transform3d - Detect transform with translate3d.
+     */
+    StickySidebar.supportTransform = function(transform3d){
+        var result = false,
+            property = (transform3d) ? 'perspective' : 'transform',
+            upper = property.charAt(0).toUpperCase() + property.slice(1),
+            prefixes = 'Webkit Moz O ms'.split(' '),
+            style = document.createElement('support').style;
+
+        (property + ' ' + prefixes.join(upper + ' ') + upper).split(' ').some(function(property){
+            if( style[property] !== undefined ){
+                result = property;
+                return true;
+            }
+        });
+        return result;
+    };
+
+    /**
+     * Detarmine if the browser supports CSS `position: sticky` and IntersectionObserver
+     * to detect when the element becomes stuck.
+     * @function
+     * @static
+     * @return {String|False} - Supported value of position property.
+     */
+    StickySidebar.supportSticky = function(){
+        var result = false,
+            style = document.createElement('support').style;
+
+        if( 'function' !== typeof window.IntersectionObserver ) return false;
+
+        ['sticky', '-webkit-sticky'].some(function(value){
+            style.position = value;
+
+            if( value === style.position ){
+                result = value;
+                return true;
+            }
+        });
+        return result;
+    };
+
+    /**
+     * Convert key of responsive option to media query, numeric keys are min-width in pixels.
+     * @function
+     * @static
+     * @param {String|Numeric} query
+     * @return {String}
+     */
+    StickySidebar.toMediaQuery = function(query){
+        return /^\d+$/.test(query) ? '(min-width: '+ query +'px)' : query;
+    };
+
+    /**
+     * Detarmine if the document matches the given media query or min-width, only min-width
+     * breakpoints are supported in browsers without matchMedia.
+     * @function
+     * @static
+     * @param {String|Numeric} query
+     * @return {Boolean}
+     */
+    StickySidebar.matchMedia = function(query){
+        if( 'function' === typeof window.matchMedia )
+            return window.matchMedia(StickySidebar.toMediaQuery(query)).matches;
+
+        return /^\d+$/.test(query) && document.documentElement.clientWidth >= parseInt(query);
+    };
+
+    /**
+     * Merge the contents of two or more objects together into the first object,
+     * works like shallow `jQuery.extend()`.
+     * @function
+     * @static
+     * @param {Object} target - Object that will receive the new properties.
+     * @return {Object}
+     */
+    StickySidebar.extend = function(target){
+        for( var i = 1; i < arguments.length; i++ ){
+            var source = arguments[i];
+
+            if( ! source ) continue;
+
+            for( var key in source ){
+                if( ! Object.prototype.hasOwnProperty.call(source, key) ) continue;
+                target[key] = source[key];
+            }
+        }
+        return target;
+    };
+
+    /**
+     * Detarmine wheather the two options objects have the same options, plain objects
+     * and arrays like `responsive` are compared deeply, other values by identity.
+     * @function
+     * @static
+     * @param {Object} a
+     * @param {Object} b
+     * @return {Boolean}
+     */
+    StickySidebar.isSameOptions = function(a, b){
+        var isPlain = function(value){
+            return Array.isArray(value) || '[object Object]' === Object.prototype.toString.call(value);
+        };
+        var isSame = function(a, b){
+            if( a === b ) return true;
+            if( ! isPlain(a) || ! isPlain(b) || Array.isArray(a) !== Array.isArray(b) ) return false;
+
+            var keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(function(key){
+                return Object.prototype.hasOwnProperty.call(b, key) && isSame(a[key], b[key]);
+            });
+        };
+
+        return isSame(a || {}, b || {});
+    };
+
+    /**
+     * Apply new options to the sidebar, options missing from them return to their defaults.
+     * Sidebar is re-created when an option that can't be changed after initialization is
+     * changed, used by the framework bindings.
+     * @function
+     * @static
+     * @param {StickySidebar} sidebar
+     * @param {Object} options
+     * @return {StickySidebar} - The given sidebar or the re-created one.
+     */
+    StickySidebar.applyOptions = function(sidebar, options){
+        options = StickySidebar.extend({}, StickySidebar.DEFAULTS, options);
+
+        var isStaticChanged = StickySidebar.STATIC_OPTIONS.some(function(option){
+            return options[option] !== sidebar._options[option];
+        });
+
+        if( ! isStaticChanged ){
+            sidebar.setOptions(options);
+            return sidebar;
+        }
+
+        sidebar.destroy();
+        return new StickySidebar(sidebar._jQuery ? $(sidebar.sidebar) : sidebar.sidebar, options);
+    };
+
+    /**
+     * Resolve the given element, selector or jQuery object to DOM element.
+     * @function
+     * @static
+     * @param {HTMLElement|String|jQuery} element
+     * @return {HTMLElement|Null}
+     */
+    StickySidebar.getElement = function(element){
+        if( 'string' === typeof element )
+            return document.querySelector(element);
+
+        if( element && element.jquery )
+            return element[0] || null;
+
+        return element || null;
+    };
+
+    /**
+     * Get the first ancestor of the element, beginning with the element itself,
+     * that matches the given selector or element.
+     * @function
+     * @static
+     * @param {HTMLElement} element
+     * @param {String|HTMLElement|jQuery|False} selector
+     * @return {HTMLElement|Null}
+     */
+    StickySidebar.closest = function(element, selector){
+        if( ! selector ) return null;
+
+        if( 'string' !== typeof selector ){
+            var target = StickySidebar.getElement(selector);
+
+            while( element && element !== target ) element = element.parentNode;
+            return element || null;
+        }
+
+        var matches = window.Element.prototype.matches || window.Element.prototype.msMatchesSelector ||
+            window.Element.prototype.webkitMatchesSelector;
+
+        while( element && 1 === element.nodeType ){
+            if( matches.call(element, selector) ) return element;
+            element = element.parentNode;
+        }
+        return null;
+    };
+
+    /**
+     * Get the current coordinates of the element relative to the document.
+     * @function
+     * @static
+     * @param {HTMLElement} element
+     * @return {Object} - Object contains `top` and `left` coordinates.
+     */
+    StickySidebar.offset = function(element){
+        var rect = element.getBoundingClientRect(),
+            docElem = document.documentElement;
+
+        return {
+            top: rect.top + (window.pageYOffset || docElem.scrollTop) - (docElem.clientTop || 0),
+            left: rect.left + (window.pageXOffset || docElem.scrollLeft) - (docElem.clientLeft || 0)
+        };
+    };
+
+    /**
+     * Set inline style properties of the given element, numeric values of
+     * properties are considered in pixels.
+     * @function
+     * @static
+     * @param {HTMLElement} element
+     * @param {Object} properties
+     */
+    StickySidebar.css = function(element, properties){
+        for( var property in properties ){
+            var value = properties[property];
+
+            if( 'number' === typeof value ) value = value + 'px';
+
+            element.style[property] = value;
+        }
+    };
+
+    /**
+     * Restore inline style attribute of the element to the given value.
+     * @function
+     * @static
+     * @param {HTMLElement} element
+     * @param {String|Null} style - Value of style attribute, null to remove it.
+     */
+    StickySidebar.restoreStyle = function(element, style){
+        if( null === style ) element.removeAttribute('style');
+        else element.setAttribute('style', style);
+    };
+
+    /**
+     * Detarmine if the element consumes space in the document.
+     * @function
+     * @static
+     * @param {HTMLElement} element
+     * @return {Boolean}
+     */
+    StickySidebar.isVisible = function(element){
+        return Boolean(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+    };
+
+    /**
+     * Create a new custom event that works in IE9+.
+     * @function
+     * @static
+     * @param {String} eventName - The name of the event.
+     * @param {Object} detail - Data passed to the listeners.
+     * @return {CustomEvent}
+     */
+    StickySidebar.createEvent = function(eventName, detail){
+        var params = {bubbles: true, cancelable: true, detail: detail};
+
+        if( 'function' === typeof window.CustomEvent )
+            return new window.CustomEvent(eventName, params);
+
+        var event = document.createEvent('CustomEvent');
+        event.initCustomEvent(eventName, params.bubbles, params.cancelable, params.detail);
+        return event;
+    };
+
+    /**
+     * Get the ResizeObserver shared between all sticky sidebars, creates it at first
+     * call. Returns false if the browser doesn't support ResizeObserver.
+     * @function
+     * @static
+     * @return {ResizeObserver|False}
+     */
+    StickySidebar.getResizeObserver = function(){
+        if( 'function' !== typeof window.ResizeObserver ) return false;
+
+        if( ! StickySidebar._resizeObserver ){
+            StickySidebar._resizeObserver = new window.ResizeObserver(function(entries){
+                entries.forEach(function(entry){
+                    var element = entry.target,
+                        lastSize = element.resizeSize,
+                        size = {width: entry.contentRect.width, height: entry.contentRect.height};
+
+                    element.resizeSize = size;
+
+                    // Observation always reports the initial size, it's not a resize.
+                    if( ! lastSize || (lastSize.width === size.width && lastSize.height === size.height) )
+                        return;
+
+                    StickySidebar.callResizeListeners(element, entry);
+                });
+            });
+        }
+        return StickySidebar._resizeObserver;
+    };
+
+    /**
+     * Call resize listeners of the given element.
+     * @function
+     * @static
+     * @param {HTMLElement} element - The resized element.
+     * @param {Object} event - Resize event or ResizeObserver entry.
+     */
+    StickySidebar.callResizeListeners = function(element, event){
+        (element.resizeListeners || []).slice().forEach(function(callback){
+            callback.call(element, event);
+        });
+    };
+
+    /**
+     * Detarmine if the browser supports passive event listeners.
+     * @function
+     * @static
+     * @return {Boolean}
+     */
+    StickySidebar.supportPassive = function(){
+        var result = false;
+
+        try {
+            var options = Object.defineProperty({}, 'passive', {
+                get: function(){ result = true; }
+            });
+            window.addEventListener('test', null, options);
+            window.removeEventListener('test', null, options);
+        } catch(e) {}
+
+        return result;
+    };
+
+    /**
+     * Detarmine wheather the element is right-to-left by its computed direction.
+     * @function
+     * @static
+     * @param {HTMLElement} element
+     * @return {Boolean}
+     */
+    StickySidebar.isRTL = function(element){
+        return 'rtl' === window.getComputedStyle(element).direction;
+    };
+
+    /**
+     * Detect how the browser reports `scrollLeft` of right-to-left elements, `default`
+     * when it's counted from the left edge like LTR, `negative` when it's zero at the
+     * right edge and negative to the left, and `reverse` when it's positive to the left.
+     * The result is cached after first call.
+     * @function
+     * @static
+     * @return {String}
+     */
+    StickySidebar.rtlScrollType = function(){
+        if( StickySidebar._rtlScrollType ) return StickySidebar._rtlScrollType;
+
+        var definer = document.createElement('div'), type = 'reverse';
+
+        definer.dir = 'rtl';
+        definer.style.cssText = 'position: absolute; top: -1000px; width: 4px; height: 1px; overflow: scroll;';
+        definer.innerHTML = '<div style="width: 8px; height: 1px;"></div>';
+        document.body.appendChild(definer);
+
+        if( definer.scrollLeft > 0 ){
+            type = 'default';
+        } else {
+            definer.scrollLeft = 1;
+            if( 0 === definer.scrollLeft ) type = 'negative';
+        }
+
+        document.body.removeChild(definer);
+        return (StickySidebar._rtlScrollType = type);
+    };
+
+    /**
+     * Gets horizontal scroll offset of the element counted from its left edge, scroll
+     * offset of right-to-left elements is normalized between browsers.
+     * @function
+     * @static
+     * @param {HTMLElement} element - Scrolled element.
+     * @param {Boolean} rtl - Whether the element is right-to-left.
+     * @return {Numeric}
+     */
+    StickySidebar.getScrollLeft = function(element, rtl){
+        var scrollLeft = element.scrollLeft;
+
+        if( ! rtl ) return scrollLeft;
+
+        switch( StickySidebar.rtlScrollType() ){
+            case 'negative':
+                return element.scrollWidth - element.clientWidth + scrollLeft;
+            case 'reverse':
+                return element.scrollWidth - element.clientWidth - scrollLeft;
+            default:
+                return scrollLeft;
+        }
+    };
+
+    /**
+     * Frame scheduler shared between all sticky sidebars. Scroll events only queue the
+     * sidebars, then on the next animation frame the dimensions of all queued sidebars
+     * are read in one batch and their styles are written in another one, so layout is
+     * not forced between writes.
+     * @static
+     */
+    StickySidebar.scheduler = {
+
+        /**
+         * Sticky sidebars waiting for the next frame.
+         * @type {Array}
+         */
+        queue: [],
+
+        /**
+         * Id of the requested animation frame.
+         * @type {Numeric|False}
+         */
+        frame: false,
+
+        /**
+         * Cost of frames in milliseconds, reset by `resetStats()`.
+         * @type {Object}
+         */
+        stats: {frames: 0, lastDuration: 0, maxDuration: 0, totalDuration: 0, averageDuration: 0},
+
+        /**
+         * Queue the sticky sidebar to update its position on the next frame.
+         * @param {StickySidebar} stickySidebar
+         */
+        schedule: function(stickySidebar){
+            var scheduler = StickySidebar.scheduler;
+
+            if( -1 === scheduler.queue.indexOf(stickySidebar) )
+                scheduler.queue.push(stickySidebar);
+
+            if( false === scheduler.frame )
+                scheduler.frame = StickySidebar.requestFrame(scheduler.flush);
+        },
+
+        /**
+         * Remove the sticky sidebar from the queue.
+         * @param {StickySidebar} stickySidebar
+         */
+        cancel: function(stickySidebar){
+            var scheduler = StickySidebar.scheduler;
+            var index = scheduler.queue.indexOf(stickySidebar);
+
+            if( -1 !== index ) scheduler.queue.splice(index, 1);
+        },
+
+        /**
+         * Read positions of all queued sidebars then write their styles.
+         */
+        flush: function(){
+            var scheduler = StickySidebar.scheduler, stats = scheduler.stats;
+            var queue = scheduler.queue, start = StickySidebar.now();
+
+            scheduler.queue = [];
+            scheduler.frame = false;
+
+            var positions = queue.map(function(stickySidebar){
+                return stickySidebar._readPosition();
+            });
+
+            var activeItems = queue.map(function(stickySidebar){
+                return stickySidebar._readActiveItem();
+            });
+
+            queue.forEach(function(stickySidebar, index){
+                if( positions[index] ) stickySidebar._writePosition(positions[index]);
+                stickySidebar._activate(activeItems[index]);
+
+                if( stickySidebar._debug ) stickySidebar._debug.update();
+            });
+
+            stats.frames++;
+            stats.lastDuration = StickySidebar.now() - start;
+            stats.maxDuration = Math.max(stats.maxDuration, stats.lastDuration);
+            stats.totalDuration += stats.lastDuration;
+            stats.averageDuration = stats.totalDuration / stats.frames;
+        },
+
+        /**
+         * Reset frames cost statistics.
+         */
+        resetStats: function(){
+            StickySidebar.scheduler.stats = {frames: 0, lastDuration: 0, maxDuration: 0, totalDuration: 0, averageDuration: 0};
+        }
+    };
+
+    /**
+     * Request animation frame, falls back to timeout in old browsers.
+     * @function
+     * @static
+     * @param {Function} callback
+     * @return {Numeric}
+     */
+    StickySidebar.requestFrame = function(callback){
+        if( 'function' === typeof window.requestAnimationFrame )
+            return window.requestAnimationFrame(callback);
+
+        return window.setTimeout(callback, 16);
+    };
+
+    /**
+     * Cancel the frame requested by `requestFrame()`.
+     * @function
+     * @static
+     * @param {Numeric} id
+     */
+    StickySidebar.cancelFrame = function(id){
+        if( 'function' === typeof window.cancelAnimationFrame )
+            window.cancelAnimationFrame(id);
+        else
+            window.clearTimeout(id);
+    };
+
+    /**
+     * Easing functions of affix transitions, map progress from 0 to 1 to the eased progress.
+     * @static
+     */
+    StickySidebar.EASINGS = {
+        'linear': function(t){ return t; },
+        'ease-in': function(t){ return t * t * t; },
+        'ease-out': function(t){ return 1 - Math.pow(1 - t, 3); },
+        'ease-in-out': function(t){ return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2; }
+    };
+
+    /**
+     * Current high resolution time in milliseconds.
+     * @function
+     * @static
+     * @return {Numeric}
+     */
+    StickySidebar.now = function(){
+        return (window.performance && window.performance.now) ? window.performance.now() : Date.now();
+    };
+
+    StickySidebar.prototype = {
+
+        /**
+         * Initializes the sticky sidebar by adding inner wrapper, define its container,
+         * min-width breakpoint, calculating dimenstions, adding helper classes and inline style.
+         * @public
+         */
+        initialize: function(){
+            this._trigger('initialize');
+
+            this._validateOptions(this.options);
+
+            // Get sticky sidebar inner wrapper, if not found, will create one.
+            if( this.options.innerWrapperSelector ){
+                this.sidebarInner = this.sidebar.querySelector(this.options.innerWrapperSelector);
+
+                if( null === this.sidebarInner )
+                    this.sidebarInner = false;
+            }
+
+            // Original inline style to restore it when the sidebar is destroyed.
+            this._originalStyle = {
+                sidebar: this.sidebar.getAttribute('style'),
+                inner: this.sidebarInner ? this.sidebarInner.getAttribute('style') : null
+            };
+
+            this._createdInnerWrapper = ! this.sidebarInner;
+            this._addedTabIndex = false;
+
+            if( ! this.sidebarInner ){
+                var wrapper = document.createElement('div');
+                wrapper.className = 'inner-wrapper-sticky';
+
+                while( this.sidebar.firstChild )
+                    wrapper.appendChild(this.sidebar.firstChild);
+
+                this.sidebar.appendChild(wrapper);
+                this.sidebarInner = wrapper;
+            }
+
+            this._parseOptions();
+            this._offsetElements = this._getOffsetElements();
+
+            // Let keyboard users focus the inner wrapper to scroll it.
+            if( this.isOverflowScroll() && ! this.sidebarInner.hasAttribute('tabindex') ){
+                this.sidebarInner.setAttribute('tabindex', '0');
+                this._addedTabIndex = true;
+            }
+
+            if( this.options.stackGroup )
+                StickySidebar.addToStack(this);
+
+            // Breakdown sticky sidebar if screen width below `options.minWidth`.
+            this._widthBreakpoint();
+
+            // Calculate dimensions of sidebar, container and viewport.
+            this.calcDimensions();
+
+            // Switch between native sticky and scroll engine.
+            this._updateNativeSticky();
+
+            // Affix sidebar in proper position.
+            this.stickyPosition();
+
+            // Activate link of the section at top spacing.
+            this._calcScrollSpy();
+            this._activate(this._readActiveItem());
+
+            // Bind all events.
+            this.bindEvents();
+
+            this.scrollActiveIntoView();
+
+            // Inform other properties the sticky sidebar is initialized.
+            this._initialized = true;
+
+            this._updateDebug();
+
+            this._trigger('initialized');
+        },
+
+        /**
+         * Validate the given options, options that sticky sidebar is built on can't be
+         * changed once it's initialized.
+         * @private
+         * @param {Object} options - New options.
+         */
+        _validateOptions: function(options){
+            var responsive = options.responsive || {};
+
+            this._validateValues(options);
+
+            // Breakpoints change options at any time, so they can't set options that
+            // sticky sidebar is built on.
+            Object.keys(responsive).forEach(function(query){
+                StickySidebar.STATIC_OPTIONS.forEach(function(option){
+                    if( undefined !== responsive[query][option] )
+                        throw new Error('Option "'+ option +'" can not be changed by responsive breakpoint "'+ query +'".');
+                });
+
+                this._validateValues(StickySidebar.extend({}, options, responsive[query]));
+            }, this);
+
+            if( ! this._initialized ) return;
+
+            StickySidebar.STATIC_OPTIONS.forEach(function(option){
+                if( options[option] !== this._options[option] )
+                    throw new Error('Option "'+ option +'" can not be changed after initialization.');
+            }, this);
+        },
+
+        /**
+         * Validate values of the given options.
+         * @private
+         * @param {Object} options
+         */
+        _validateValues: function(options){
+            if( ! StickySidebar.AXES[options.axis] )
+                throw new Error('Invalid axis "'+ options.axis +'", should be "x" or "y".');
+
+            if( -1 === ['page', 'scroll'].indexOf(options.overflowMode) )
+                throw new Error('Invalid overflow mode "'+ options.overflowMode +'", should be "page" or "scroll".');
+
+            if( -1 === ['top', 'bottom'].indexOf(options.anchor) )
+                throw new Error('Invalid anchor "'+ options.anchor +'", should be "top" or "bottom".');
+
+            if( 'function' !== typeof options.transitionEasing && ! StickySidebar.EASINGS[options.transitionEasing] )
+                throw new Error('Invalid transition easing "'+ options.transitionEasing +'", should be a function or one of "'+
+                    Object.keys(StickySidebar.EASINGS).join('", "') +'".');
+        },
+
+        /**
+         * Normalize values of current options.
+         * @private
+         */
+        _parseOptions: function(){
+            this._autoSpacing = 'auto' === this.options.topSpacing || 'auto' === this.options.bottomSpacing;
+
+            // If top/bottom spacing is not function parse value to integer.
+            if( 'function' !== typeof this.options.topSpacing )
+                this.options.topSpacing = parseInt(this.options.topSpacing) || 0;
+
+            if( 'function' !== typeof this.options.bottomSpacing )
+                this.options.bottomSpacing = parseInt(this.options.bottomSpacing) || 0;
+        },
+
+        /**
+         * Gets offset elements from current options, or fixed and sticky children of
+         * the body when any spacing is `auto`.
+         * @private
+         * @return {HTMLElement[]}
+         */
+        _getOffsetElements: function(){
+            var elements = this.options.offsetElements;
+
+            if( 'string' === typeof elements )
+                elements = document.querySelectorAll(elements);
+            else if( elements && elements.nodeType )
+                elements = [elements];
+            else if( ! elements && this._autoSpacing )
+                elements = Array.prototype.filter.call(document.body.children, function(element){
+                    return -1 !== ['fixed', 'sticky'].indexOf(window.getComputedStyle(element).position);
+                });
+
+            return Array.prototype.filter.call(elements || [], function(element){
+                return ! element.contains(this.sidebar);
+            }, this);
+        },
+
+        /**
+         * Replace offset elements when options are changed, moves their resize sensors.
+         * @private
+         */
+        _updateOffsetElements: function(){
+            var elements = this._getOffsetElements();
+
+            if( this.options.resizeSensor ){
+                this._offsetElements.forEach(function(element){
+                    this.removeResizeListener(element, this.updateSticky);
+                }, this);
+
+                elements.forEach(function(element){
+                    this.addResizerListener(element, this.updateSticky);
+                }, this);
+            }
+
+            this._offsetElements = elements;
+        },
+
+        /**
+         * Measures sizes of visible fixed and sticky offset elements along the scroll
+         * axis, the sizes are cached until dimensions are re-calculated.
+         * @private
+         */
+        _measureOffsetElements: function(){
+            var isX = 'x' === this.options.axis;
+
+            this._offsetSizes = [];
+
+            this._offsetElements.forEach(function(element){
+                var style = window.getComputedStyle(element);
+
+                if( -1 === ['fixed', 'sticky'].indexOf(style.position) || 'hidden' === style.visibility ||
+                        ! StickySidebar.isVisible(element) )
+                    return;
+
+                this._offsetSizes.push({element: element, style: style,
+                    size: isX ? element.offsetWidth : element.offsetHeight});
+            }, this);
+        },
+
+        /**
+         * Sums sizes of the measured offset elements that cover edges of the viewport,
+         * screen viewport or viewport of the scroll container. Sticky elements take the
+         * space only while they are stuck, otherwise they scroll with the content.
+         * @private
+         */
+        _calcOffsetSpacing: function(){
+            var offsetSpacing = this._offsetSpacing = {top: 0, bottom: 0};
+            var dimensions = this.dimensions, isX = 'x' === this.options.axis;
+            var viewportStart = isX ? dimensions.viewportOffsetLeft : dimensions.viewportOffsetTop,
+                viewportSize = isX ? dimensions.viewportWidth : dimensions.viewportHeight;
+
+            this._offsetSizes.forEach(function(offset){
+                var rect = offset.element.getBoundingClientRect(), style = offset.style;
+                var start = (isX ? rect.left : rect.top) - viewportStart,
+                    end = start + offset.size;
+
+                // Only the part inside the viewport covers it, e.g. none of fixed header above the scroll container.
+                var size = Math.min(end, viewportSize) - Math.max(start, 0);
+                if( size <= 0 ) return;
+
+                if( 'sticky' === style.position ){
+                    var startInset = parseFloat(isX ? style.left : style.top) || 0,
+                        endInset = parseFloat(isX ? style.right : style.bottom) || 0;
+
+                    if( Math.abs(start - startInset) >= 1 && Math.abs(viewportSize - end - endInset) >= 1 )
+                        return;
+                }
+
+                // Browsers resolve `top` and `bottom` insets of positioned elements to pixels,
+                // so the element is stuck to the edge that its center is closer to.
+                if( start + offset.size / 2 <= viewportSize / 2 )
+                    offsetSpacing.top += size;
+                else
+                    offsetSpacing.bottom += size;
+            });
+        },
+
+        /**
+         * Gets the container element of sidebar from current options, if there's no
+         * specific container, user parent of sidebar as container.
+         * @private
+         * @return {HTMLElement}
+         */
+        _getContainer: function(){
+            return StickySidebar.closest(this.sidebar, this.options.containerSelector) || this.sidebar.parentNode;
+        },
+
+        /**
+         * Replace the container when `containerSelector` option resolves to another
+         * element, moves the resize sensor to the new container.
+         * @private
+         */
+        _updateContainer: function(){
+            var container = this._getContainer();
+
+            if( container === this.container ) return;
+
+            // The scroll container keeps its own listener when it's the container too.
+            if( this.options.resizeSensor ){
+                if( this.container !== this.scrollContainer )
+                    this.removeResizeListener(this.container, this.updateSticky);
+
+                if( container !== this.scrollContainer )
+                    this.addResizerListener(container, this.updateSticky);
+            }
+
+            this.container = container;
+        },
+
+        /**
+         * Merge options of matching responsive breakpoints into current options.
+         * @private
+         * @return {Boolean} - Whether matching breakpoints are changed.
+         */
+        _updateResponsive: function(){
+            var responsive = this._options.responsive || {};
+            var queries = Object.keys(responsive).filter(function(query){
+                return StickySidebar.matchMedia(query);
+            });
+
+            if( this._responsiveQueries && queries.join() === this._responsiveQueries.join() )
+                return false;
+
+            var options = StickySidebar.extend({}, this._options);
+
+            queries.forEach(function(query){
+                StickySidebar.extend(options, responsive[query]);
+            });
+
+            this.options = options;
+            this._responsiveQueries = queries;
+            return true;
+        },
+
+        /**
+         * Handles change of responsive media queries, re-calculates dimensions with the
+         * options of new matching breakpoints.
+         * @protected
+         */
+        _onMediaChange: function(){
+            var previous = this.options;
+
+            if( ! this._updateResponsive() ) return;
+
+            this._applyOptions(previous);
+            this._trigger('breakpoint', {breakpoints: this._responsiveQueries.slice(), options: this.options});
+
+            this.updateSticky();
+        },
+
+        /**
+         * Apply changed current options to the initialized sidebar, moves it to the new
+         * stack group, swaps the sticky class and the container if needed.
+         * @private
+         * @param {Object} previous - Current options before the change.
+         */
+        _applyOptions: function(previous){
+            this._parseOptions();
+
+            if( previous.stackGroup ) StickySidebar.removeFromStack(this, previous.stackGroup);
+            if( this.options.stackGroup ) StickySidebar.addToStack(this);
+
+            if( previous.stickyClass !== this.options.stickyClass && this.sidebar.classList.contains(previous.stickyClass) ){
+                this.sidebar.classList.remove(previous.stickyClass);
+                this.sidebar.classList.add(this.options.stickyClass);
+            }
+
+            this._updateContainer();
+            this._updateOffsetElements();
+            this._widthBreakpoint();
+
+            // Sidebars that were stacked with this one lose its spacing.
+            if( previous.stackGroup && previous.stackGroup !== this.options.stackGroup ){
+                (StickySidebar.stacks[previous.stackGroup] || []).forEach(function(member){
+                    if( member._initialized ) member.stickyPosition(true);
+                });
+            }
+        },
+
+        /**
+         * Bind all events of sticky sidebar plugin.
+         * @protected
+         */
+        bindEvents: function(){
+            window.addEventListener('resize', this._onResize);
+            var listenerOptions = StickySidebar.supportPassive() ? {passive: true} : false;
+
+            window.addEventListener('scroll', this._onScroll, listenerOptions);
+
+            // Scrolling the page moves the scroll container within the screen viewport too.
+            if( window !== this.scrollContainer )
+                this.scrollContainer.addEventListener('scroll', this._onScroll, listenerOptions);
+
+            this.sidebar.addEventListener('update' + StickySidebar.EVENT_KEY, this.updateSticky);
+            this.sidebarInner.addEventListener('click', this._onSpyClick);
+
+            this._bindMediaQueries();
+
+            // Events triggered by jQuery `.trigger()` do not reach native listeners.
+            if( $ ) $(this.sidebar).on('update' + StickySidebar.EVENT_KEY, this.updateSticky);
+
+            if( this.options.resizeSensor ){
+                this.addResizerListener(this.sidebarInner, this.updateSticky);
+                this.addResizerListener(this.container, this.updateSticky);
+                this.addResizerListener(this.sidebar, this._onPlaceholderResize);
+
+                // Viewport of the scroll container is resized with the pane, not with the window.
+                // The container may be the scroll container itself, it's observed once then.
+                if( window !== this.scrollContainer && this.container !== this.scrollContainer )
+                    this.addResizerListener(this.scrollContainer, this.updateSticky);
+
+                this._offsetElements.forEach(function(element){
+                    this.addResizerListener(element, this.updateSticky);
+                }, this);
+            }
+
+            // Scroll to the active item when it's changed by toggling classes.
+            if( this.isOverflowScroll() && this.options.activeSelector && 'function' === typeof window.MutationObserver ){
+                this._activeObserver = new window.MutationObserver(this.scrollActiveIntoView);
+                this._activeObserver.observe(this.sidebarInner, {attributes: true, attributeFilter: ['class'], subtree: true});
+            }
+        },
+
+        /**
+         * Listen to changes of media queries of responsive breakpoints.
+         * @private
+         */
+        _bindMediaQueries: function(){
+            if( 'function' !== typeof window.matchMedia ) return;
+
+            this._mediaQueryLists = Object.keys(this._options.responsive || {}).map(function(query){
+                var mediaQueryList = window.matchMedia(StickySidebar.toMediaQuery(query));
+
+                mediaQueryList.addListener(this._onMediaChange);
+                return mediaQueryList;
+            }, this);
+        },
+
+        /**
+         * Stop listening to media queries of responsive breakpoints.
+         * @private
+         */
+        _unbindMediaQueries: function(){
+            this._mediaQueryLists.forEach(function(mediaQueryList){
+                mediaQueryList.removeListener(this._onMediaChange);
+            }, this);
+            this._mediaQueryLists = [];
+        },
+
+        /**
+         * Dispatch the given event of sticky sidebar on the sidebar element as native
+         * custom event, also triggers it via jQuery if it's loaded, jQuery handlers get
+         * the detail as second argument.
+         * @protected
+         * @param {String} eventName - Event name without the namespace.
+         * @param {Object} detail - Data passed to the listeners.
+         * @return {Boolean} - False if any listener called `preventDefault()`.
+         */
+        _trigger: function(eventName, detail){
+            var event = StickySidebar.createEvent(eventName + StickySidebar.EVENT_KEY, detail);
+            var isPrevented = ! this.sidebar.dispatchEvent(event);
+
+            if( $ ){
+                var jQueryEvent = $.Event(eventName + StickySidebar.EVENT_KEY);
+
+                $(this.sidebar).trigger(jQueryEvent, [detail]);
+                isPrevented = isPrevented || jQueryEvent.isDefaultPrevented();
+            }
+
+            return ! isPrevented;
+        },
+
+        /**
+         * Handles scroll top/bottom when detected.
+         * @protected
+         * @param {Object} event - Event object passed from listener.
+         */
+        _onScroll: function(event){
+            StickySidebar.scheduler.schedule(this);
+        },
+
+        /**
+         * Holds resize event when detected. When the browser is resizes re-calculate
+         * all dimensions of sidebar and container.
+         * @protected
+         * @param {Object} event - Event object passed from listener.
+         */
+        _onResize: function(event){
+            // Browsers without matchMedia only check breakpoints on resize.
+            if( 'function' !== typeof window.matchMedia ) this._onMediaChange();
+
+            this._widthBreakpoint();
+            this.updateSticky();
+        },
+
+        /**
+         * The sidebar element holds the place of the affixed inner wrapper, its height is
+         * kept while its width follows the column. When the column width changes without
+         * window resize the fixed inner wrapper gets the new width.
+         * @protected
+         */
+        _onPlaceholderResize: function(){
+            if( this._breakpoint ) return;
+
+            // Height of the placeholder is written by sticky sidebar itself.
+            if( this.sidebar.getBoundingClientRect().width !== this.dimensions.sidebarWidth )
+                this.updateSticky();
+        },
+
+        /**
+         * Calculates dimesntions of sidebar, container and screen viewpoint
+         * @public
+         */
+        calcDimensions: function(){
+            if( this._breakpoint ) return;
+
+            var dimensions = this.dimensions;
+
+            this._rtl = StickySidebar.isRTL(this.sidebar);
+            this._scrollRTL = StickySidebar.isRTL(window === this.scrollContainer ?
+                document.documentElement : this.scrollContainer);
+
+            var containerOffset = this._getOffset(this.container);
+
+            // Container of sticky sidebar dimensions.
+            dimensions.containerTop = containerOffset.top;
+            dimensions.containerHeight = this.container.getBoundingClientRect().height;
+            dimensions.containerBottom = dimensions.containerTop + dimensions.containerHeight;
+
+            dimensions.containerLeft = containerOffset.left;
+            dimensions.containerWidth = this.container.getBoundingClientRect().width;
+            dimensions.containerRight = dimensions.containerLeft + dimensions.containerWidth;
+
+            // Sidebar dimensions.
+            dimensions.sidebarHeight = this.sidebarInner.getBoundingClientRect().height;
+            dimensions.sidebarWidth = this.sidebar.getBoundingClientRect().width;
+
+            // Full height of inner wrapper content, the wrapper itself is limited in `scroll` overflow mode.
+            if( this.isOverflowScroll() )
+                dimensions.sidebarScrollHeight = this.sidebarInner.scrollHeight || dimensions.sidebarHeight;
+
+            // Screen viewport or scroll container viewport dimensions.
+            if( window === this.scrollContainer ){
+                dimensions.viewportHeight = window.innerHeight;
+                dimensions.viewportWidth = window.innerWidth;
+            } else {
+                dimensions.viewportHeight = this.scrollContainer.clientHeight;
+                dimensions.viewportWidth = this.scrollContainer.clientWidth;
+            }
+
+            this._measureOffsetElements();
+            this._calcDimensionsWithScroll();
+        },
+
+        /**
+         * Gets coordinates of the element relative to the scrolled content of scroll
+         * container, or relative to the document when the window is scrolled.
+         * @private
+         * @param {HTMLElement} element
+         * @return {Object} - Object contains `top` and `left` coordinates.
+         */
+        _getOffset: function(element){
+            var scrollContainer = this.scrollContainer, offset;
+
+            if( window === scrollContainer ){
+                offset = StickySidebar.offset(element);
+
+                if( this._scrollRTL ) offset.left = element.getBoundingClientRect().left + this._getScrollLeft();
+                return offset;
+            }
+
+            var rect = element.getBoundingClientRect(),
+                containerRect = scrollContainer.getBoundingClientRect();
+
+            return {
+                top: rect.top - containerRect.top - scrollContainer.clientTop + scrollContainer.scrollTop,
+                left: rect.left - containerRect.left - scrollContainer.clientLeft + this._getScrollLeft()
+            };
+        },
+
+        /**
+         * Gets vertical scroll offset of the scroll container.
+         * @private
+         * @return {Numeric}
+         */
+        _getScrollTop: function(){
+            if( window !== this.scrollContainer )
+                return this.scrollContainer.scrollTop;
+
+            return document.documentElement.scrollTop || document.body.scrollTop;
+        },
+
+        /**
+         * Gets horizontal scroll offset of the scroll container from its left edge.
+         * @private
+         * @return {Numeric}
+         */
+        _getScrollLeft: function(){
+            if( window !== this.scrollContainer )
+                return StickySidebar.getScrollLeft(this.scrollContainer, this._scrollRTL);
+
+            if( this._scrollRTL )
+                return StickySidebar.getScrollLeft(document.scrollingElement || document.documentElement, true);
+
+            return document.documentElement.scrollLeft || document.body.scrollLeft;
+        },
+
+        /**
+         * Calculates distances between edges of the scroll container viewport and the
+         * screen viewport, used to place fixed sidebar inside the scroll container.
+         * @private
+         */
+        _calcViewportOffsets: function(){
+            var dimensions = this.dimensions, scrollContainer = this.scrollContainer;
+
+            // Width of the screen viewport without scrollbar, fixed `right` is relative to it.
+            dimensions.clientWidth = document.documentElement.clientWidth;
+
+            if( window === scrollContainer ){
+                dimensions.viewportOffsetTop = dimensions.viewportOffsetLeft = 0;
+                dimensions.viewportOffsetBottom = dimensions.viewportOffsetRight = 0;
+                return;
+            }
+
+            var rect = scrollContainer.getBoundingClientRect();
+
+            dimensions.viewportOffsetTop = rect.top + scrollContainer.clientTop;
+            dimensions.viewportOffsetLeft = rect.left + scrollContainer.clientLeft;
+            dimensions.viewportOffsetBottom = document.documentElement.clientHeight -
+                (dimensions.viewportOffsetTop + dimensions.viewportHeight);
+            dimensions.viewportOffsetRight = dimensions.clientWidth -
+                (dimensions.viewportOffsetLeft + dimensions.viewportWidth);
+        },
+
+        /**
+         * Some dimensions values need to be up-to-date when scrolling the page.
+         * @private
+         */
+        _calcDimensionsWithScroll: function(){
+            var dimensions = this.dimensions;
+
+            var sidebarOffset = this._getOffset(this.sidebar);
+
+            dimensions.sidebarTop = sidebarOffset.top;
+            dimensions.sidebarLeft = sidebarOffset.left;
+
+            dimensions.viewportTop = this._getScrollTop();
+            dimensions.viewportLeft = this._getScrollLeft();
+
+            dimensions.viewportBottom = dimensions.viewportTop + dimensions.viewportHeight;
+            dimensions.viewportRight = dimensions.viewportLeft + dimensions.viewportWidth;
+
+            dimensions.topSpacing = this.options.topSpacing;
+            dimensions.bottomSpacing = this.options.bottomSpacing;
+
+            this._calcViewportOffsets();
+            this._calcOffsetSpacing();
+
+            dimensions.topSpacing = this._getSpacing(dimensions.topSpacing);
+            dimensions.bottomSpacing = this._getSpacing(dimensions.bottomSpacing);
+
+            dimensions.topSpacing += this._offsetSpacing.top;
+            dimensions.bottomSpacing += this._offsetSpacing.bottom;
+
+            if( this.options.stackGroup )
+                dimensions.topSpacing = this._getStackSpacing(dimensions.topSpacing);
+
+            // The inner wrapper fits the viewport between spacing and scrolls on its own.
+            if( this.isOverflowScroll() ){
+                dimensions.sidebarMaxHeight = Math.max(0, dimensions.viewportHeight - dimensions.topSpacing - dimensions.bottomSpacing);
+                dimensions.sidebarHeight = Math.min(dimensions.sidebarScrollHeight, dimensions.sidebarMaxHeight);
+            }
+        },
+
+        /**
+         * Gets value of spacing option, spacing function is called with the sidebar
+         * element, or with jQuery object of it when sidebar is given as jQuery object.
+         * @private
+         * @param {Numeric|Function} spacing
+         * @return {Numeric}
+         */
+        _getSpacing: function(spacing){
+            if( 'function' !== typeof spacing ) return spacing;
+            return parseInt(spacing(this._jQuery ? $(this.sidebar) : this.sidebar)) || 0;
+        },
+
+        /**
+         * Gets top spacing of sidebar in stack group, the sidebar sticks below bottom
+         * edge of previous sidebars in the group while they are stuck. Positions of
+         * previous sidebars are computed from the current scroll, not from their last
+         * affix, so the order of scroll listeners doesn't matter.
+         * @private
+         * @param {Numeric} topSpacing - Top spacing of the sidebar itself.
+         * @return {Numeric}
+         */
+        _getStackSpacing: function(topSpacing){
+            var stack = StickySidebar.stacks[this.options.stackGroup] || [];
+            var axis = this.options.axis;
+            var viewportStart = StickySidebar.getAxisDimensions(this.dimensions, axis, this._rtl).viewportStart;
+            var edge = 0;
+
+            for( var i = 0; i < stack.length && stack[i] !== this; i++ ){
+                var member = stack[i], dimensions = StickySidebar.getAxisDimensions(member.dimensions, axis, member._rtl);
+                var spacing = member._getSpacing(member.options.topSpacing) + member._offsetSpacing.top;
+
+                var memberTop = Math.max(spacing, edge);
+
+                // Bottom edge of the member relative to the viewport, it moves up when
+                // the member is pushed out by the end of its container.
+                edge = Math.min(memberTop + dimensions.sidebarSize, dimensions.containerEnd - viewportStart);
+            }
+
+            return Math.max(topSpacing, edge);
+        },
+
+        /**
+         * Detarmine wheather the inner wrapper scrolls on its own, `scroll` overflow mode.
+         * @public
+         * @return {Boolean}
+         */
+        isOverflowScroll: function(){
+            return 'scroll' === this.options.overflowMode && 'y' === this.options.axis;
+        },
+
+        /**
+         * Detarmine wheather the sidebar is bigger than viewport.
+         * @public
+         * @return {Boolean}
+         */
+        isSidebarFitsViewport: function(){
+            var keys = StickySidebar.AXES[this.options.axis];
+            return this.dimensions[keys.sidebarSize] < this.dimensions[keys.viewportSize];
+        },
+
+        /**
+         * Detarmine wheather the page is scrolling to top.
+         * @public
+         * @return {Boolean}
+         */
+        isScrollingTop: function(){
+            return this.dimensions.viewportTop < this.dimensions.lastViewportTop;
+        },
+
+        /**
+         * Detarmine wheather the page is scrolling to left.
+         * @public
+         * @return {Boolean}
+         */
+        isScrollingLeft: function(){
+            return this.dimensions.viewportLeft < this.dimensions.lastViewportLeft;
+        },
+
+        /**
+         * Gets affix type of sidebar according to current scrollTop and scrollLeft,
+         * updates the dimensions with translate and scroll position of the result.
+         * @public
+         * @return {String|False} - Proper affix type.
+         */
+        getAffixType: function(){
+            var affix = this._computeAffix();
+
+            StickySidebar.extend(this.dimensions, affix.dimensions);
+            return affix.affixType;
+        },
+
+        /**
+         * Computes affix type of sidebar according to current scrollTop and scrollLeft,
+         * translate and scroll position of the result are returned to be saved to the
+         * dimensions once the affix is applied.
+         * @private
+         * @return {Object} - `affixType` and the `dimensions` to save.
+         */
+        _computeAffix: function(){
+            var dimensions = this.dimensions, options = this.options;
+            var keys = StickySidebar.AXES[options.axis], pending = {};
+
+            this._calcDimensionsWithScroll();
+
+            var result = StickySidebar.computeAffix(StickySidebar.getAxisDimensions(dimensions, options.axis, this._rtl), {
+                affixedType: this.affixedType,
+                scrollDistance: dimensions.scrollDistance,
+                anchor: options.anchor,
+                reveal: options.reveal && 'y' === options.axis,
+                revealTolerance: options.revealTolerance,
+                overflowScroll: this.isOverflowScroll()
+            });
+
+            pending[keys.translate] = result.translate;
+            pending[keys.lastViewportStart] = dimensions[keys.viewportStart];
+            pending.scrollDistance = result.scrollDistance;
+
+            return {affixType: StickySidebar.toAxisAffixType(result.affixType, options.axis, this._rtl), dimensions: pending};
+        },
+
+        /**
+         * Gets inline style of sticky sidebar wrapper and inner wrapper according
+         * to its affix type.
+         * @private
+         * @param {String} affixType - Affix type of sticky sidebar.
+         * @param {Object} dimensions - Dimensions to compute the style from, current dimensions by default.
+         * @return {Object}
+         */
+        _getStyle: function(affixType, dimensions){
+            if( 'undefined' === typeof affixType ) return;
+
+            var style = {inner: {}, outer: {}};
+            dimensions = dimensions || this.dimensions;
+
+            // Fixed sidebar keeps its horizontal place, it's placed from the right edge in RTL.
+            var left = dimensions.sidebarLeft - dimensions.viewportLeft + dimensions.viewportOffsetLeft;
+            var inline = this._rtl ? {right: dimensions.clientWidth - left - dimensions.sidebarWidth} : {left: left};
+
+            // Spacing of left and right edges in horizontal axis, which starts at the right edge in RTL.
+            var leftSpacing = this._rtl ? dimensions.bottomSpacing : dimensions.topSpacing,
+                rightSpacing = this._rtl ? dimensions.topSpacing : dimensions.bottomSpacing,
+                translateX = this._rtl ? -dimensions.translateX : dimensions.translateX;
+
+            switch( affixType ){
+                case 'VIEWPORT-TOP':
+                case 'VIEWPORT-REVEALED':
+                    style.inner = StickySidebar.extend({position: 'fixed', top: dimensions.topSpacing + dimensions.viewportOffsetTop,
+                            width: dimensions.sidebarWidth}, inline);
+                    break;
+                case 'VIEWPORT-HIDDEN':
+                    style.inner = StickySidebar.extend({position: 'fixed', top: dimensions.topSpacing + dimensions.viewportOffsetTop,
+                            width: dimensions.sidebarWidth}, inline);
+
+                    // Slide the sidebar out above the top edge of the viewport.
+                    var hiddenY = -(dimensions.sidebarHeight + dimensions.topSpacing + dimensions.viewportOffsetTop);
+
+                    if( StickySidebar.supportTransform(true) )
+                        style.inner.transform = 'translate3d(0, '+ hiddenY +'px, 0)';
+
+                    else if ( StickySidebar.supportTransform() )
+                        style.inner.transform = 'translate(0, '+ hiddenY +'px)';
+
+                    else
+                        style.inner.top = hiddenY;
+                    break;
+                case 'VIEWPORT-BOTTOM':
+                    style.inner = StickySidebar.extend({position: 'fixed', top: 'auto',
+                            bottom: dimensions.bottomSpacing + dimensions.viewportOffsetBottom,
+                            width: dimensions.sidebarWidth}, inline);
+                    break;
+                case 'CONTAINER-BOTTOM':
+                case 'VIEWPORT-UNBOTTOM':
+                case 'CONTAINER-TOP':
+                case 'VIEWPORT-UNTOP':
+                     style.inner = {position: 'absolute', top: dimensions.containerTop + dimensions.translateY};
+
+                    if( StickySidebar.supportTransform(true) )
+                        style.inner = {transform: 'translate3d(0, '+ dimensions.translateY +'px, 0)'};
+
+                    else if ( StickySidebar.supportTransform() )
+                        style.inner = {transform: 'translate(0, '+ dimensions.translateY +'px)'};
+                    break;
+                case 'VIEWPORT-LEFT':
+                    style.inner = {position: 'fixed', left: leftSpacing + dimensions.viewportOffsetLeft,
+                            top: dimensions.sidebarTop - dimensions.viewportTop + dimensions.viewportOffsetTop,
+                            width: dimensions.sidebarWidth};
+                    break;
+                case 'VIEWPORT-RIGHT':
+                    style.inner = {position: 'fixed', left: 'auto',
+                            right: rightSpacing + dimensions.viewportOffsetRight,
+                            top: dimensions.sidebarTop - dimensions.viewportTop + dimensions.viewportOffsetTop,
+                            width: dimensions.sidebarWidth};
+                    break;
+                case 'CONTAINER-RIGHT':
+                case 'VIEWPORT-UNRIGHT':
+                case 'CONTAINER-LEFT':
+                case 'VIEWPORT-UNLEFT':
+                    style.inner = {position: 'absolute', left: dimensions.containerLeft + translateX};
+
+                    if( StickySidebar.supportTransform(true) )
+                        style.inner = {transform: 'translate3d('+ translateX +'px, 0, 0)'};
+
+                    else if ( StickySidebar.supportTransform() )
+                        style.inner = {transform: 'translate('+ translateX +'px, 0)'};
+                    break;
+            }
+
+            switch( affixType ){
+                case 'VIEWPORT-TOP':
+                case 'VIEWPORT-BOTTOM':
+                case 'VIEWPORT-UNBOTTOM':
+                case 'VIEWPORT-REVEALED':
+                case 'VIEWPORT-HIDDEN':
+                case 'CONTAINER-BOTTOM':
+                case 'CONTAINER-TOP':
+                case 'VIEWPORT-UNTOP':
+                    style.outer = {height: dimensions.sidebarHeight, position: 'relative'};
+                    break;
+                case 'VIEWPORT-LEFT':
+                case 'VIEWPORT-RIGHT':
+                case 'VIEWPORT-UNRIGHT':
+                case 'CONTAINER-RIGHT':
+                case 'VIEWPORT-UNLEFT':
+                case 'CONTAINER-LEFT':
+                    style.outer = {width: dimensions.sidebarWidth, height: dimensions.sidebarHeight, position: 'relative'};
+                    break;
+            }
+
+            if( this.isOverflowScroll() ){
+                style.inner.maxHeight = dimensions.sidebarMaxHeight;
+                style.inner.overflowY = 'auto';
+            }
+
+            style.outer = StickySidebar.extend({}, {width: '', height: '', position: ''}, style.outer);
+            style.inner = StickySidebar.extend({}, {position: 'relative', top: '', left: '', right: '', bottom: '', width: '',  transform: '',
+                maxHeight: '', overflowY: ''}, style.inner);
+
+            return style;
+       },
+
+        /**
+         * Cause the sidebar to be sticky according to affix type by adding inline
+         * style, adding helper class and trigger events.
+         * @function
+         * @protected
+         * @param {string} force - Update sticky sidebar position by force.
+         */
+       stickyPosition: function(force){
+            var position = this._readPosition(force);
+
+            if( position ) this._writePosition(position, force);
+        },
+
+        /**
+         * Read phase of positioning the sidebar, reads the layout to get affix type and
+         * inline style of the sidebar without changing the DOM. When the affix is animated
+         * the current position of the inner wrapper is read too, the transition starts from it.
+         * @private
+         * @param {Boolean} force - The style will be applied even if affix type isn't changed.
+         * @return {Object|False} - Affix type, dimensions to save, style and transition start, false when
+         *  sidebar isn't positioned.
+         */
+        _readPosition: function(force){
+            if( ! StickySidebar.isVisible(this.sidebar) || this._breakpoint || this._nativeSticky ) return false;
+
+            // Dimensions of the new affix are saved in the write phase, unless `affix` event is prevented.
+            var affix = this._computeAffix(), affixType = affix.affixType;
+            var position = {affixType: affixType, dimensions: affix.dimensions,
+                style: this._getStyle(affixType, StickySidebar.extend({}, this.dimensions, affix.dimensions)), transitionFrom: false};
+
+            if( affixType && (this.affixedType !== affixType || force) && this._isTransitionable(this.affixedType, affixType) )
+                position.transitionFrom = this.sidebarInner.getBoundingClientRect().top;
+
+            return position;
+        },
+
+        /**
+         * Write phase of positioning the sidebar, applies the affix type and inline style
+         * from the read phase.
+         * @private
+         * @param {Object} position - Returned from `_readPosition`.
+         * @param {Boolean} force - Apply the style even if affix type isn't changed.
+         */
+        _writePosition: function(position, force){
+            var affixType = position.affixType, style = position.style;
+
+            force = force || false;
+
+            if( (this.affixedType != affixType || force) && affixType ){
+                this._affix(affixType, style, position.transitionFrom, position.dimensions);
+                return;
+            }
+
+            StickySidebar.extend(this.dimensions, position.dimensions);
+
+            if( this._initialized ){
+                // Keep fixed sidebar aligned when the page scrolls along the other axis,
+                // when the page moves the scroll container or stacked sidebars move.
+                if( window !== this.scrollContainer || this.options.stackGroup )
+                    StickySidebar.css(this.sidebarInner, {top: style.inner.top, left: style.inner.left,
+                        bottom: style.inner.bottom, right: style.inner.right});
+
+                else if( 'x' === this.options.axis )
+                    StickySidebar.css(this.sidebarInner, {top: style.inner.top});
+                else
+                    StickySidebar.css(this.sidebarInner, {left: style.inner.left, right: style.inner.right});
+            }
+
+            // Keep the last known affix type when there is no new one, so `previousType`
+            // of affix events is always one of the affix types.
+            if( affixType ) this.affixedType = affixType;
+        },
+
+        /**
+         * Apply the given affix type on the sidebar, triggers affix events, toggles sticky
+         * class and sets the inline style if given. Nothing is changed when a listener
+         * of `affix` event calls `preventDefault()`, not even the dimensions of the new
+         * affix, so the affix is tried again on next scroll.
+         * @private
+         * @param {String} affixType - Affix type of sticky sidebar.
+         * @param {Object} style - Inline style of sidebar wrapper and inner wrapper.
+         * @param {Numeric|False} transitionFrom - Top edge of the inner wrapper from the read phase to animate from.
+         * @param {Object} dimensions - Dimensions of the new affix to save, from the read phase.
+         */
+        _affix: function(affixType, style, transitionFrom, dimensions){
+            var eventName = StickySidebar.getEventName(affixType);
+            var detail = {
+                previousType: this.affixedType,
+                type: affixType,
+                dimensions: StickySidebar.extend({}, this.dimensions, dimensions)
+            };
+
+            if( ! this._trigger('affix.' + eventName, detail) ) return;
+
+            StickySidebar.extend(this.dimensions, dimensions);
+
+            if( style ) this._stopTransition();
+
+            if( 'STATIC' === affixType )
+                this.sidebar.classList.remove(this.options.stickyClass);
+            else
+                this.sidebar.classList.add(this.options.stickyClass);
+
+            if( style ){
+                StickySidebar.css(this.sidebar, style.outer);
+                StickySidebar.css(this.sidebarInner, style.inner);
+            }
+
+            this.affixedType = affixType;
+
+            if( style && 'number' === typeof transitionFrom ) this._startTransition(transitionFrom, affixType, style);
+
+            this._trigger('affixed.' + eventName, detail);
+        },
+
+        /**
+         * Detarmine wheather the change between the given affix types is animated. Reveal
+         * slides are left to CSS transition of the inner wrapper.
+         * @private
+         * @param {String} from - Previous affix type.
+         * @param {String} to - New affix type.
+         * @return {Boolean}
+         */
+        _isTransitionable: function(from, to){
+            if( ! this.options.transition || ! this._initialized || 'y' !== this.options.axis ) return false;
+
+            if( /HIDDEN|REVEALED/.test(from + to) ) return false;
+
+            return Boolean(StickySidebar.supportTransform()) &&
+                ! StickySidebar.matchMedia('(prefers-reduced-motion: reduce)');
+        },
+
+        /**
+         * Start transition of the inner wrapper from the given position to the position
+         * of the applied style, the wrapper is moved back by transform then the offset
+         * eases out to zero. It runs in the write phase, so the new position is computed
+         * from the dimensions instead of reading the layout.
+         * @private
+         * @param {Numeric} fromTop - Top edge of the inner wrapper in the screen viewport before affix.
+         * @param {String} affixType - Applied affix type.
+         * @param {Object} style - Style applied by the affix.
+         */
+        _startTransition: function(fromTop, affixType, style){
+            var dimensions = this.dimensions;
+            var top = this._getInnerTop(affixType);
+            var offset = fromTop - top;
+
+            if( Math.abs(offset) < 1 ) return;
+
+            this._transition = {
+                offset: offset,
+                start: StickySidebar.now(),
+                transform: style.inner.transform || '',
+                translate3d: Boolean(StickySidebar.supportTransform(true)),
+                fixed: 'fixed' === style.inner.position,
+                top: top,
+                height: dimensions.sidebarHeight,
+                scrollTop: dimensions.viewportTop,
+                frame: false
+            };
+
+            // The first step runs in the write phase, so it takes the scroll position read before.
+            this._stepTransition(dimensions.viewportTop);
+        },
+
+        /**
+         * Gets top edge of the inner wrapper in the screen viewport at the given vertical
+         * affix type, computed from the dimensions.
+         * @private
+         * @param {String} affixType
+         * @return {Numeric}
+         */
+        _getInnerTop: function(affixType){
+            var dimensions = this.dimensions;
+
+            switch( affixType ){
+                case 'VIEWPORT-TOP':
+                    return dimensions.topSpacing + dimensions.viewportOffsetTop;
+                case 'VIEWPORT-BOTTOM':
+                    return dimensions.viewportOffsetTop + dimensions.viewportHeight - dimensions.bottomSpacing - dimensions.sidebarHeight;
+            }
+
+            var translateY = 'STATIC' === affixType ? 0 : dimensions.translateY;
+            return dimensions.sidebarTop + translateY - dimensions.viewportTop + dimensions.viewportOffsetTop;
+        },
+
+        /**
+         * Move the inner wrapper to the current offset of the transition. The offset is
+         * clamped to keep the wrapper within its container, the exact position of the
+         * affix type is restored when the transition ends.
+         * @private
+         * @param {Numeric} scrollTop - Current scroll position, read from the scroll container if not given.
+         */
+        _stepTransition: function(scrollTop){
+            var transition = this._transition, options = this.options;
+            if( ! transition ) return;
+
+            var progress = options.transitionDuration > 0 ?
+                (StickySidebar.now() - transition.start) / options.transitionDuration : 1;
+
+            if( progress >= 1 ){
+                this._stopTransition();
+                return;
+            }
+
+            var easing = 'function' === typeof options.transitionEasing ?
+                options.transitionEasing : StickySidebar.EASINGS[options.transitionEasing];
+            var offset = transition.offset * (1 - easing(Math.max(0, progress)));
+
+            // Fixed wrapper stays in the screen viewport while the container scrolls under it.
+            var dimensions = this.dimensions;
+            if( 'number' !== typeof scrollTop ) scrollTop = this._getScrollTop();
+
+            var top = transition.fixed ? transition.top : transition.top - (scrollTop - transition.scrollTop);
+            var containerTop = dimensions.containerTop - scrollTop + dimensions.viewportOffsetTop;
+
+            offset = Math.max(offset, containerTop - top);
+            offset = Math.min(offset, containerTop + dimensions.containerHeight - top - transition.height);
+
+            var translate = transition.translate3d ? 'translate3d(0, '+ offset +'px, 0)' : 'translate(0, '+ offset +'px)';
+
+            StickySidebar.css(this.sidebarInner, {transform: transition.transform ? transition.transform + ' ' + translate : translate});
+
+            transition.frame = StickySidebar.requestFrame(function(){
+                if( transition === this._transition ) this._stepTransition();
+            }.bind(this));
+        },
+
+        /**
+         * Stop the running transition and put the inner wrapper at the exact position
+         * of its affix type.
+         * @private
+         */
+        _stopTransition: function(){
+            var transition = this._transition;
+            if( ! transition ) return;
+
+            this._transition = null;
+
+            if( false !== transition.frame ) StickySidebar.cancelFrame(transition.frame);
+            StickySidebar.css(this.sidebarInner, {transform: transition.transform});
+        },
+
+        /**
+         * Detarmine wheather the sidebar can be handled by CSS `position: sticky`.
+         * @public
+         * @return {Boolean}
+         */
+        isNativeSticky: function(){
+            var options = this.options;
+
+            return Boolean(options.nativeSticky && StickySidebar.supportSticky() &&
+                ! this._breakpoint && 'y' === options.axis && 'top' === options.anchor && ! options.reveal &&
+                ! options.stackGroup && ! this.isOverflowScroll() && this.isSidebarFitsViewport() &&
+                this._isSidebarSpansContainer());
+        },
+
+        /**
+         * Detarmine wheather the sidebar reaches the bottom of its container content, native
+         * sticky element stops at the end of its parent, so there is no room to stick in a
+         * sidebar that is only as tall as its content.
+         * @private
+         * @return {Boolean}
+         */
+        _isSidebarSpansContainer: function(){
+            var style = window.getComputedStyle(this.container);
+            var containerBottom = this.container.getBoundingClientRect().bottom -
+                (parseFloat(style.paddingBottom) || 0) - (parseFloat(style.borderBottomWidth) || 0);
+
+            return this.sidebar.getBoundingClientRect().bottom >= containerBottom - 1;
+        },
+
+        /**
+         * Switch to native sticky when the sidebar fits the viewport and back to the
+         * scroll engine when it doesn't, refreshes native sticky offsets.
+         * @private
+         */
+        _updateNativeSticky: function(){
+            var isNative = this.isNativeSticky();
+
+            if( isNative && ! this._nativeSticky ) this._enableNativeSticky();
+            else if( ! isNative && this._nativeSticky ) this._disableNativeSticky();
+
+            if( ! this._nativeSticky ) return;
+
+            StickySidebar.css(this.sidebarInner, {top: this.dimensions.topSpacing});
+
+            // Root margins of the observers depend on top spacing and sidebar height.
+            this._nativeSticky.observers.forEach(function(observer){ observer.disconnect(); });
+            this._nativeSticky.observers = [
+                this._observeSentinel('top', this.dimensions.topSpacing),
+                this._observeSentinel('bottom', this.dimensions.topSpacing + this.dimensions.sidebarHeight)
+            ];
+        },
+
+        /**
+         * Make the inner wrapper natively sticky and insert sentinels at the top and
+         * bottom edges of the sidebar. The bottom sentinel is pinned to the bottom edge
+         * of the sidebar, the inner wrapper stops sticking when it reaches that edge.
+         * @private
+         */
+        _enableNativeSticky: function(){
+            var top = document.createElement('div'),
+                bottom = document.createElement('div');
+
+            top.className = bottom.className = 'sticky-sidebar-sentinel';
+            top.style.height = bottom.style.height = '0';
+            StickySidebar.css(bottom, {position: 'absolute', bottom: 0, left: 0, right: 0});
+
+            this.sidebar.insertBefore(top, this.sidebar.firstChild);
+            this.sidebar.appendChild(bottom);
+
+            this._stopTransition();
+            this._nativeSticky = {top: top, bottom: bottom, observers: [], topAbove: false, bottomAbove: false};
+
+            StickySidebar.css(this.sidebar, {height: '', position: 'relative'});
+            StickySidebar.css(this.sidebarInner, {position: StickySidebar.supportSticky(),
+                top: '', left: '', right: '', bottom: '', width: '', transform: ''});
+        },
+
+        /**
+         * Remove native sticky sentinels and observers, the scroll engine takes over.
+         * @private
+         */
+        _disableNativeSticky: function(){
+            var nativeSticky = this._nativeSticky;
+
+            nativeSticky.observers.forEach(function(observer){ observer.disconnect(); });
+
+            [nativeSticky.top, nativeSticky.bottom].forEach(function(sentinel){
+                if( sentinel.parentNode ) sentinel.parentNode.removeChild(sentinel);
+            });
+
+            StickySidebar.css(this.sidebar, {position: ''});
+            StickySidebar.css(this.sidebarInner, {position: '', top: ''});
+            this._nativeSticky = false;
+        },
+
+        /**
+         * Observe when sentinel passes the line that is `offset` pixels below the top
+         * edge of viewport.
+         * @private
+         * @param {String} edge - The edge of sidebar that sentinel marks, `top` or `bottom`.
+         * @param {Numeric} offset - Distance of the line from viewport top.
+         * @return {IntersectionObserver}
+         */
+        _observeSentinel: function(edge, offset){
+            var _this = this;
+            var observer = new window.IntersectionObserver(function(entries){
+                entries.forEach(function(entry){
+                    var rootTop = entry.rootBounds ? entry.rootBounds.top : 0;
+                    _this._nativeSticky[edge + 'Above'] = ! entry.isIntersecting && entry.boundingClientRect.top < rootTop;
+                });
+                _this._onNativeSticky();
+            }, {
+                root: window === this.scrollContainer ? null : this.scrollContainer,
+                rootMargin: (-offset) + 'px 0px 0px 0px',
+                threshold: [0]
+            });
+
+            observer.observe(this._nativeSticky[edge]);
+            return observer;
+        },
+
+        /**
+         * Detect affix type of native sticky sidebar from its sentinels and trigger affix
+         * events when it's changed.
+         * @private
+         */
+        _onNativeSticky: function(){
+            var nativeSticky = this._nativeSticky, affixType = 'STATIC';
+
+            if( ! nativeSticky ) return;
+
+            if( nativeSticky.bottomAbove ) affixType = 'CONTAINER-BOTTOM';
+            else if( nativeSticky.topAbove ) affixType = 'VIEWPORT-TOP';
+
+            if( this.affixedType !== affixType ) this._affix(affixType);
+        },
+
+        /**
+         * Breakdown sticky sidebar when window width is below `options.minWidth` value.
+         * @protected
+         */
+        _widthBreakpoint: function(){
+
+            if( ! this.options.enabled || document.documentElement.clientWidth <= this.options.minWidth ){
+                this._breakpoint = true;
+                this.affixedType = 'STATIC';
+
+                this.sidebar.removeAttribute('style');
+                this.sidebar.classList.remove(this.options.stickyClass);
+                this.sidebarInner.removeAttribute('style');
+            } else {
+                this._breakpoint = false;
+            }
+        },
+
+        /**
+         * Force re-calculate dimesnstions of sticky sidebar, container and screen viewport.
+         * @public
+         */
+        updateSticky: function(){
+            this.calcDimensions();
+            this._updateNativeSticky();
+            this.stickyPosition(true);
+
+            this._calcScrollSpy();
+            this._activate(this._readActiveItem());
+
+            // Offsets of the other sidebars in stack group depend on this one.
+            if( this.options.stackGroup ){
+                (StickySidebar.stacks[this.options.stackGroup] || []).forEach(function(member){
+                    if( member !== this && member._initialized ) member.stickyPosition(true);
+                }, this);
+            }
+
+            this._updateDebug();
+        },
+
+        /**
+         * Create or remove the debug overlay following `debug` option and redraw it, nothing
+         * is drawn when `sticky-sidebar-debug.js` isn't loaded.
+         * @private
+         */
+        _updateDebug: function(){
+            if( ! this._initialized ) return;
+
+            if( this.options.debug && ! this._debug && StickySidebar.Debug )
+                this._debug = new StickySidebar.Debug(this);
+
+            else if( ! this.options.debug && this._debug ){
+                this._debug.destroy();
+                this._debug = null;
+            }
+
+            if( this._debug ) this._debug.update();
+        },
+
+        /**
+         * Scroll the inner wrapper to bring the active item into view in `scroll`
+         * overflow mode, the page itself isn't scrolled.
+         * @public
+         */
+        scrollActiveIntoView: function(){
+            if( ! this.isOverflowScroll() || ! this.options.activeSelector ) return;
+
+            var active = this.sidebarInner.querySelector(this.options.activeSelector);
+
+            if( ! active ) return;
+
+            var innerRect = this.sidebarInner.getBoundingClientRect(),
+                activeRect = active.getBoundingClientRect();
+
+            if( activeRect.top < innerRect.top )
+                this.sidebarInner.scrollTop += activeRect.top - innerRect.top;
+
+            // Align bottom edges, unless the item is taller than the inner wrapper.
+            else if( activeRect.bottom > innerRect.bottom )
+                this.sidebarInner.scrollTop += Math.min(activeRect.bottom - innerRect.bottom, activeRect.top - innerRect.top);
+        },
+
+        /**
+         * Gets the scrollspy links inside the inner wrapper.
+         * @private
+         * @return {HTMLElement[]}
+         */
+        _getSpyLinks: function(){
+            var selector = true === this.options.scrollSpy ? 'a[href^="#"]' : this.options.scrollSpy;
+
+            if( ! selector ) return [];
+            return Array.prototype.slice.call(this.sidebarInner.querySelectorAll(selector));
+        },
+
+        /**
+         * Measures sections of scrollspy links, cached until dimensions are re-calculated.
+         * Links to missing or hidden sections are skipped.
+         * @private
+         */
+        _calcScrollSpy: function(){
+            this._spyItems = [];
+
+            this._getSpyLinks().forEach(function(link){
+                var href = link.getAttribute('href') || '';
+                var section = 1 < href.length && '#' === href.charAt(0) ?
+                    document.getElementById(decodeURIComponent(href.slice(1))) : null;
+
+                if( ! section || ! StickySidebar.isVisible(section) ) return;
+
+                this._spyItems.push({link: link, section: section, top: this._getOffset(section).top});
+            }, this);
+
+            this._spyItems.sort(function(a, b){ return a.top - b.top; });
+
+            if( window === this.scrollContainer ){
+                this._spyScrollHeight = document.documentElement.scrollHeight || document.body.scrollHeight;
+                this._spyViewportHeight = window.innerHeight;
+            } else {
+                this._spyScrollHeight = this.scrollContainer.scrollHeight;
+                this._spyViewportHeight = this.scrollContainer.clientHeight;
+            }
+        },
+
+        /**
+         * Gets the distance from top edge of the viewport where sections become active,
+         * sections scrolled by scrollspy land at it.
+         * @private
+         * @return {Numeric}
+         */
+        _getSpySpacing: function(){
+            return 'y' === this.options.axis ? this.dimensions.topSpacing || 0 : 0;
+        },
+
+        /**
+         * Read phase of scrollspy, gets the last section that reached top spacing. The last
+         * section is active at the end of the scroll even if it's too short to reach it.
+         * @private
+         * @return {Object|Null|False} - Active item, null if none is, false if scrollspy is off.
+         */
+        _readActiveItem: function(){
+            if( ! this.options.scrollSpy ) return this._activeLink ? null : false;
+
+            var items = this._spyItems, scrollTop = this._getScrollTop(), active = null;
+
+            if( ! items.length ) return null;
+
+            if( 0 < scrollTop && scrollTop + this._spyViewportHeight >= this._spyScrollHeight - 1 )
+                return items[items.length - 1];
+
+            // One pixel of tolerance for sections scrolled to by fractional offsets.
+            var threshold = scrollTop + this._getSpySpacing() + 1;
+
+            for( var i = 0; i < items.length && items[i].top <= threshold; i++ )
+                active = items[i];
+
+            return active;
+        },
+
+        /**
+         * Write phase of scrollspy, moves the active class to link of the given item and
+         * triggers `activate` event when another section becomes active.
+         * @private
+         * @param {Object|Null|False} item - Returned from `_readActiveItem`.
+         */
+        _activate: function(item){
+            if( false === item ) return;
+
+            var link = item ? item.link : null,
+                className = this.options.scrollSpyClass,
+                previousLink = this._activeLink;
+
+            if( link === previousLink && className === this._activeClass ) return;
+
+            if( previousLink ) previousLink.classList.remove(this._activeClass);
+
+            this._activeLink = link;
+            this._activeClass = className;
+
+            if( ! link ) return;
+
+            link.classList.add(className);
+
+            if( link !== previousLink )
+                this._trigger('activate', {link: link, section: item.section, previousLink: previousLink});
+        },
+
+        /**
+         * Scrolls to section of the clicked scrollspy link instead of jumping to it.
+         * @protected
+         * @param {Object} event - Event object passed from listener.
+         */
+        _onSpyClick: function(event){
+            if( ! this.options.scrollSpy || event.defaultPrevented ) return;
+
+            // Let the browser open the link in new tab or window.
+            if( event.button || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey ) return;
+
+            var links = this._getSpyLinks(), link = event.target;
+
+            while( link && link !== this.sidebarInner && -1 === links.indexOf(link) ) link = link.parentNode;
+
+            var item = this._spyItems.filter(function(item){ return item.link === link; })[0];
+            if( ! item ) return;
+
+            event.preventDefault();
+            this.scrollToSection(item.section);
+
+            if( window.history && 'function' === typeof window.history.pushState )
+                window.history.pushState(null, '', link.getAttribute('href'));
+        },
+
+        /**
+         * Scroll the page or the scroll container smoothly so that the given section lands
+         * right below top spacing, scrolls instantly when the user prefers reduced motion.
+         * @public
+         * @param {HTMLElement|String} section - Section element or selector.
+         */
+        scrollToSection: function(section){
+            section = StickySidebar.getElement(section);
+            if( ! section ) return;
+
+            var top = Math.max(0, this._getOffset(section).top - this._getSpySpacing());
+            var smooth = 'scrollBehavior' in document.documentElement.style &&
+                ! StickySidebar.matchMedia('(prefers-reduced-motion: reduce)');
+
+            if( window === this.scrollContainer ){
+                if( smooth ) window.scrollTo({top: top, behavior: 'smooth'});
+                else window.scrollTo(window.pageXOffset || document.documentElement.scrollLeft, top);
+                return;
+            }
+
+            if( smooth && 'function' === typeof this.scrollContainer.scrollTo )
+                this.scrollContainer.scrollTo({top: top, behavior: 'smooth'});
+            else
+                this.scrollContainer.scrollTop = top;
+        },
+
+        /**
+         * Change options of sticky sidebar at runtime without re-initializing it. Spacing
+         * is parsed again, the container is swapped if needed and sidebar is re-positioned.
+         * @public
+         * @param {Object} options - Options to change.
+         */
+        setOptions: function(options){
+            var previous = this.options,
+                newOptions = StickySidebar.extend({}, this._options, options);
+
+            this._validateOptions(newOptions);
+
+            if( ! this._initialized ){
+                this._options = newOptions;
+                this._responsiveQueries = false;
+                this._updateResponsive();
+                this._parseOptions();
+                return;
+            }
+
+            if( newOptions.responsive !== this._options.responsive ){
+                this._unbindMediaQueries();
+                this._options = newOptions;
+                this._bindMediaQueries();
+            } else {
+                this._options = newOptions;
+            }
+
+            this._responsiveQueries = false;
+            this._updateResponsive();
+            this._applyOptions(previous);
+            this.updateSticky();
+        },
+
+        /**
+         * Add resize sensor listener to specifc element, the sensor is shared between
+         * all listeners of the same element.
+         * @public
+         * @param {HTMLElement} element - Element to observe its size.
+         * @param {Function} callback - Called when the element is resized.
+         */
+        addResizerListener: function(element, callback){
+            if( ! element.resizeListeners ){
+                element.resizeListeners = [];
+                this._appendResizeSensor(element);
+            }
+
+            element.resizeListeners.push(callback);
+            this._resizeListeners.push({element: element, callback: callback});
+        },
+
+        /**
+         * Remove resize sonser listener from specific element, the sensor itself is
+         * removed once there are no more listeners on the element.
+         * @function
+         * @public
+         * @param {HTMLElement} element - Observed element.
+         * @param {Function} callback - The callback passed to `addResizerListener`.
+         */
+        removeResizeListener: function(element, callback){
+            var resizeListeners = element.resizeListeners;
+
+            if( ! resizeListeners ) return;
+
+            var index = resizeListeners.indexOf(callback);
+            if( -1 !== index ) resizeListeners.splice(index, 1);
+
+            this._resizeListeners = this._resizeListeners.filter(function(listener){
+                return listener.element !== element || listener.callback !== callback;
+            });
+
+            if( ! resizeListeners.length ){
+                this._removeResizeSensor(element);
+                delete element.resizeListeners;
+            }
+        },
+
+        /**
+         * Observe size changes of specific element, by ResizeObserver when the browser
+         * supports it otherwise by the legacy `<object>` sensor if it's enabled.
+         * @private
+         * @param {HTMLElement} element -
+         */
+        _appendResizeSensor: function(element){
+            var observer = StickySidebar.getResizeObserver();
+
+            if( observer ) observer.observe(element);
+
+            else if( this.options.resizeSensorFallback )
+                this._appendObjectSensor(element);
+        },
+
+        /**
+         * Stop observing size changes of specific element.
+         * @private
+         * @param {HTMLElement} element -
+         */
+        _removeResizeSensor: function(element){
+            if( element.resizeTrigger ){
+                this._removeObjectSensor(element);
+                return;
+            }
+
+            var observer = StickySidebar.getResizeObserver();
+
+            if( observer ) observer.unobserve(element);
+            delete element.resizeSize;
+        },
+
+        /**
+         * Append legacy resize sensor object on DOM in specific element.
+         * @private
+         * @param {HTMLElement} element -
+         */
+        _appendObjectSensor: function(element){
+            // The sensor object is absolutely positioned inside the element.
+            if( 'static' == window.getComputedStyle(element).position ){
+                element.resizeSensorPosition = element.style.position;
+                element.style.position = 'relative';
+            }
+
+            var wrapper = document.createElement('object');
+            var style = 'display: block; position: absolute; top: 0; left: 0; height: 100%; width: 100%;' +
+                    'overflow: hidden; pointer-events: none; z-index: -1;';
+
+            wrapper.setAttribute('style', style);
+            wrapper.resizeElement = element;
+
+            var _this = this;
+
+            wrapper.addEventListener('load', function(event){
+                this.contentDocument.defaultView.resizeTrigger = this.resizeElement;
+                this.contentDocument.defaultView.addEventListener('resize', _this._resizeListener);
+            });
+
+            wrapper.type = 'text/html';
+
+            if( StickySidebar.isIE() ) wrapper.data = 'about:blank';
+
+            element.resizeTrigger = wrapper;
+            element.appendChild(wrapper);
+        },
+
+        /**
+         * Remove legacy resize sensor object from specific element and restore its position.
+         * @private
+         * @param {HTMLElement} element -
+         */
+        _removeObjectSensor: function(element){
+            var resizeTrigger = element.resizeTrigger;
+            var _window = resizeTrigger.contentDocument && resizeTrigger.contentDocument.defaultView;
+
+            if( _window ) _window.removeEventListener('resize', this._resizeListener);
+
+            if( resizeTrigger.parentNode === element ) element.removeChild(resizeTrigger);
+
+            if( 'undefined' !== typeof element.resizeSensorPosition ){
+                element.style.position = element.resizeSensorPosition;
+                delete element.resizeSensorPosition;
+            }
+
+            delete element.resizeTrigger;
+        },
+
+        /**
+         * Legacy resize sensor listener to call callbacks of trigger.
+         * @private
+         * @param {Object} event - Event object passed from listener.
+         */
+        _resizeListener: function(event){
+            var _window = event.target || event.srcElement;
+            var trigger = _window.resizeTrigger;
+
+            StickySidebar.callResizeListeners(trigger, event);
+        },
+
+        /**
+         * Destroy sticky sidebar plugin, removes its listeners and resize sensors, unwraps
+         * the inner wrapper created by the plugin and restores original inline style.
+         * @public
+         */
+        destroy: function(){
+            if( ! this._initialized ) return;
+
+            window.removeEventListener('resize', this._onResize);
+            window.removeEventListener('scroll', this._onScroll);
+
+            if( window !== this.scrollContainer )
+                this.scrollContainer.removeEventListener('scroll', this._onScroll);
+
+            StickySidebar.scheduler.cancel(this);
+            this._stopTransition();
+
+            this._unbindMediaQueries();
+
+            this.sidebar.removeEventListener('update' + StickySidebar.EVENT_KEY, this.updateSticky);
+            this.sidebarInner.removeEventListener('click', this._onSpyClick);
+
+            if( $ ){
+                $(this.sidebar)
+                    .off('update' + StickySidebar.EVENT_KEY, this.updateSticky)
+                    .removeData('stickySidebar');
+            }
+
+            if( this.options.stackGroup )
+                StickySidebar.removeFromStack(this);
+
+            if( this._nativeSticky )
+                this._disableNativeSticky();
+
+            this._resizeListeners.slice().forEach(function(listener){
+                this.removeResizeListener(listener.element, listener.callback);
+            }, this);
+
+            if( this._activeObserver ){
+                this._activeObserver.disconnect();
+                this._activeObserver = null;
+            }
+
+            if( this._addedTabIndex )
+                this.sidebarInner.removeAttribute('tabindex');
+
+            if( this._activeLink ){
+                this._activeLink.classList.remove(this._activeClass);
+                this._activeLink = null;
+            }
+
+            if( this._debug ){
+                this._debug.destroy();
+                this._debug = null;
+            }
+
+            this.sidebar.classList.remove(this.options.stickyClass);
+
+            // Unwrap the inner wrapper if it's created by the plugin.
+            if( this._createdInnerWrapper ){
+                while( this.sidebarInner.firstChild )
+                    this.sidebar.insertBefore(this.sidebarInner.firstChild, this.sidebarInner);
+
+                this.sidebar.removeChild(this.sidebarInner);
+            } else {
+                StickySidebar.restoreStyle(this.sidebarInner, this._originalStyle.inner);
+            }
+
+            StickySidebar.restoreStyle(this.sidebar, this._originalStyle.sidebar);
+
+            if( this.sidebar.stickySidebar === this )
+                delete this.sidebar.stickySidebar;
+
+            this._initialized = false;
+        }
+    };
+
+    /**
+     * Parse options of sticky sidebar from `data-*` attributes of the element,
+     * converts values the same way as jQuery `.data()` does.
+     * @param {HTMLElement} element
+     * @return {Object}
+     */
+    function _dataOptions(element){
+        var options = {};
+
+        Array.prototype.forEach.call(element.attributes, function(attribute){
+            if( 0 !== attribute.name.indexOf('data-') ) return;
+
+            options[_camelCase(attribute.name.slice(5))] = _parseAttribute(attribute.value);
+        });
+
+        return options;
+    }
+
+    /**
+     * Convert dashed attribute name to camel case option name.
+     * @param {String} name
+     * @return {String}
+     */
+    function _camelCase(name){
+        return name.replace(/-([a-z])/g, function(all, letter){
+            return letter.toUpperCase();
+        });
+    }
+
+    /**
+     * Convert camel case option name to dashed attribute name.
+     * @param {String} option
+     * @return {String}
+     */
+    function _kebabCase(option){
+        return option.replace(/[A-Z]/g, '-$&').toLowerCase();
+    }
+
+    /**
+     * Convert attribute value to boolean, null, number or JSON object if it looks so.
+     * @param {String} value
+     * @return {*}
+     */
+    function _parseAttribute(value){
+        if( 'true' === value ) return true;
+        if( 'false' === value ) return false;
+        if( 'null' === value ) return null;
+        if( value === +value + '' ) return +value;
+
+        if( /^(?:\{[\w\W]*\}|\[[\w\W]*\])$/.test(value) ){
+            try { return JSON.parse(value); } catch(e) {}
+        }
+
+        return value;
+    }
+
+    /**
+     * Sticky Sidebar jQuery Adapter, only defined when jQuery is loaded.
+     */
+    if( $ ){
+
+        /**
+         * Sticky Sidebar Plugin Defintion.
+         * @param {Object|String} - config
+         */
+        var _jQueryPlugin = function(config){
+            var args = Array.prototype.slice.call(arguments, 1);
+
+            return this.each(function(){
+                var $this = $(this),
+                    data = $(this).data('stickySidebar');
+
+                if( ! data ){
+                    data = new StickySidebar($this, typeof config == 'object' && config);
+                    $this.data('stickySidebar', data);
+                }
+
+                if( 'string' === typeof config){
+                    if (data[config] === undefined && ['destroy', 'updateSticky'].indexOf(config) === -1) {
+                        throw new Error('No method named "'+ config +'"');
+                    }
+                    data[config].apply(data, args);
+                }
+            });
+        };
+
+        var old = $.fn.stickySidebar;
+
+        $.fn.stickySidebar = _jQueryPlugin;
+        $.fn.stickySidebar.Constructor = StickySidebar;
+
+        /**
+         * jQuery objects of sidebar, inner wrapper and container elements, kept for
+         * code written against earlier versions of the plugin.
+         */
+        Object.defineProperties(StickySidebar.prototype, {
+            $sidebar: {configurable: true, get: function(){ return $(this.sidebar); }},
+            $sidebarInner: {configurable: true, get: function(){ return $(this.sidebarInner); }},
+            $container: {configurable: true, get: function(){ return $(this.container); }}
+        });
+
+        /**
+         * Sticky Sidebar No Conflict.
+         */
+        $.fn.stickySidebar.noConflict = function(){
+            $.fn.stickySidebar = old;
+            return this;
+        };
+    }
+
+    /**
+     * Sticky sidebar of `<sticky-sidebar>` element, also dispatches affix events as
+     * `sticky-affix` and `sticky-affixed` events of the element. Plain `affix` type would
+     * run jQuery handlers of all namespaced affix events, like `affix.top.sticky`.
+     * @private
+     * @constructor
+     * @param {HTMLElement} element - The custom element.
+     * @param {Object} options - Options read from attributes.
+     */
+    function ElementStickySidebar(element, options){
+        StickySidebar.call(this, element, options);
+    }
+
+    ElementStickySidebar.prototype = Object.create(StickySidebar.prototype);
+    ElementStickySidebar.prototype.constructor = ElementStickySidebar;
+
+    ElementStickySidebar.prototype._trigger = function(eventName, detail){
+        var result = StickySidebar.prototype._trigger.call(this, eventName, detail);
+        var type = eventName.split('.')[0];
+
+        if( 'affix' === type || 'affixed' === type )
+            result = this.sidebar.dispatchEvent(StickySidebar.createEvent('sticky-' + type, detail)) && result;
+
+        return result;
+    };
+
+    /**
+     * Gets attributes of `<sticky-sidebar>` element mapped to option names, attributes
+     * are options in kebab-case and `container` is alias of `container-selector`.
+     * @return {Object}
+     */
+    function _elementAttributes(){
+        var attributes = {container: 'containerSelector'};
+
+        Object.keys(StickySidebar.DEFAULTS).forEach(function(option){
+            attributes[_kebabCase(option)] = option;
+        });
+
+        return attributes;
+    }
+
+    /**
+     * Parse value of `<sticky-sidebar>` attribute, attribute without value is true.
+     * @param {String} value
+     * @return {*}
+     */
+    function _elementValue(value){
+        return '' === value ? true : _parseAttribute(value);
+    }
+
+    /**
+     * Define `<sticky-sidebar>` custom element, or element of the given name. The element
+     * is sticky while it's connected to the document, its attributes are the options and
+     * changes of them are applied live. Does nothing if custom elements aren't supported
+     * or there is no document, e.g. in server-side rendering.
+     * @function
+     * @static
+     * @param {String} tagName - Name of the element, `sticky-sidebar` by default.
+     * @return {Function|False} - Constructor of the element.
+     */
+    StickySidebar.defineElement = function(tagName){
+        var customElements = window.customElements, attributes = _elementAttributes();
+
+        tagName = tagName || 'sticky-sidebar';
+
+        if( ! document || ! customElements || 'undefined' === typeof Reflect ) return false;
+        if( customElements.get(tagName) ) return customElements.get(tagName);
+
+        // Custom elements are constructed by `HTMLElement` that ES5 can't call by `super()`.
+        function StickySidebarElement(){
+            return Reflect.construct(window.HTMLElement, [], StickySidebarElement);
+        }
+
+        StickySidebarElement.observedAttributes = Object.keys(attributes);
+        StickySidebarElement.prototype = Object.create(window.HTMLElement.prototype);
+        Object.setPrototypeOf(StickySidebarElement, window.HTMLElement);
+
+        StickySidebar.extend(StickySidebarElement.prototype, {
+            constructor: StickySidebarElement,
+
+            connectedCallback: function(){
+                var element = this, options = {};
+
+                if( this.stickySidebar ) return;
+
+                // Children of the element aren't parsed yet.
+                if( 'loading' === document.readyState ){
+                    document.addEventListener('DOMContentLoaded', function(){
+                        if( element.isConnected ) element.connectedCallback();
+                    });
+                    return;
+                }
+
+                Object.keys(attributes).forEach(function(name){
+                    if( element.hasAttribute(name) )
+                        options[attributes[name]] = _elementValue(element.getAttribute(name));
+                });
+
+                this.stickySidebar = new ElementStickySidebar(this, options);
+            },
+
+            disconnectedCallback: function(){
+                if( this.stickySidebar ) this.stickySidebar.destroy();
+            },
+
+            attributeChangedCallback: function(name, oldValue, value){
+                var option = attributes[name], options = {};
+
+                if( ! this.stickySidebar || oldValue === value ) return;
+
+                // Options that can't be changed are applied by re-creating the sidebar.
+                if( -1 !== StickySidebar.STATIC_OPTIONS.indexOf(option) ){
+                    this.disconnectedCallback();
+                    this.connectedCallback();
+                    return;
+                }
+
+                options[option] = null === value ? StickySidebar.DEFAULTS[option] : _elementValue(value);
+                this.stickySidebar.setOptions(options);
+            }
+        });
+
+        customElements.define(tagName, StickySidebarElement);
+        return StickySidebarElement;
+    };
+
+    /**
+     * Gets options of Data-API sidebar from its `data-*` attributes and the closest
+     * `data-sticky-sidebar-container` element.
+     * @param {HTMLElement} sidebar
+     * @return {Object}
+     */
+    function _dataApiOptions(sidebar){
+        var options = _dataOptions(sidebar);
+        var container = StickySidebar.closest(sidebar, '[data-sticky-sidebar-container]');
+
+        if( container )
+            options.containerSelector = container;
+
+        return options;
+    }
+
+    /**
+     * Gets sticky sidebar instance of Data-API sidebar element.
+     * @param {HTMLElement} sidebar
+     * @return {StickySidebar|Undefined}
+     */
+    function _dataApiInstance(sidebar){
+        return $ ? $(sidebar).data('stickySidebar') : sidebar.stickySidebar;
+    }
+
+    /**
+     * Initialize sticky sidebar of Data-API sidebar element, via jQuery if it's loaded.
+     * @param {HTMLElement} sidebar
+     */
+    function _dataApiInit(sidebar){
+        if( _dataApiInstance(sidebar) ) return;
+
+        if( $ ) $.fn.stickySidebar.call($(sidebar), _dataApiOptions(sidebar));
+        else sidebar.stickySidebar = new StickySidebar(sidebar, _dataApiOptions(sidebar));
+    }
+
+    /**
+     * Initialize, update or destroy sticky sidebar of the Data-API sidebar element
+     * according to whether it's in the document and to its current attributes.
+     * @param {HTMLElement} sidebar
+     */
+    function _dataApiRefresh(sidebar){
+        var instance = _dataApiInstance(sidebar);
+
+        if( ! document.documentElement.contains(sidebar) || ! sidebar.hasAttribute('data-sticky-sidebar') ){
+            if( instance ) instance.destroy();
+            return;
+        }
+
+        if( ! instance ){
+            _dataApiInit(sidebar);
+            return;
+        }
+
+        // Options missing from attributes return to their defaults.
+        var updated = StickySidebar.applyOptions(instance, _dataApiOptions(sidebar));
+
+        if( updated === instance ) return;
+
+        // Re-created sidebar is kept where `_dataApiInit()` keeps it.
+        if( $ ) $(sidebar).data('stickySidebar', updated);
+        else sidebar.stickySidebar = updated;
+    }
+
+    /**
+     * Gets Data-API sidebars of the given node, including the node itself.
+     * @param {Node} node
+     * @return {HTMLElement[]}
+     */
+    function _dataApiSidebars(node){
+        if( 1 !== node.nodeType ) return [];
+
+        var sidebars = Array.prototype.slice.call(node.querySelectorAll('[data-sticky-sidebar]'));
+
+        if( node.hasAttribute('data-sticky-sidebar') ) sidebars.unshift(node);
+        return sidebars;
+    }
+
+    /**
+     * Handles DOM mutations in observer mode, collects the affected sidebars and
+     * refreshes each of them once.
+     * @param {MutationRecord[]} mutations
+     */
+    function _onDataApiMutation(mutations){
+        var sidebars = [];
+
+        mutations.forEach(function(mutation){
+            var target = mutation.target, nodes = [];
+
+            if( 'childList' === mutation.type ){
+                nodes = Array.prototype.slice.call(mutation.addedNodes)
+                    .concat(Array.prototype.slice.call(mutation.removedNodes));
+
+                nodes.forEach(function(node){
+                    sidebars = sidebars.concat(_dataApiSidebars(node));
+                });
+
+            // Container attribute affects all sidebars inside the element.
+            } else if( 'data-sticky-sidebar-container' === mutation.attributeName ){
+                sidebars = sidebars.concat(_dataApiSidebars(target));
+
+            } else if( target.hasAttribute('data-sticky-sidebar') || _dataApiInstance(target) ){
+                sidebars.push(target);
+            }
+        });
+
+        sidebars.filter(function(sidebar, index){
+            return index === sidebars.indexOf(sidebar);
+        }).forEach(_dataApiRefresh);
+    }
+
+    /**
+     * Initialize `[data-sticky-sidebar]` elements of the document and keep observing
+     * it, sidebars added later are initialized, removed ones are destroyed and their
+     * options are updated when their `data-*` attributes change. Does nothing if the
+     * browser doesn't support MutationObserver.
+     * @function
+     * @static
+     * @param {HTMLElement} root - Observed element, the document element by default.
+     */
+    StickySidebar.observe = function(root){
+        if( 'function' !== typeof window.MutationObserver ) return;
+
+        root = StickySidebar.getElement(root) || document.documentElement;
+
+        StickySidebar.disconnect();
+        _dataApiSidebars(root).forEach(_dataApiInit);
+
+        // Only attributes of options and of the Data-API, not the style written on scroll.
+        var attributeFilter = Object.keys(StickySidebar.DEFAULTS).map(function(option){
+            return 'data-' + _kebabCase(option);
+        }).concat(['data-sticky-sidebar', 'data-sticky-sidebar-container']);
+
+        StickySidebar._observer = new window.MutationObserver(_onDataApiMutation);
+        StickySidebar._observer.observe(root, {childList: true, subtree: true, attributes: true,
+            attributeFilter: attributeFilter});
+    };
+
+    /**
+     * Stop observing the document for Data-API sidebars, initialized sidebars are kept.
+     * @function
+     * @static
+     */
+    StickySidebar.disconnect = function(){
+        if( ! StickySidebar._observer ) return;
+
+        StickySidebar._observer.disconnect();
+        StickySidebar._observer = null;
+    };
+
+    /**
+     * Define `<sticky-sidebar>` element and initialize Data-API sidebars once the window
+     * is loaded, or right away if it already is. Called when the script or the main module
+     * is loaded, the side-effect-free `sticky-sidebar/core` module leaves it to the page.
+     * Does nothing where there is no document, so the modules can be loaded on the server.
+     * @function
+     * @static
+     */
+    StickySidebar.autoInit = function(){
+        if( ! document || StickySidebar._autoInitialized ) return;
+        StickySidebar._autoInitialized = true;
+
+        StickySidebar.defineElement();
+
+        // Sticky Sidebar Data-API.
+        var init = function(){
+            var sidebars = document.querySelectorAll('[data-sticky-sidebar]');
+
+            Array.prototype.forEach.call(sidebars, _dataApiInit);
+        };
+
+        if( 'complete' === document.readyState ) init();
+        else window.addEventListener('load', init);
+    };
+
+    return StickySidebar;
+})(root, root.jQuery);
+
+export default StickySidebar;
+export { StickySidebar };
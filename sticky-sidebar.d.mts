@@ -0,0 +1,8 @@
+/**
+ * Type declarations of Sticky Sidebar ES modules, `sticky-sidebar` and `sticky-sidebar/core`
+ * imported by `import`. Types are declared in `sticky-sidebar.d.ts`.
+ */
+import StickySidebar = require('./sticky-sidebar.js');
+
+export default StickySidebar;
+export { StickySidebar };
@@ -0,0 +1,339 @@
+/**
+ * Type declarations of Sticky Sidebar JavaScript Plugin, shared by the UMD script and
+ * CommonJS modules, `sticky-sidebar.d.mts` re-exports them for ES modules.
+ */
+
+export = StickySidebar;
+export as namespace StickySidebar;
+
+declare class StickySidebar {
+    /**
+     * Sticky Sidebar.
+     * @param sidebar - The sidebar element or selector.
+     * @param options - The options of sticky sidebar.
+     */
+    constructor(sidebar: HTMLElement | string | StickySidebar.JQueryLike, options?: StickySidebar.Options);
+
+    /** Sidebar wrapper element. */
+    sidebar: HTMLElement;
+
+    /** Inner wrapper element, found by `innerWrapperSelector` or created by the plugin. */
+    sidebarInner: HTMLElement;
+
+    /** Sidebar container element. */
+    container: HTMLElement;
+
+    /** jQuery object of the sidebar element, only defined when jQuery is loaded. */
+    readonly $sidebar?: StickySidebar.JQueryLike;
+
+    /** jQuery object of the inner wrapper element, only defined when jQuery is loaded. */
+    readonly $sidebarInner?: StickySidebar.JQueryLike;
+
+    /** jQuery object of the container element, only defined when jQuery is loaded. */
+    readonly $container?: StickySidebar.JQueryLike;
+
+    /** The scrollable element that sidebar sticks inside its viewport. */
+    scrollContainer: HTMLElement | Window;
+
+    /** Current affix type of sidebar element. */
+    affixedType: StickySidebar.AffixType;
+
+    /** Current options, including options of matching responsive breakpoints. */
+    options: StickySidebar.ResolvedOptions;
+
+    /** Dimensions of sidebar, container and screen viewport. */
+    dimensions: StickySidebar.Dimensions;
+
+    /** Initializes the sticky sidebar by adding inner wrapper, define its container, min-width breakpoint, calculating dimensions, adding helper classes and inline style. */
+    initialize(): void;
+
+    /** Bind all events of sticky sidebar plugin. */
+    bindEvents(): void;
+
+    /** Calculates dimensions of sidebar, container and screen viewport. */
+    calcDimensions(): void;
+
+    /** Whether the inner wrapper scrolls on its own, `scroll` overflow mode. */
+    isOverflowScroll(): boolean;
+
+    /** Whether the sidebar fits the viewport. */
+    isSidebarFitsViewport(): boolean;
+
+    /** Whether the page is scrolling up. */
+    isScrollingTop(): boolean;
+
+    /** Whether the page is scrolling left. */
+    isScrollingLeft(): boolean;
+
+    /** Whether the sidebar can be handled by CSS `position: sticky`. */
+    isNativeSticky(): boolean;
+
+    /**
+     * Gets affix type of sidebar according to current scroll position, updates the
+     * dimensions with translate and scroll position of the result.
+     */
+    getAffixType(): StickySidebar.AffixType | false;
+
+    /** Force re-calculate dimensions of sticky sidebar, container and screen viewport. */
+    updateSticky(): void;
+
+    /** Scroll the inner wrapper to bring the active item into view in `scroll` overflow mode. */
+    scrollActiveIntoView(): void;
+
+    /** Scroll the page or the scroll container smoothly so that the given section lands right below top spacing. */
+    scrollToSection(section: HTMLElement | string): void;
+
+    /** Change options of sticky sidebar at runtime without re-initializing it. */
+    setOptions(options: StickySidebar.Options): void;
+
+    /** Add resize sensor listener to specific element. */
+    addResizerListener(element: HTMLElement, callback: (event?: Event) => void): void;
+
+    /** Remove the resize listener added by `addResizerListener()`. */
+    removeResizeListener(element: HTMLElement, callback: (event?: Event) => void): void;
+
+    /** Destroy sticky sidebar plugin, restores the sidebar as it was before initialize. */
+    destroy(): void;
+
+    /** Version of sticky sidebar plugin. */
+    static VERSION: string;
+
+    /** Events namespace of sticky sidebar plugin, `.sticky`. */
+    static EVENT_KEY: '.sticky';
+
+    /** Default options for the sticky sidebar. */
+    static DEFAULTS: StickySidebar.ResolvedOptions;
+
+    /** Options that can't be changed by `setOptions()` once sticky sidebar is initialized. */
+    static STATIC_OPTIONS: Array<keyof StickySidebar.Options>;
+
+    /** All affix types of sticky sidebar. */
+    static AFFIX_TYPES: StickySidebar.AffixType[];
+
+    /** Easings of `transitionEasing` option by name. */
+    static EASINGS: Record<StickySidebar.EasingName, StickySidebar.Easing>;
+
+    /** Constructor of debug overlay, defined by `sticky-sidebar/debug`. */
+    static Debug: StickySidebar.DebugConstructor | null;
+
+    /** Gets name of affix events for the given affix type, e.g. `top` of `VIEWPORT-TOP`. */
+    static getEventName<T extends StickySidebar.AffixType>(affixType: T): StickySidebar.AffixEventName<T>;
+
+    /** Whether the two options objects have the same options, plain objects and arrays are compared deeply, other values by identity. */
+    static isSameOptions(a?: StickySidebar.Options, b?: StickySidebar.Options): boolean;
+
+    /** Apply new options to the sidebar, returns the sidebar or the re-created one when an option of `STATIC_OPTIONS` is changed. */
+    static applyOptions(sidebar: StickySidebar, options?: StickySidebar.Options): StickySidebar;
+
+    /** Listen to `affixed` events of all affix types on the given sidebar element, returns function that removes the listeners. */
+    static onAffixed(element: HTMLElement, callback: (event: CustomEvent<StickySidebar.AffixEventDetail>) => void): () => void;
+
+    /** Define `<sticky-sidebar>` custom element, or element of the given name. */
+    static defineElement(tagName?: string): CustomElementConstructor | false;
+
+    /** Initialize `[data-sticky-sidebar]` elements of the document and keep observing it. */
+    static observe(root?: HTMLElement | string | StickySidebar.JQueryLike): void;
+
+    /** Stop observing the document for Data-API sidebars. */
+    static disconnect(): void;
+
+    /** Define `<sticky-sidebar>` element and initialize Data-API sidebars once the window is loaded. */
+    static autoInit(): void;
+}
+
+declare namespace StickySidebar {
+    /** jQuery object, its first element is used. */
+    interface JQueryLike {
+        jquery: string;
+        [index: number]: HTMLElement;
+    }
+
+    type VerticalAffixType = 'STATIC' | 'VIEWPORT-TOP' | 'VIEWPORT-BOTTOM' | 'VIEWPORT-UNBOTTOM' | 'CONTAINER-BOTTOM' |
+        'CONTAINER-TOP' | 'VIEWPORT-UNTOP';
+
+    type HorizontalAffixType = 'VIEWPORT-LEFT' | 'VIEWPORT-RIGHT' | 'VIEWPORT-UNRIGHT' | 'CONTAINER-RIGHT' |
+        'VIEWPORT-UNLEFT' | 'CONTAINER-LEFT';
+
+    type RevealAffixType = 'VIEWPORT-HIDDEN' | 'VIEWPORT-REVEALED';
+
+    type AffixType = VerticalAffixType | HorizontalAffixType | RevealAffixType;
+
+    /** Name of affix events of the affix type, e.g. `top` and `container-bottom`. */
+    type AffixEventName<T extends AffixType = AffixType> = T extends `VIEWPORT-${infer Name}` ? Lowercase<Name> : Lowercase<T>;
+
+    type EasingName = 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out';
+
+    /** Maps progress from 0 to 1 to the eased progress. */
+    type Easing = (progress: number) => number;
+
+    /**
+     * Function of the sidebar returning spacing, it receives jQuery object of the sidebar when
+     * the sidebar is given as jQuery object. Declared as method so functions of either argument fit.
+     */
+    type SpacingFunction = {spacing(sidebar: HTMLElement | JQueryLike): number}['spacing'];
+
+    /** Spacing in pixels, function of the sidebar returning it, or `auto` to measure offset elements. */
+    type Spacing = number | SpacingFunction | 'auto';
+
+    interface Options {
+        /** Additional top spacing of the element when it becomes sticky. */
+        topSpacing?: Spacing;
+
+        /** Additional bottom spacing of the element when it becomes sticky. */
+        bottomSpacing?: Spacing;
+
+        /** Fixed or sticky elements like headers and cookie banners that the sidebar sticks clear of. */
+        offsetElements?: string | HTMLElement[] | false;
+
+        /** Container sidebar selector to know what the beginning and end of sticky element. */
+        containerSelector?: string | HTMLElement | false;
+
+        /** Inner wrapper selector. */
+        innerWrapperSelector?: string;
+
+        /** The name of CSS class to apply to elements when they have become stuck. */
+        stickyClass?: string;
+
+        /** Detect when sidebar and its container change size so re-calculate their dimensions. */
+        resizeSensor?: boolean;
+
+        /** Use the legacy `<object>` resize sensor in browsers that don't support ResizeObserver. */
+        resizeSensorFallback?: boolean;
+
+        /** The sidebar returns to its normal position if its width below this value. */
+        minWidth?: number | false;
+
+        /** Enable the sticky behavior. */
+        enabled?: boolean;
+
+        /** Options for responsive breakpoints, keys are media queries or numeric min-width in pixels. */
+        responsive?: {[query: string]: Options} | false;
+
+        /** The scroll axis that sidebar sticks along. */
+        axis?: 'y' | 'x';
+
+        /** The viewport edge that sidebar sticks to. */
+        anchor?: 'top' | 'bottom';
+
+        /** The scrollable element that holds the sidebar and its container. */
+        scrollContainer?: string | HTMLElement | false;
+
+        /** Name of stack group, sidebars of the same group stick below each other. */
+        stackGroup?: string | false;
+
+        /** Hide the stuck sidebar while scrolling down and reveal it when scrolling up. */
+        reveal?: boolean;
+
+        /** Scroll distance in pixels in one direction before the sidebar hides or reveals. */
+        revealTolerance?: number;
+
+        /** Use CSS `position: sticky` when the browser supports it and the sidebar fits the viewport. */
+        nativeSticky?: boolean;
+
+        /** How the sidebar taller than the viewport is scrolled. */
+        overflowMode?: 'page' | 'scroll';
+
+        /** Selector of the active item which is kept scrolled into view in `scroll` overflow mode. */
+        activeSelector?: string | false;
+
+        /** Scrollspy, `true` uses all hash links of the inner wrapper, or give selector of the links. */
+        scrollSpy?: boolean | string;
+
+        /** The class name added to the link of the active section by scrollspy. */
+        scrollSpyClass?: string;
+
+        /** Animate the inner wrapper from its previous position when the affix type changes. */
+        transition?: boolean;
+
+        /** Duration of the transition in milliseconds. */
+        transitionDuration?: number;
+
+        /** Easing of the transition. */
+        transitionEasing?: EasingName | Easing;
+
+        /** Draw debug overlay of the sidebar, needs `sticky-sidebar/debug` loaded. */
+        debug?: boolean;
+    }
+
+    type ResolvedOptions = Required<Options>;
+
+    interface Dimensions {
+        translateY: number;
+        translateX: number;
+        topSpacing: number;
+        bottomSpacing: number;
+        sidebarHeight: number;
+        sidebarWidth: number;
+        containerTop: number;
+        containerHeight: number;
+        containerLeft: number;
+        containerWidth: number;
+        viewportHeight: number;
+        viewportWidth: number;
+        viewportTop: number;
+        viewportLeft: number;
+        lastViewportTop: number;
+        lastViewportLeft: number;
+        scrollDistance: number;
+        [name: string]: number;
+    }
+
+    /** Detail of `affix` and `affixed` events. */
+    interface AffixEventDetail {
+        previousType: AffixType;
+        type: AffixType;
+        dimensions: Dimensions;
+    }
+
+    /** Detail of `breakpoint` event. */
+    interface BreakpointEventDetail {
+        breakpoints: string[];
+        options: ResolvedOptions;
+    }
+
+    /** Detail of `activate` event of scrollspy. */
+    interface ActivateEventDetail {
+        link: HTMLElement;
+        section: HTMLElement;
+        previousLink: HTMLElement | null;
+    }
+
+    /** Events dispatched on the sidebar element, by name. */
+    type EventMap = {
+        'initialize.sticky': CustomEvent<undefined>;
+        'initialized.sticky': CustomEvent<undefined>;
+        'breakpoint.sticky': CustomEvent<BreakpointEventDetail>;
+        'activate.sticky': CustomEvent<ActivateEventDetail>;
+    } & {
+        [Name in AffixEventName as `affix.${Name}.sticky` | `affixed.${Name}.sticky`]: CustomEvent<AffixEventDetail>;
+    };
+
+    /** Events of `<sticky-sidebar>` element, in addition to `EventMap`. */
+    interface ElementEventMap {
+        'sticky-affix': CustomEvent<AffixEventDetail>;
+        'sticky-affixed': CustomEvent<AffixEventDetail>;
+    }
+
+    /** Affix transition logged by the debug overlay. */
+    interface DebugLogEntry {
+        previousType: AffixType;
+        type: AffixType;
+        direction: 'up' | 'down';
+        values: {[name: string]: number};
+    }
+
+    interface Debug {
+        stickySidebar: StickySidebar;
+        overlay: HTMLElement;
+        panel: HTMLElement;
+        direction: 'up' | 'down';
+        log: DebugLogEntry[];
+        update(): void;
+        destroy(): void;
+    }
+
+    interface DebugConstructor {
+        new (stickySidebar: StickySidebar): Debug;
+        getAffixValues(dimensions: Dimensions, axis: 'y' | 'x', rtl: boolean): {[name: string]: number};
+    }
+}
@@ -1 +1 @@
-!function(a){function b(c,d){this.options=a.extend({},b.DEFAULTS,d),this.$sidebar=a(c),this.$sidebarInner=!1,this.$container=this.$sidebar.closest(this.options.containerSelector),this.affixedType="static",this._initialized=!1,this._breakpoint=!1,this._resizeListeners=[],this.dimensions={translateY:0,topSpacing:0,bottomSpacing:0,sidebarHeight:0,sidebarWidth:0,containerTop:0,containerHeight:0,viewportHeight:0,viewportTop:0,lastViewportTop:0},this.initialize()}function c(c){return this.each(function(){var d=a(this),e=a(this).data("stickySidebar");if(e||(e=new b(this,"object"==typeof c&&c),d.data("stickySidebar",e)),"string"==typeof c){if(void 0===e[c]&&-1===["destroy","updateSticky"].indexOf(c))throw new Error('No method named "'+c+'"');e[c]()}})}var d=a(window);b.VERSION="1.0.0",b.EVENT_KEY=".sticky",b.DEFAULTS={topSpacing:0,bottomSpacing:0,containerSelector:!1,innerWrapperSelector:".inner-wrapper-sticky",stickyClass:"is-affixed",resizeSensor:!0,minWidth:!1},b.isIE=function(){return Boolean(navigator.userAgent.match(/Trident/))},b.supportTransform=function(b){var c=!1,d=b?"perspective":"transform",e=d.charAt(0).toUpperCase()+d.slice(1),f="Webkit Moz O ms".split(" "),g=a("<support>").get(0).style;return a.each((d+" "+f.join(e+" ")+e).split(" "),function(a,b){if(void 0!==g[b])return c=b,!1}),c},b.prototype={initialize:function(){if(this.$sidebar.trigger("initialize"+b.EVENT_KEY),this.options.innerWrapperSelector&&(this.$sidebarInner=this.$sidebar.find(this.options.innerWrapperSelector),0===this.$sidebarInner.length&&(this.$sidebarInner=!1)),!this.$sidebarInner){var c=a('<div class="inner-wrapper-sticky" />');this.$sidebar.wrapInner(c),this.$sidebarInner=this.$sidebar.find(".inner-wrapper-sticky")}this.$container.length||(this.$container=this.$sidebar.parent()),"function"!=typeof this.options.topSpacing&&(this.options.topSpacing=parseInt(this.options.topSpacing)||0),"function"!=typeof this.options.bottomSpacing&&(this.options.bottomSpacing=parseInt(this.options.bottomSpacing)||0),this._widthBreakpoint(),this.calcDimensions(),this.stickyPosition(),this.bindEvents(),this._initialized=!0,this.$sidebar.trigger("initialized"+b.EVENT_KEY)},bindEvents:function(){this.options;d.on("resize"+b.EVENT_KEY,a.proxy(this._onResize,this)).on("scroll"+b.EVENT_KEY,a.proxy(this._onScroll,this)),this.$sidebar.on("update"+b.EVENT_KEY,a.proxy(this.updateSticky,this)),this.options.resizeSensor&&(this.addResizerListener(this.$sidebarInner,a.proxy(this.updateSticky,this)),this.addResizerListener(this.$container,a.proxy(this.updateSticky,this)))},_onScroll:function(a){this.$sidebar.is(":visible")&&this.stickyPosition()},_onResize:function(a){this._widthBreakpoint(),this.updateSticky()},calcDimensions:function(){if(!this._breakpoint){var a=this.dimensions;a.containerTop=this.$container.offset().top,a.containerHeight=this.$container.outerHeight(),a.containerBottom=a.containerTop+a.containerHeight,a.sidebarHeight=this.$sidebarInner.outerHeight(),a.sidebarWidth=this.$sidebar.outerWidth(),a.viewportHeight=d.prop("innerHeight"),this._calcDimensionsWithScroll()}},_calcDimensionsWithScroll:function(){var a=this.dimensions;a.sidebarLeft=this.$sidebar.offset().left,a.viewportTop=document.documentElement.scrollTop||document.body.scrollTop,a.viewportBottom=a.viewportTop+a.viewportHeight,a.viewportLeft=document.documentElement.scrollLeft||document.body.scrollLeft,a.topSpacing=this.options.topSpacing,a.bottomSpacing=this.options.bottomSpacing,"function"==typeof a.topSpacing&&(a.topSpacing=parseInt(a.topSpacing(this.$sidebar))||0),"function"==typeof a.bottomSpacing&&(a.bottomSpacing=parseInt(a.bottomSpacing(this.$sidebar))||0)},isSidebarFitsViewport:function(){return this.dimensions.sidebarHeight<this.dimensions.viewportHeight},isScrollingTop:function(){return this.dimensions.viewportTop<this.dimensions.lastViewportTop},getAffixType:function(){var a=this.dimensions,b=!1;this._calcDimensionsWithScroll();var c=a.sidebarHeight+a.containerTop,d=a.viewportTop+a.topSpacing,e=a.viewportBottom-a.bottomSpacing;return this.isScrollingTop()?d<=a.containerTop?(a.translateY=0,b="STATIC"):d<=a.translateY+a.containerTop?(a.translateY=d-a.containerTop,b="VIEWPORT-TOP"):!this.isSidebarFitsViewport()&&a.containerTop<=d&&(b="VIEWPORT-UNBOTTOM"):this.isSidebarFitsViewport()?a.sidebarHeight+d>=a.containerBottom?(a.translateY=a.containerBottom-c,b="CONTAINER-BOTTOM"):d>=a.containerTop&&(a.translateY=d-a.containerTop,b="VIEWPORT-TOP"):a.containerBottom<=e?(a.translateY=a.containerBottom-c,b="CONTAINER-BOTTOM"):c+a.translateY<=e?(a.translateY=e-c,b="VIEWPORT-BOTTOM"):a.containerTop+a.translateY<=d&&(b="VIEWPORT-UNBOTTOM"),a.lastViewportTop=a.viewportTop,b},_getStyle:function(c){if(void 0!==c){var d={inner:{},outer:{}},e=this.dimensions;switch(c){case"VIEWPORT-TOP":d.inner={position:"fixed",top:this.options.topSpacing,left:e.sidebarLeft-e.viewportLeft,width:e.sidebarWidth};break;case"VIEWPORT-BOTTOM":d.inner={position:"fixed",top:"auto",left:e.sidebarLeft,bottom:this.options.bottomSpacing,width:e.sidebarWidth};break;case"CONTAINER-BOTTOM":case"VIEWPORT-UNBOTTOM":d.inner={position:"absolute",top:e.containerTop+e.translateY},b.supportTransform(translate3d=!0)?d.inner={transform:"translate3d(0, "+e.translateY+"px, 0)"}:b.supportTransform()&&(d.inner={transform:"translate(0, "+e.translateY+"px)"})}switch(c){case"VIEWPORT-TOP":case"VIEWPORT-BOTTOM":case"VIEWPORT-UNBOTTOM":case"CONTAINER-BOTTOM":d.outer={height:e.sidebarHeight,position:"relative"}}return d.outer=a.extend({},{height:"",position:""},d.outer),d.inner=a.extend({},{position:"relative",top:"",left:"",bottom:"",width:"",transform:""},d.inner),d}},stickyPosition:function(c){if(this.$sidebar.is(":visible")&&!this._breakpoint){c=c||!1;var d=(this.options.topSpacing,this.options.bottomSpacing,this.getAffixType()),e=this._getStyle(d);if((this.affixedType!=d||c)&&d){var f=a.Event("affix."+d.replace("viewport-","")+b.EVENT_KEY);this.$sidebar.trigger(f),"static"===d?this.$sidebar.removeClass(this.options.stickyClass):this.$sidebar.addClass(this.options.stickyClass);var g=a.Event("affixed."+d.replace("viewport","")+b.EVENT_KEY);this.$sidebar.css(e.outer),this.$sidebarInner.css(e.inner),this.$sidebar.trigger(g)}else this._initialized&&this.$sidebarInner.css("left",e.inner.left);this.affixedType=d}},_widthBreakpoint:function(){d.innerWidth()<=this.options.minWidth?(this._breakpoint=!0,this.affixedType="static",this.$sidebar.removeAttr("style").removeClass(this.options.stickyClass),this.$sidebarInner.removeAttr("style")):this._breakpoint=!1},updateSticky:function(){this.calcDimensions(),this.stickyPosition(!0)},addResizerListener:function(b,c){var d=a(b);d.prop("resizeListeners")||(d.prop("resizeListeners",[]),this._appendResizeSensor(d)),d.prop("resizeListeners").push(c)},removeResizeListener:function(b,c){var d=a(b),e=d.prop("resizeListeners"),f=e.indexOf(c);if(this._resizeListeners.splice(f,1),d.prop("resizeListeners").length){var g=d.prop("resizeTrigger");a(g.contentDocument.defaultView).off("resize",this._resizeListener),g=d.find(g).remove()}},_appendResizeSensor:function(c){var d=a(c);"static"==d.css("position")&&d.css("position","relative");var e=a("<object>");e.attr("style","display: block; position: absolute; top: 0; left: 0; height: 100%; width: 100%;overflow: hidden; pointer-events: none; z-index: -1;"),e.prop("resizeElement",d[0]);var f=this;e.on("load",function(b){this.contentDocument.defaultView.resizeTrigger=this.resizeElement,a(this.contentDocument.defaultView).on("resize",f._resizeListener)}),e.prop("type","text/html"),b.isIE()&&e.prop(data,"about:blank"),d.prop("resizeTrigger",e.get(0)),d.append(e)},_resizeListener:function(a){var b=a.target||a.srcElement,c=b.resizeTrigger;c.resizeListeners.forEach(function(b){b.call(c,a)})},destroy:function(){d.off("resize"+b.EVENT_KEY).off("scroll"+b.EVENT_KEY),this.$sidebar.removeClass(this.options.stickyClass).css({minHeight:""}).off("update"+b.EVENT_KEY).removeData("stickySidebar"),this.$sidebarInner.css({position:"",top:"",left:"",bottom:"",width:"",transform:""}),this.options.resizeSensor&&(this.removeResizeListener(this.$sidebarInner,a.proxy(this.updateSticky,this)),this.removeResizeListener(this.$container,a.proxy(this.updateSticky,this)))}},a.fn.stickySidebar=c,a.fn.stickySidebar.Constructor=b;var e=a.fn.stickySidebar;a.fn.stickySidebar.noConflict=function(){return a.fn.stickySidebar=e,this},d.on("load",function(){a("[data-sticky-sidebar]").each(function(){var b=a(this),d=b.data()||{},e=b.closest("[data-sticky-sidebar-container]");e.length&&(d.containerSelector=e),c.call(b,d)})})}(jQuery);
\ No newline at end of file
+!function(a,b){var c=b(a,a.jQuery);c.autoInit(),"function"==typeof define&&define.amd?define(function(){return c}):"object"==typeof module&&module.exports?module.exports=c:a.StickySidebar=c}("undefined"!=typeof window?window:this,function(a,b){function c(d,e){if(this._options=c.extend({},c.DEFAULTS,e),this.options={},this._responsiveQueries=!1,this._mediaQueryLists=[],this._updateResponsive(),this.sidebar=c.getElement(d),this.sidebarInner=!1,!this.sidebar)throw new Error("There is no specific sidebar element.");this._jQuery=Boolean(b&&d&&d.jquery),this.container=this._getContainer(),this.scrollContainer=c.getElement(this.options.scrollContainer)||a,this.affixedType="STATIC",this._initialized=!1,this._breakpoint=!1,this._nativeSticky=!1,this._resizeListeners=[],this._rtl=!1,this._scrollRTL=!1,this._offsetElements=[],this._offsetSizes=[],this._offsetSpacing={top:0,bottom:0},this._spyItems=[],this._spyScrollHeight=0,this._spyViewportHeight=0,this._activeLink=null,this._activeClass=null,this._transition=null,this._debug=null,this._onScroll=this._onScroll.bind(this),this._onResize=this._onResize.bind(this),this._onMediaChange=this._onMediaChange.bind(this),this.updateSticky=this.updateSticky.bind(this),this.scrollActiveIntoView=this.scrollActiveIntoView.bind(this),this._onSpyClick=this._onSpyClick.bind(this),this._stepTransition=this._stepTransition.bind(this),this._onPlaceholderResize=this._onPlaceholderResize.bind(this),this.dimensions={translateY:0,translateX:0,topSpacing:0,bottomSpacing:0,sidebarHeight:0,sidebarWidth:0,containerTop:0,containerHeight:0,containerLeft:0,containerWidth:0,viewportHeight:0,viewportWidth:0,viewportTop:0,viewportLeft:0,lastViewportTop:0,lastViewportLeft:0,scrollDistance:0},this.initialize()}function d(a){var b={};return Array.prototype.forEach.call(a.attributes,function(a){0===a.name.indexOf("data-")&&(b[e(a.name.slice(5))]=g(a.value))}),b}function e(a){return a.replace(/-([a-z])/g,function(a,b){return b.toUpperCase()})}function f(a){return a.replace(/[A-Z]/g,"-$&").toLowerCase()}function g(a){if("true"===a)return!0;if("false"===a)return!1;if("null"===a)return null;if(a===+a+"")return+a;if(/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/.test(a))try{return JSON.parse(a)}catch(a){}return a}function h(a,b){c.call(this,a,b)}function i(){var a={container:"containerSelector"};return Object.keys(c.DEFAULTS).forEach(function(b){a[f(b)]=b}),a}function j(a){return""===a||g(a)}function k(a){var b=d(a),e=c.closest(a,"[data-sticky-sidebar-container]");return e&&(b.containerSelector=e),b}function l(a){return b?b(a).data("stickySidebar"):a.stickySidebar}function m(a){l(a)||(b?b.fn.stickySidebar.call(b(a),k(a)):a.stickySidebar=new c(a,k(a)))}function n(a){var d=l(a);if(!q.documentElement.contains(a)||!a.hasAttribute("data-sticky-sidebar"))return void(d&&d.destroy());if(!d)return void m(a);var e=c.applyOptions(d,k(a));e!==d&&(b?b(a).data("stickySidebar",e):a.stickySidebar=e)}function o(a){if(1!==a.nodeType)return[];var b=Array.prototype.slice.call(a.querySelectorAll("[data-sticky-sidebar]"));return a.hasAttribute("data-sticky-sidebar")&&b.unshift(a),b}function p(a){var b=[];a.forEach(function(a){var c=a.target,d=[];"childList"===a.type?(d=Array.prototype.slice.call(a.addedNodes).concat(Array.prototype.slice.call(a.removedNodes)),d.forEach(function(a){b=b.concat(o(a))})):"data-sticky-sidebar-container"===a.attributeName?b=b.concat(o(c)):(c.hasAttribute("data-sticky-sidebar")||l(c))&&b.push(c)}),b.filter(function(a,c){return c===b.indexOf(a)}).forEach(n)}var q=a.document;if(c.VERSION="1.0.0",c.EVENT_KEY=".sticky",c.getEventName=function(a){return a.toLowerCase().replace("viewport-","")},c.AFFIX_TYPES=["STATIC","VIEWPORT-TOP","VIEWPORT-BOTTOM","VIEWPORT-UNBOTTOM","CONTAINER-BOTTOM","CONTAINER-TOP","VIEWPORT-UNTOP","VIEWPORT-LEFT","VIEWPORT-RIGHT","VIEWPORT-UNRIGHT","CONTAINER-RIGHT","VIEWPORT-UNLEFT","CONTAINER-LEFT","VIEWPORT-HIDDEN","VIEWPORT-REVEALED"],c.onAffixed=function(a,b){var d=c.AFFIX_TYPES.map(function(a){return"affixed."+c.getEventName(a)+c.EVENT_KEY});return d.forEach(function(c){a.addEventListener(c,b)}),function(){d.forEach(function(c){a.removeEventListener(c,b)})}},c.DEFAULTS={topSpacing:0,bottomSpacing:0,offsetElements:!1,containerSelector:!1,innerWrapperSelector:".inner-wrapper-sticky",stickyClass:"is-affixed",resizeSensor:!0,resizeSensorFallback:!1,minWidth:!1,enabled:!0,responsive:!1,axis:"y",anchor:"top",scrollContainer:!1,stackGroup:!1,reveal:!1,revealTolerance:5,nativeSticky:!1,overflowMode:"page",activeSelector:!1,scrollSpy:!1,scrollSpyClass:"active",transition:!1,transitionDuration:250,transitionEasing:"ease-out",debug:!1},c.Debug=null,c.STATIC_OPTIONS=["axis","innerWrapperSelector","scrollContainer","resizeSensor","resizeSensorFallback","overflowMode"],c.getAxisDimensions=function(a,b,d){var e=c.AXES[b],f={};for(var g in e)f[g]=a[e[g]];return"x"===b&&d&&(f.containerStart=-a.containerRight,f.containerEnd=-a.containerLeft,f.viewportStart=-a.viewportRight,f.viewportEnd=-a.viewportLeft,f.lastViewportStart=-(a.lastViewportLeft+a.viewportWidth)),f.topSpacing=a.topSpacing,f.bottomSpacing=a.bottomSpacing,f},c.toAxisAffixType=function(a,b,c){return"x"===b&&a?c?a.replace("TOP","RIGHT").replace("BOTTOM","LEFT"):a.replace("TOP","LEFT").replace("BOTTOM","RIGHT"):a},c.computeAffix=function(a,b){if("bottom"===b.anchor)return c.computeBottomAffix(a,b);var d=!1,e=a.translate,f=b.scrollDistance||0,g=a.containerStart,h=a.containerEnd,i=a.sidebarSize,j=a.viewportStart,k=b.overflowScroll||i<a.viewportSize,l=i+g,m=j+a.topSpacing,n=a.viewportEnd-a.bottomSpacing;if(b.reveal&&m>g&&i+m<h){var o=c.computeReveal(j-a.lastViewportStart,b);e=m-g,d=o.affixType,f=o.scrollDistance}else j<a.lastViewportStart?m<=g?(e=0,d="STATIC"):m<=e+g?(e=m-g,d="VIEWPORT-TOP"):!k&&g<=m&&(d="VIEWPORT-UNBOTTOM"):k?i+m>=h?(e=h-l,d="CONTAINER-BOTTOM"):m>=g&&(e=m-g,d="VIEWPORT-TOP"):h<=n?(e=h-l,d="CONTAINER-BOTTOM"):l+e<=n?(e=n-l,d="VIEWPORT-BOTTOM"):g+e<=m&&(d="VIEWPORT-UNBOTTOM");return{affixType:d,translate:e,scrollDistance:f}},c.computeBottomAffix=function(a,b){var d=a.containerStart,e=a.containerEnd,f=a.sidebarSize;if(!b.overflowScroll&&f>=a.viewportSize){var g=c.computeAffix(a,c.extend({},b,{anchor:"top"}));return"STATIC"===g.affixType?g.affixType="CONTAINER-TOP":"VIEWPORT-UNBOTTOM"===g.affixType&&(g.affixType="VIEWPORT-UNTOP"),g}var h,i,j=f+d,k=a.viewportEnd-a.bottomSpacing;return e<=k?(i=e-j,h="CONTAINER-BOTTOM"):k<=j?(i=0,h="CONTAINER-TOP"):(i=k-j,h="VIEWPORT-BOTTOM"),{affixType:h,translate:i,scrollDistance:b.scrollDistance||0}},c.computeReveal=function(a,b){var c,d=b.scrollDistance||0;return a>0!=d>0&&(d=0),d+=a,c=d>b.revealTolerance?"VIEWPORT-HIDDEN":d<-b.revealTolerance?"VIEWPORT-REVEALED":"VIEWPORT-HIDDEN"===b.affixedType?b.affixedType:"VIEWPORT-REVEALED",{affixType:c,scrollDistance:d}},c.stacks={},c.addToStack=function(a){var b=a.options.stackGroup,d=c.stacks[b]=c.stacks[b]||[];d.push(a),d.sort(function(a,b){return 2&a.sidebar.compareDocumentPosition(b.sidebar)?1:-1})},c.removeFromStack=function(a,b){b=b||a.options.stackGroup;var d=c.stacks[b];if(d){var e=d.indexOf(a);-1!==e&&d.splice(e,1),d.length||delete c.stacks[b]}},c.AXES={y:{translate:"translateY",containerStart:"containerTop",containerEnd:"containerBottom",sidebarSize:"sidebarHeight",viewportSize:"viewportHeight",viewportStart:"viewportTop",viewportEnd:"viewportBottom",lastViewportStart:"lastViewportTop"},x:{translate:"translateX",containerStart:"containerLeft",containerEnd:"containerRight",sidebarSize:"sidebarWidth",viewportSize:"viewportWidth",viewportStart:"viewportLeft",viewportEnd:"viewportRight",lastViewportStart:"lastViewportLeft"}},c.isIE=function(){return Boolean(a.navigator.userAgent.match(/Trident/))},c.supportTransform=function(a){var b=!1,c=a?"perspective":"transform",d=c.charAt(0).toUpperCase()+c.slice(1),e="Webkit Moz O ms".split(" "),f=q.createElement("support").style;return(c+" "+e.join(d+" ")+d).split(" ").some(function(a){if(void 0!==f[a])return b=a,!0}),b},c.supportSticky=function(){var b=!1,c=q.createElement("support").style;return"function"==typeof a.IntersectionObserver&&(["sticky","-webkit-sticky"].some(function(a){if(c.position=a,a===c.position)return b=a,!0}),b)},c.toMediaQuery=function(a){return/^\d+$/.test(a)?"(min-width: "+a+"px)":a},c.matchMedia=function(b){return"function"==typeof a.matchMedia?a.matchMedia(c.toMediaQuery(b)).matches:/^\d+$/.test(b)&&q.documentElement.clientWidth>=parseInt(b)},c.extend=function(a){for(var b=1;b<arguments.length;b++){var c=arguments[b];if(c)for(var d in c)Object.prototype.hasOwnProperty.call(c,d)&&(a[d]=c[d])}return a},c.isSameOptions=function(a,b){var c=function(a){return Array.isArray(a)||"[object Object]"===Object.prototype.toString.call(a)},d=function(a,b){if(a===b)return!0;if(!c(a)||!c(b)||Array.isArray(a)!==Array.isArray(b))return!1;var e=Object.keys(a);return e.length===Object.keys(b).length&&e.every(function(c){return Object.prototype.hasOwnProperty.call(b,c)&&d(a[c],b[c])})};return d(a||{},b||{})},c.applyOptions=function(a,d){return d=c.extend({},c.DEFAULTS,d),c.STATIC_OPTIONS.some(function(b){return d[b]!==a._options[b]})?(a.destroy(),new c(a._jQuery?b(a.sidebar):a.sidebar,d)):(a.setOptions(d),a)},c.getElement=function(a){return"string"==typeof a?q.querySelector(a):a&&a.jquery?a[0]||null:a||null},c.closest=function(b,d){if(!d)return null;if("string"!=typeof d){for(var e=c.getElement(d);b&&b!==e;)b=b.parentNode;return b||null}for(var f=a.Element.prototype.matches||a.Element.prototype.msMatchesSelector||a.Element.prototype.webkitMatchesSelector;b&&1===b.nodeType;){if(f.call(b,d))return b;b=b.parentNode}return null},c.offset=function(b){var c=b.getBoundingClientRect(),d=q.documentElement;return{top:c.top+(a.pageYOffset||d.scrollTop)-(d.clientTop||0),left:c.left+(a.pageXOffset||d.scrollLeft)-(d.clientLeft||0)}},c.css=function(a,b){for(var c in b){var d=b[c];"number"==typeof d&&(d+="px"),a.style[c]=d}},c.restoreStyle=function(a,b){null===b?a.removeAttribute("style"):a.setAttribute("style",b)},c.isVisible=function(a){return Boolean(a.offsetWidth||a.offsetHeight||a.getClientRects().length)},c.createEvent=function(b,c){var d={bubbles:!0,cancelable:!0,detail:c};if("function"==typeof a.CustomEvent)return new a.CustomEvent(b,d);var e=q.createEvent("CustomEvent");return e.initCustomEvent(b,d.bubbles,d.cancelable,d.detail),e},c.getResizeObserver=function(){return"function"==typeof a.ResizeObserver&&(c._resizeObserver||(c._resizeObserver=new a.ResizeObserver(function(a){a.forEach(function(a){var b=a.target,d=b.resizeSize,e={width:a.contentRect.width,height:a.contentRect.height};b.resizeSize=e,!d||d.width===e.width&&d.height===e.height||c.callResizeListeners(b,a)})})),c._resizeObserver)},c.callResizeListeners=function(a,b){(a.resizeListeners||[]).slice().forEach(function(c){c.call(a,b)})},c.supportPassive=function(){var b=!1;try{var c=Object.defineProperty({},"passive",{get:function(){b=!0}});a.addEventListener("test",null,c),a.removeEventListener("test",null,c)}catch(a){}return b},c.isRTL=function(b){return"rtl"===a.getComputedStyle(b).direction},c.rtlScrollType=function(){if(c._rtlScrollType)return c._rtlScrollType;var a=q.createElement("div"),b="reverse";return a.dir="rtl",a.style.cssText="position: absolute; top: -1000px; width: 4px; height: 1px; overflow: scroll;",a.innerHTML='<div style="width: 8px; height: 1px;"></div>',q.body.appendChild(a),a.scrollLeft>0?b="default":(a.scrollLeft=1,0===a.scrollLeft&&(b="negative")),q.body.removeChild(a),c._rtlScrollType=b},c.getScrollLeft=function(a,b){var d=a.scrollLeft;if(!b)return d;switch(c.rtlScrollType()){case"negative":return a.scrollWidth-a.clientWidth+d;case"reverse":return a.scrollWidth-a.clientWidth-d;default:return d}},c.scheduler={queue:[],frame:!1,stats:{frames:0,lastDuration:0,maxDuration:0,totalDuration:0,averageDuration:0},schedule:function(a){var b=c.scheduler;-1===b.queue.indexOf(a)&&b.queue.push(a),!1===b.frame&&(b.frame=c.requestFrame(b.flush))},cancel:function(a){var b=c.scheduler,d=b.queue.indexOf(a);-1!==d&&b.queue.splice(d,1)},flush:function(){var a=c.scheduler,b=a.stats,d=a.queue,e=c.now();a.queue=[],a.frame=!1;var f=d.map(function(a){return a._readPosition()}),g=d.map(function(a){return a._readActiveItem()});d.forEach(function(a,b){f[b]&&a._writePosition(f[b]),a._activate(g[b]),a._debug&&a._debug.update()}),b.frames++,b.lastDuration=c.now()-e,b.maxDuration=Math.max(b.maxDuration,b.lastDuration),b.totalDuration+=b.lastDuration,b.averageDuration=b.totalDuration/b.frames},resetStats:function(){c.scheduler.stats={frames:0,lastDuration:0,maxDuration:0,totalDuration:0,averageDuration:0}}},c.requestFrame=function(b){return"function"==typeof a.requestAnimationFrame?a.requestAnimationFrame(b):a.setTimeout(b,16)},c.cancelFrame=function(b){"function"==typeof a.cancelAnimationFrame?a.cancelAnimationFrame(b):a.clearTimeout(b)},c.EASINGS={linear:function(a){return a},"ease-in":function(a){return a*a*a},"ease-out":function(a){return 1-Math.pow(1-a,3)},"ease-in-out":function(a){return a<.5?4*a*a*a:1-Math.pow(2-2*a,3)/2}},c.now=function(){return a.performance&&a.performance.now?a.performance.now():Date.now()},c.prototype={initialize:function(){if(this._trigger("initialize"),this._validateOptions(this.options),this.options.innerWrapperSelector&&(this.sidebarInner=this.sidebar.querySelector(this.options.innerWrapperSelector),null===this.sidebarInner&&(this.sidebarInner=!1)),this._originalStyle={sidebar:this.sidebar.getAttribute("style"),inner:this.sidebarInner?this.sidebarInner.getAttribute("style"):null},this._createdInnerWrapper=!this.sidebarInner,this._addedTabIndex=!1,!this.sidebarInner){var a=q.createElement("div");for(a.className="inner-wrapper-sticky";this.sidebar.firstChild;)a.appendChild(this.sidebar.firstChild);this.sidebar.appendChild(a),this.sidebarInner=a}this._parseOptions(),this._offsetElements=this._getOffsetElements(),this.isOverflowScroll()&&!this.sidebarInner.hasAttribute("tabindex")&&(this.sidebarInner.setAttribute("tabindex","0"),this._addedTabIndex=!0),this.options.stackGroup&&c.addToStack(this),this._widthBreakpoint(),this.calcDimensions(),this._updateNativeSticky(),this.stickyPosition(),this._calcScrollSpy(),this._activate(this._readActiveItem()),this.bindEvents(),this.scrollActiveIntoView(),this._initialized=!0,this._updateDebug(),this._trigger("initialized")},_validateOptions:function(a){var b=a.responsive||{};this._validateValues(a),Object.keys(b).forEach(function(d){c.STATIC_OPTIONS.forEach(function(a){if(void 0!==b[d][a])throw new Error('Option "'+a+'" can not be changed by responsive breakpoint "'+d+'".')}),this._validateValues(c.extend({},a,b[d]))},this),this._initialized&&c.STATIC_OPTIONS.forEach(function(b){if(a[b]!==this._options[b])throw new Error('Option "'+b+'" can not be changed after initialization.')},this)},_validateValues:function(a){if(!c.AXES[a.axis])throw new Error('Invalid axis "'+a.axis+'", should be "x" or "y".');if(-1===["page","scroll"].indexOf(a.overflowMode))throw new Error('Invalid overflow mode "'+a.overflowMode+'", should be "page" or "scroll".');if(-1===["top","bottom"].indexOf(a.anchor))throw new Error('Invalid anchor "'+a.anchor+'", should be "top" or "bottom".');if("function"!=typeof a.transitionEasing&&!c.EASINGS[a.transitionEasing])throw new Error('Invalid transition easing "'+a.transitionEasing+'", should be a function or one of "'+Object.keys(c.EASINGS).join('", "')+'".')},_parseOptions:function(){this._autoSpacing="auto"===this.options.topSpacing||"auto"===this.options.bottomSpacing,"function"!=typeof this.options.topSpacing&&(this.options.topSpacing=parseInt(this.options.topSpacing)||0),"function"!=typeof this.options.bottomSpacing&&(this.options.bottomSpacing=parseInt(this.options.bottomSpacing)||0)},_getOffsetElements:function(){var b=this.options.offsetElements;return"string"==typeof b?b=q.querySelectorAll(b):b&&b.nodeType?b=[b]:!b&&this._autoSpacing&&(b=Array.prototype.filter.call(q.body.children,function(b){return-1!==["fixed","sticky"].indexOf(a.getComputedStyle(b).position)})),Array.prototype.filter.call(b||[],function(a){return!a.contains(this.sidebar)},this)},_updateOffsetElements:function(){var a=this._getOffsetElements();this.options.resizeSensor&&(this._offsetElements.forEach(function(a){this.removeResizeListener(a,this.updateSticky)},this),a.forEach(function(a){this.addResizerListener(a,this.updateSticky)},this)),this._offsetElements=a},_measureOffsetElements:function(){var b="x"===this.options.axis;this._offsetSizes=[],this._offsetElements.forEach(function(d){var e=a.getComputedStyle(d);-1!==["fixed","sticky"].indexOf(e.position)&&"hidden"!==e.visibility&&c.isVisible(d)&&this._offsetSizes.push({element:d,style:e,size:b?d.offsetWidth:d.offsetHeight})},this)},_calcOffsetSpacing:function(){var a=this._offsetSpacing={top:0,bottom:0},b=this.dimensions,c="x"===this.options.axis,d=c?b.viewportOffsetLeft:b.viewportOffsetTop,e=c?b.viewportWidth:b.viewportHeight;this._offsetSizes.forEach(function(b){var f=b.element.getBoundingClientRect(),g=b.style,h=(c?f.left:f.top)-d,i=h+b.size,j=Math.min(i,e)-Math.max(h,0);if(!(j<=0)){if("sticky"===g.position){var k=parseFloat(c?g.left:g.top)||0,l=parseFloat(c?g.right:g.bottom)||0;if(Math.abs(h-k)>=1&&Math.abs(e-i-l)>=1)return}h+b.size/2<=e/2?a.top+=j:a.bottom+=j}})},_getContainer:function(){return c.closest(this.sidebar,this.options.containerSelector)||this.sidebar.parentNode},_updateContainer:function(){var a=this._getContainer();a!==this.container&&(this.options.resizeSensor&&(this.container!==this.scrollContainer&&this.removeResizeListener(this.container,this.updateSticky),a!==this.scrollContainer&&this.addResizerListener(a,this.updateSticky)),this.container=a)},_updateResponsive:function(){var a=this._options.responsive||{},b=Object.keys(a).filter(function(a){return c.matchMedia(a)});if(this._responsiveQueries&&b.join()===this._responsiveQueries.join())return!1;var d=c.extend({},this._options);return b.forEach(function(b){c.extend(d,a[b])}),this.options=d,this._responsiveQueries=b,!0},_onMediaChange:function(){var a=this.options;this._updateResponsive()&&(this._applyOptions(a),this._trigger("breakpoint",{breakpoints:this._responsiveQueries.slice(),options:this.options}),this.updateSticky())},_applyOptions:function(a){this._parseOptions(),a.stackGroup&&c.removeFromStack(this,a.stackGroup),this.options.stackGroup&&c.addToStack(this),a.stickyClass!==this.options.stickyClass&&this.sidebar.classList.contains(a.stickyClass)&&(this.sidebar.classList.remove(a.stickyClass),this.sidebar.classList.add(this.options.stickyClass)),this._updateContainer(),this._updateOffsetElements(),this._widthBreakpoint(),a.stackGroup&&a.stackGroup!==this.options.stackGroup&&(c.stacks[a.stackGroup]||[]).forEach(function(a){a._initialized&&a.stickyPosition(!0)})},bindEvents:function(){a.addEventListener("resize",this._onResize);var d=!!c.supportPassive()&&{passive:!0};a.addEventListener("scroll",this._onScroll,d),a!==this.scrollContainer&&this.scrollContainer.addEventListener("scroll",this._onScroll,d),this.sidebar.addEventListener("update"+c.EVENT_KEY,this.updateSticky),this.sidebarInner.addEventListener("click",this._onSpyClick),this._bindMediaQueries(),b&&b(this.sidebar).on("update"+c.EVENT_KEY,this.updateSticky),this.options.resizeSensor&&(this.addResizerListener(this.sidebarInner,this.updateSticky),this.addResizerListener(this.container,this.updateSticky),this.addResizerListener(this.sidebar,this._onPlaceholderResize),a!==this.scrollContainer&&this.container!==this.scrollContainer&&this.addResizerListener(this.scrollContainer,this.updateSticky),this._offsetElements.forEach(function(a){this.addResizerListener(a,this.updateSticky)},this)),this.isOverflowScroll()&&this.options.activeSelector&&"function"==typeof a.MutationObserver&&(this._activeObserver=new a.MutationObserver(this.scrollActiveIntoView),this._activeObserver.observe(this.sidebarInner,{attributes:!0,attributeFilter:["class"],subtree:!0}))},_bindMediaQueries:function(){"function"==typeof a.matchMedia&&(this._mediaQueryLists=Object.keys(this._options.responsive||{}).map(function(b){var d=a.matchMedia(c.toMediaQuery(b));return d.addListener(this._onMediaChange),d},this))},_unbindMediaQueries:function(){this._mediaQueryLists.forEach(function(a){a.removeListener(this._onMediaChange)},this),this._mediaQueryLists=[]},_trigger:function(a,d){var e=c.createEvent(a+c.EVENT_KEY,d),f=!this.sidebar.dispatchEvent(e);if(b){var g=b.Event(a+c.EVENT_KEY);b(this.sidebar).trigger(g,[d]),f=f||g.isDefaultPrevented()}return!f},_onScroll:function(a){c.scheduler.schedule(this)},_onResize:function(b){"function"!=typeof a.matchMedia&&this._onMediaChange(),this._widthBreakpoint(),this.updateSticky()},_onPlaceholderResize:function(){this._breakpoint||this.sidebar.getBoundingClientRect().width!==this.dimensions.sidebarWidth&&this.updateSticky()},calcDimensions:function(){if(!this._breakpoint){var b=this.dimensions;this._rtl=c.isRTL(this.sidebar),this._scrollRTL=c.isRTL(a===this.scrollContainer?q.documentElement:this.scrollContainer);var d=this._getOffset(this.container);b.containerTop=d.top,b.containerHeight=this.container.getBoundingClientRect().height,b.containerBottom=b.containerTop+b.containerHeight,b.containerLeft=d.left,b.containerWidth=this.container.getBoundingClientRect().width,b.containerRight=b.containerLeft+b.containerWidth,b.sidebarHeight=this.sidebarInner.getBoundingClientRect().height,b.sidebarWidth=this.sidebar.getBoundingClientRect().width,this.isOverflowScroll()&&(b.sidebarScrollHeight=this.sidebarInner.scrollHeight||b.sidebarHeight),a===this.scrollContainer?(b.viewportHeight=a.innerHeight,b.viewportWidth=a.innerWidth):(b.viewportHeight=this.scrollContainer.clientHeight,b.viewportWidth=this.scrollContainer.clientWidth),this._measureOffsetElements(),this._calcDimensionsWithScroll()}},_getOffset:function(b){var d,e=this.scrollContainer;if(a===e)return d=c.offset(b),this._scrollRTL&&(d.left=b.getBoundingClientRect().left+this._getScrollLeft()),d;var f=b.getBoundingClientRect(),g=e.getBoundingClientRect();return{top:f.top-g.top-e.clientTop+e.scrollTop,left:f.left-g.left-e.clientLeft+this._getScrollLeft()}},_getScrollTop:function(){return a!==this.scrollContainer?this.scrollContainer.scrollTop:q.documentElement.scrollTop||q.body.scrollTop},_getScrollLeft:function(){return a!==this.scrollContainer?c.getScrollLeft(this.scrollContainer,this._scrollRTL):this._scrollRTL?c.getScrollLeft(q.scrollingElement||q.documentElement,!0):q.documentElement.scrollLeft||q.body.scrollLeft},_calcViewportOffsets:function(){var b=this.dimensions,c=this.scrollContainer;if(b.clientWidth=q.documentElement.clientWidth,a===c)return b.viewportOffsetTop=b.viewportOffsetLeft=0,void(b.viewportOffsetBottom=b.viewportOffsetRight=0);var d=c.getBoundingClientRect();b.viewportOffsetTop=d.top+c.clientTop,b.viewportOffsetLeft=d.left+c.clientLeft,b.viewportOffsetBottom=q.documentElement.clientHeight-(b.viewportOffsetTop+b.viewportHeight),b.viewportOffsetRight=b.clientWidth-(b.viewportOffsetLeft+b.viewportWidth)},_calcDimensionsWithScroll:function(){var a=this.dimensions,b=this._getOffset(this.sidebar);a.sidebarTop=b.top,a.sidebarLeft=b.left,a.viewportTop=this._getScrollTop(),a.viewportLeft=this._getScrollLeft(),a.viewportBottom=a.viewportTop+a.viewportHeight,a.viewportRight=a.viewportLeft+a.viewportWidth,a.topSpacing=this.options.topSpacing,a.bottomSpacing=this.options.bottomSpacing,this._calcViewportOffsets(),this._calcOffsetSpacing(),a.topSpacing=this._getSpacing(a.topSpacing),a.bottomSpacing=this._getSpacing(a.bottomSpacing),a.topSpacing+=this._offsetSpacing.top,a.bottomSpacing+=this._offsetSpacing.bottom,this.options.stackGroup&&(a.topSpacing=this._getStackSpacing(a.topSpacing)),this.isOverflowScroll()&&(a.sidebarMaxHeight=Math.max(0,a.viewportHeight-a.topSpacing-a.bottomSpacing),a.sidebarHeight=Math.min(a.sidebarScrollHeight,a.sidebarMaxHeight))},_getSpacing:function(a){return"function"!=typeof a?a:parseInt(a(this._jQuery?b(this.sidebar):this.sidebar))||0},_getStackSpacing:function(a){for(var b=c.stacks[this.options.stackGroup]||[],d=this.options.axis,e=c.getAxisDimensions(this.dimensions,d,this._rtl).viewportStart,f=0,g=0;g<b.length&&b[g]!==this;g++){var h=b[g],i=c.getAxisDimensions(h.dimensions,d,h._rtl),j=h._getSpacing(h.options.topSpacing)+h._offsetSpacing.top,k=Math.max(j,f);f=Math.min(k+i.sidebarSize,i.containerEnd-e)}return Math.max(a,f)},isOverflowScroll:function(){return"scroll"===this.options.overflowMode&&"y"===this.options.axis},isSidebarFitsViewport:function(){var a=c.AXES[this.options.axis];return this.dimensions[a.sidebarSize]<this.dimensions[a.viewportSize]},isScrollingTop:function(){return this.dimensions.viewportTop<this.dimensions.lastViewportTop},isScrollingLeft:function(){return this.dimensions.viewportLeft<this.dimensions.lastViewportLeft},getAffixType:function(){var a=this._computeAffix();return c.extend(this.dimensions,a.dimensions),a.affixType},_computeAffix:function(){var a=this.dimensions,b=this.options,d=c.AXES[b.axis],e={};this._calcDimensionsWithScroll();var f=c.computeAffix(c.getAxisDimensions(a,b.axis,this._rtl),{affixedType:this.affixedType,scrollDistance:a.scrollDistance,anchor:b.anchor,reveal:b.reveal&&"y"===b.axis,revealTolerance:b.revealTolerance,overflowScroll:this.isOverflowScroll()});return e[d.translate]=f.translate,e[d.lastViewportStart]=a[d.viewportStart],e.scrollDistance=f.scrollDistance,{affixType:c.toAxisAffixType(f.affixType,b.axis,this._rtl),dimensions:e}},_getStyle:function(a,b){if(void 0!==a){var d={inner:{},outer:{}};b=b||this.dimensions;var e=b.sidebarLeft-b.viewportLeft+b.viewportOffsetLeft,f=this._rtl?{right:b.clientWidth-e-b.sidebarWidth}:{left:e},g=this._rtl?b.bottomSpacing:b.topSpacing,h=this._rtl?b.topSpacing:b.bottomSpacing,i=this._rtl?-b.translateX:b.translateX;switch(a){case"VIEWPORT-TOP":case"VIEWPORT-REVEALED":d.inner=c.extend({position:"fixed",top:b.topSpacing+b.viewportOffsetTop,width:b.sidebarWidth},f);break;case"VIEWPORT-HIDDEN":d.inner=c.extend({position:"fixed",top:b.topSpacing+b.viewportOffsetTop,width:b.sidebarWidth},f);var j=-(b.sidebarHeight+b.topSpacing+b.viewportOffsetTop);c.supportTransform(!0)?d.inner.transform="translate3d(0, "+j+"px, 0)":c.supportTransform()?d.inner.transform="translate(0, "+j+"px)":d.inner.top=j;break;case"VIEWPORT-BOTTOM":d.inner=c.extend({position:"fixed",top:"auto",bottom:b.bottomSpacing+b.viewportOffsetBottom,width:b.sidebarWidth},f);break;case"CONTAINER-BOTTOM":case"VIEWPORT-UNBOTTOM":case"CONTAINER-TOP":case"VIEWPORT-UNTOP":d.inner={position:"absolute",top:b.containerTop+b.translateY},c.supportTransform(!0)?d.inner={transform:"translate3d(0, "+b.translateY+"px, 0)"}:c.supportTransform()&&(d.inner={transform:"translate(0, "+b.translateY+"px)"});break;case"VIEWPORT-LEFT":d.inner={position:"fixed",left:g+b.viewportOffsetLeft,top:b.sidebarTop-b.viewportTop+b.viewportOffsetTop,width:b.sidebarWidth};break;case"VIEWPORT-RIGHT":d.inner={position:"fixed",left:"auto",right:h+b.viewportOffsetRight,top:b.sidebarTop-b.viewportTop+b.viewportOffsetTop,width:b.sidebarWidth};break;case"CONTAINER-RIGHT":case"VIEWPORT-UNRIGHT":case"CONTAINER-LEFT":case"VIEWPORT-UNLEFT":d.inner={position:"absolute",left:b.containerLeft+i},c.supportTransform(!0)?d.inner={transform:"translate3d("+i+"px, 0, 0)"}:c.supportTransform()&&(d.inner={transform:"translate("+i+"px, 0)"})}switch(a){case"VIEWPORT-TOP":case"VIEWPORT-BOTTOM":case"VIEWPORT-UNBOTTOM":case"VIEWPORT-REVEALED":case"VIEWPORT-HIDDEN":case"CONTAINER-BOTTOM":case"CONTAINER-TOP":case"VIEWPORT-UNTOP":d.outer={height:b.sidebarHeight,position:"relative"};break;case"VIEWPORT-LEFT":case"VIEWPORT-RIGHT":case"VIEWPORT-UNRIGHT":case"CONTAINER-RIGHT":case"VIEWPORT-UNLEFT":case"CONTAINER-LEFT":d.outer={width:b.sidebarWidth,height:b.sidebarHeight,position:"relative"}}return this.isOverflowScroll()&&(d.inner.maxHeight=b.sidebarMaxHeight,d.inner.overflowY="auto"),d.outer=c.extend({},{width:"",height:"",position:""},d.outer),d.inner=c.extend({},{position:"relative",top:"",left:"",right:"",bottom:"",width:"",transform:"",maxHeight:"",overflowY:""},d.inner),d}},stickyPosition:function(a){var b=this._readPosition(a);b&&this._writePosition(b,a)},_readPosition:function(a){if(!c.isVisible(this.sidebar)||this._breakpoint||this._nativeSticky)return!1;var b=this._computeAffix(),d=b.affixType,e={affixType:d,dimensions:b.dimensions,style:this._getStyle(d,c.extend({},this.dimensions,b.dimensions)),transitionFrom:!1};return d&&(this.affixedType!==d||a)&&this._isTransitionable(this.affixedType,d)&&(e.transitionFrom=this.sidebarInner.getBoundingClientRect().top),e},_writePosition:function(b,d){var e=b.affixType,f=b.style;if(d=d||!1,(this.affixedType!=e||d)&&e)return void this._affix(e,f,b.transitionFrom,b.dimensions);c.extend(this.dimensions,b.dimensions),this._initialized&&(a!==this.scrollContainer||this.options.stackGroup?c.css(this.sidebarInner,{top:f.inner.top,left:f.inner.left,bottom:f.inner.bottom,right:f.inner.right}):"x"===this.options.axis?c.css(this.sidebarInner,{top:f.inner.top}):c.css(this.sidebarInner,{left:f.inner.left,right:f.inner.right})),e&&(this.affixedType=e)},_affix:function(a,b,d,e){var f=c.getEventName(a),g={previousType:this.affixedType,type:a,dimensions:c.extend({},this.dimensions,e)};this._trigger("affix."+f,g)&&(c.extend(this.dimensions,e),b&&this._stopTransition(),"STATIC"===a?this.sidebar.classList.remove(this.options.stickyClass):this.sidebar.classList.add(this.options.stickyClass),b&&(c.css(this.sidebar,b.outer),c.css(this.sidebarInner,b.inner)),this.affixedType=a,b&&"number"==typeof d&&this._startTransition(d,a,b),this._trigger("affixed."+f,g))},_isTransitionable:function(a,b){return!(!this.options.transition||!this._initialized||"y"!==this.options.axis)&&(!/HIDDEN|REVEALED/.test(a+b)&&(Boolean(c.supportTransform())&&!c.matchMedia("(prefers-reduced-motion: reduce)")))},_startTransition:function(a,b,d){var e=this.dimensions,f=this._getInnerTop(b),g=a-f;Math.abs(g)<1||(this._transition={offset:g,start:c.now(),transform:d.inner.transform||"",translate3d:Boolean(c.supportTransform(!0)),fixed:"fixed"===d.inner.position,top:f,height:e.sidebarHeight,scrollTop:e.viewportTop,frame:!1},this._stepTransition(e.viewportTop))},_getInnerTop:function(a){var b=this.dimensions;switch(a){case"VIEWPORT-TOP":return b.topSpacing+b.viewportOffsetTop;case"VIEWPORT-BOTTOM":return b.viewportOffsetTop+b.viewportHeight-b.bottomSpacing-b.sidebarHeight}var c="STATIC"===a?0:b.translateY;return b.sidebarTop+c-b.viewportTop+b.viewportOffsetTop},_stepTransition:function(a){var b=this._transition,d=this.options;if(b){var e=d.transitionDuration>0?(c.now()-b.start)/d.transitionDuration:1;if(e>=1)return void this._stopTransition();var f="function"==typeof d.transitionEasing?d.transitionEasing:c.EASINGS[d.transitionEasing],g=b.offset*(1-f(Math.max(0,e))),h=this.dimensions;"number"!=typeof a&&(a=this._getScrollTop());var i=b.fixed?b.top:b.top-(a-b.scrollTop),j=h.containerTop-a+h.viewportOffsetTop;g=Math.max(g,j-i),g=Math.min(g,j+h.containerHeight-i-b.height);var k=b.translate3d?"translate3d(0, "+g+"px, 0)":"translate(0, "+g+"px)";c.css(this.sidebarInner,{transform:b.transform?b.transform+" "+k:k}),b.frame=c.requestFrame(function(){b===this._transition&&this._stepTransition()}.bind(this))}},_stopTransition:function(){var a=this._transition;a&&(this._transition=null,!1!==a.frame&&c.cancelFrame(a.frame),c.css(this.sidebarInner,{transform:a.transform}))},isNativeSticky:function(){var a=this.options;return Boolean(a.nativeSticky&&c.supportSticky()&&!this._breakpoint&&"y"===a.axis&&"top"===a.anchor&&!a.reveal&&!a.stackGroup&&!this.isOverflowScroll()&&this.isSidebarFitsViewport()&&this._isSidebarSpansContainer())},_isSidebarSpansContainer:function(){var b=a.getComputedStyle(this.container),c=this.container.getBoundingClientRect().bottom-(parseFloat(b.paddingBottom)||0)-(parseFloat(b.borderBottomWidth)||0);return this.sidebar.getBoundingClientRect().bottom>=c-1},_updateNativeSticky:function(){var a=this.isNativeSticky();a&&!this._nativeSticky?this._enableNativeSticky():!a&&this._nativeSticky&&this._disableNativeSticky(),this._nativeSticky&&(c.css(this.sidebarInner,{top:this.dimensions.topSpacing}),this._nativeSticky.observers.forEach(function(a){a.disconnect()}),this._nativeSticky.observers=[this._observeSentinel("top",this.dimensions.topSpacing),this._observeSentinel("bottom",this.dimensions.topSpacing+this.dimensions.sidebarHeight)])},_enableNativeSticky:function(){var a=q.createElement("div"),b=q.createElement("div");a.className=b.className="sticky-sidebar-sentinel",a.style.height=b.style.height="0",c.css(b,{position:"absolute",bottom:0,left:0,right:0}),this.sidebar.insertBefore(a,this.sidebar.firstChild),this.sidebar.appendChild(b),this._stopTransition(),this._nativeSticky={top:a,bottom:b,observers:[],topAbove:!1,bottomAbove:!1},c.css(this.sidebar,{height:"",position:"relative"}),c.css(this.sidebarInner,{position:c.supportSticky(),top:"",left:"",right:"",bottom:"",width:"",transform:""})},_disableNativeSticky:function(){var a=this._nativeSticky;a.observers.forEach(function(a){a.disconnect()}),[a.top,a.bottom].forEach(function(a){a.parentNode&&a.parentNode.removeChild(a)}),c.css(this.sidebar,{position:""}),c.css(this.sidebarInner,{position:"",top:""}),this._nativeSticky=!1},_observeSentinel:function(b,c){var d=this,e=new a.IntersectionObserver(function(a){a.forEach(function(a){var c=a.rootBounds?a.rootBounds.top:0;d._nativeSticky[b+"Above"]=!a.isIntersecting&&a.boundingClientRect.top<c}),d._onNativeSticky()},{root:a===this.scrollContainer?null:this.scrollContainer,rootMargin:-c+"px 0px 0px 0px",threshold:[0]});return e.observe(this._nativeSticky[b]),e},_onNativeSticky:function(){var a=this._nativeSticky,b="STATIC";a&&(a.bottomAbove?b="CONTAINER-BOTTOM":a.topAbove&&(b="VIEWPORT-TOP"),this.affixedType!==b&&this._affix(b))},_widthBreakpoint:function(){!this.options.enabled||q.documentElement.clientWidth<=this.options.minWidth?(this._breakpoint=!0,this.affixedType="STATIC",this.sidebar.removeAttribute("style"),this.sidebar.classList.remove(this.options.stickyClass),this.sidebarInner.removeAttribute("style")):this._breakpoint=!1},updateSticky:function(){this.calcDimensions(),this._updateNativeSticky(),this.stickyPosition(!0),this._calcScrollSpy(),this._activate(this._readActiveItem()),this.options.stackGroup&&(c.stacks[this.options.stackGroup]||[]).forEach(function(a){a!==this&&a._initialized&&a.stickyPosition(!0)},this),this._updateDebug()},_updateDebug:function(){this._initialized&&(this.options.debug&&!this._debug&&c.Debug?this._debug=new c.Debug(this):!this.options.debug&&this._debug&&(this._debug.destroy(),this._debug=null),this._debug&&this._debug.update())},scrollActiveIntoView:function(){if(this.isOverflowScroll()&&this.options.activeSelector){var a=this.sidebarInner.querySelector(this.options.activeSelector);if(a){var b=this.sidebarInner.getBoundingClientRect(),c=a.getBoundingClientRect();c.top<b.top?this.sidebarInner.scrollTop+=c.top-b.top:c.bottom>b.bottom&&(this.sidebarInner.scrollTop+=Math.min(c.bottom-b.bottom,c.top-b.top))}}},_getSpyLinks:function(){var a=!0===this.options.scrollSpy?'a[href^="#"]':this.options.scrollSpy;return a?Array.prototype.slice.call(this.sidebarInner.querySelectorAll(a)):[]},_calcScrollSpy:function(){this._spyItems=[],this._getSpyLinks().forEach(function(a){var b=a.getAttribute("href")||"",d=1<b.length&&"#"===b.charAt(0)?q.getElementById(decodeURIComponent(b.slice(1))):null;d&&c.isVisible(d)&&this._spyItems.push({link:a,section:d,top:this._getOffset(d).top})},this),this._spyItems.sort(function(a,b){return a.top-b.top}),a===this.scrollContainer?(this._spyScrollHeight=q.documentElement.scrollHeight||q.body.scrollHeight,this._spyViewportHeight=a.innerHeight):(this._spyScrollHeight=this.scrollContainer.scrollHeight,this._spyViewportHeight=this.scrollContainer.clientHeight)},_getSpySpacing:function(){return"y"===this.options.axis?this.dimensions.topSpacing||0:0},_readActiveItem:function(){if(!this.options.scrollSpy)return!!this._activeLink&&null;var a=this._spyItems,b=this._getScrollTop(),c=null;if(!a.length)return null;if(0<b&&b+this._spyViewportHeight>=this._spyScrollHeight-1)return a[a.length-1];for(var d=b+this._getSpySpacing()+1,e=0;e<a.length&&a[e].top<=d;e++)c=a[e];return c},_activate:function(a){if(!1!==a){var b=a?a.link:null,c=this.options.scrollSpyClass,d=this._activeLink;b===d&&c===this._activeClass||(d&&d.classList.remove(this._activeClass),this._activeLink=b,this._activeClass=c,b&&(b.classList.add(c),b!==d&&this._trigger("activate",{link:b,section:a.section,previousLink:d})))}},_onSpyClick:function(b){if(this.options.scrollSpy&&!b.defaultPrevented&&!(b.button||b.ctrlKey||b.metaKey||b.shiftKey||b.altKey)){for(var c=this._getSpyLinks(),d=b.target;d&&d!==this.sidebarInner&&-1===c.indexOf(d);)d=d.parentNode;var e=this._spyItems.filter(function(a){return a.link===d})[0];e&&(b.preventDefault(),this.scrollToSection(e.section),a.history&&"function"==typeof a.history.pushState&&a.history.pushState(null,"",d.getAttribute("href")))}},scrollToSection:function(b){if(b=c.getElement(b)){var d=Math.max(0,this._getOffset(b).top-this._getSpySpacing()),e="scrollBehavior"in q.documentElement.style&&!c.matchMedia("(prefers-reduced-motion: reduce)");if(a===this.scrollContainer)return void(e?a.scrollTo({top:d,behavior:"smooth"}):a.scrollTo(a.pageXOffset||q.documentElement.scrollLeft,d));e&&"function"==typeof this.scrollContainer.scrollTo?this.scrollContainer.scrollTo({top:d,behavior:"smooth"}):this.scrollContainer.scrollTop=d}},setOptions:function(a){var b=this.options,d=c.extend({},this._options,a);if(this._validateOptions(d),!this._initialized)return this._options=d,this._responsiveQueries=!1,this._updateResponsive(),void this._parseOptions();d.responsive!==this._options.responsive?(this._unbindMediaQueries(),this._options=d,this._bindMediaQueries()):this._options=d,this._responsiveQueries=!1,this._updateResponsive(),this._applyOptions(b),this.updateSticky()},addResizerListener:function(a,b){a.resizeListeners||(a.resizeListeners=[],this._appendResizeSensor(a)),a.resizeListeners.push(b),this._resizeListeners.push({element:a,callback:b})},removeResizeListener:function(a,b){var c=a.resizeListeners;if(c){var d=c.indexOf(b);-1!==d&&c.splice(d,1),this._resizeListeners=this._resizeListeners.filter(function(c){return c.element!==a||c.callback!==b}),c.length||(this._removeResizeSensor(a),delete a.resizeListeners)}},_appendResizeSensor:function(a){var b=c.getResizeObserver();b?b.observe(a):this.options.resizeSensorFallback&&this._appendObjectSensor(a)},_removeResizeSensor:function(a){if(a.resizeTrigger)return void this._removeObjectSensor(a);var b=c.getResizeObserver();b&&b.unobserve(a),delete a.resizeSize},_appendObjectSensor:function(b){"static"==a.getComputedStyle(b).position&&(b.resizeSensorPosition=b.style.position,b.style.position="relative");var d=q.createElement("object");d.setAttribute("style","display: block; position: absolute; top: 0; left: 0; height: 100%; width: 100%;overflow: hidden; pointer-events: none; z-index: -1;"),d.resizeElement=b;var e=this;d.addEventListener("load",function(a){this.contentDocument.defaultView.resizeTrigger=this.resizeElement,this.contentDocument.defaultView.addEventListener("resize",e._resizeListener)}),d.type="text/html",c.isIE()&&(d.data="about:blank"),b.resizeTrigger=d,b.appendChild(d)},_removeObjectSensor:function(a){var b=a.resizeTrigger,c=b.contentDocument&&b.contentDocument.defaultView;c&&c.removeEventListener("resize",this._resizeListener),b.parentNode===a&&a.removeChild(b),void 0!==a.resizeSensorPosition&&(a.style.position=a.resizeSensorPosition,delete a.resizeSensorPosition),delete a.resizeTrigger},_resizeListener:function(a){var b=a.target||a.srcElement,d=b.resizeTrigger;c.callResizeListeners(d,a)},destroy:function(){if(this._initialized){if(a.removeEventListener("resize",this._onResize),a.removeEventListener("scroll",this._onScroll),a!==this.scrollContainer&&this.scrollContainer.removeEventListener("scroll",this._onScroll),c.scheduler.cancel(this),this._stopTransition(),this._unbindMediaQueries(),this.sidebar.removeEventListener("update"+c.EVENT_KEY,this.updateSticky),this.sidebarInner.removeEventListener("click",this._onSpyClick),b&&b(this.sidebar).off("update"+c.EVENT_KEY,this.updateSticky).removeData("stickySidebar"),this.options.stackGroup&&c.removeFromStack(this),this._nativeSticky&&this._disableNativeSticky(),this._resizeListeners.slice().forEach(function(a){this.removeResizeListener(a.element,a.callback)},this),this._activeObserver&&(this._activeObserver.disconnect(),this._activeObserver=null),this._addedTabIndex&&this.sidebarInner.removeAttribute("tabindex"),this._activeLink&&(this._activeLink.classList.remove(this._activeClass),this._activeLink=null),this._debug&&(this._debug.destroy(),this._debug=null),this.sidebar.classList.remove(this.options.stickyClass),this._createdInnerWrapper){for(;this.sidebarInner.firstChild;)this.sidebar.insertBefore(this.sidebarInner.firstChild,this.sidebarInner);this.sidebar.removeChild(this.sidebarInner)}else c.restoreStyle(this.sidebarInner,this._originalStyle.inner);c.restoreStyle(this.sidebar,this._originalStyle.sidebar),this.sidebar.stickySidebar===this&&delete this.sidebar.stickySidebar,this._initialized=!1}}},b){var r=function(a){var d=Array.prototype.slice.call(arguments,1);return this.each(function(){var e=b(this),f=b(this).data("stickySidebar");if(f||(f=new c(e,"object"==typeof a&&a),e.data("stickySidebar",f)),"string"==typeof a){if(void 0===f[a]&&-1===["destroy","updateSticky"].indexOf(a))throw new Error('No method named "'+a+'"');f[a].apply(f,d)}})},s=b.fn.stickySidebar;b.fn.stickySidebar=r,b.fn.stickySidebar.Constructor=c,Object.defineProperties(c.prototype,{$sidebar:{configurable:!0,get:function(){return b(this.sidebar)}},$sidebarInner:{configurable:!0,get:function(){return b(this.sidebarInner)}},$container:{configurable:!0,get:function(){return b(this.container)}}}),b.fn.stickySidebar.noConflict=function(){return b.fn.stickySidebar=s,this}}return h.prototype=Object.create(c.prototype),h.prototype.constructor=h,h.prototype._trigger=function(a,b){var d=c.prototype._trigger.call(this,a,b),e=a.split(".")[0];return"affix"!==e&&"affixed"!==e||(d=this.sidebar.dispatchEvent(c.createEvent("sticky-"+e,b))&&d),d},c.defineElement=function(b){function d(){return Reflect.construct(a.HTMLElement,[],d)}var e=a.customElements,f=i();return b=b||"sticky-sidebar",!(!q||!e||"undefined"==typeof Reflect)&&(e.get(b)?e.get(b):(d.observedAttributes=Object.keys(f),d.prototype=Object.create(a.HTMLElement.prototype),Object.setPrototypeOf(d,a.HTMLElement),c.extend(d.prototype,{constructor:d,connectedCallback:function(){var a=this,b={};if(!this.stickySidebar){if("loading"===q.readyState)return void q.addEventListener("DOMContentLoaded",function(){a.isConnected&&a.connectedCallback()});Object.keys(f).forEach(function(c){a.hasAttribute(c)&&(b[f[c]]=j(a.getAttribute(c)))}),this.stickySidebar=new h(this,b)}},disconnectedCallback:function(){this.stickySidebar&&this.stickySidebar.destroy()},attributeChangedCallback:function(a,b,d){var e=f[a],g={};if(this.stickySidebar&&b!==d){if(-1!==c.STATIC_OPTIONS.indexOf(e))return this.disconnectedCallback(),void this.connectedCallback();g[e]=null===d?c.DEFAULTS[e]:j(d),this.stickySidebar.setOptions(g)}}}),e.define(b,d),d))},c.observe=function(b){if("function"==typeof a.MutationObserver){b=c.getElement(b)||q.documentElement,c.disconnect(),o(b).forEach(m);var d=Object.keys(c.DEFAULTS).map(function(a){return"data-"+f(a)}).concat(["data-sticky-sidebar","data-sticky-sidebar-container"]);c._observer=new a.MutationObserver(p),c._observer.observe(b,{childList:!0,subtree:!0,attributes:!0,attributeFilter:d})}},c.disconnect=function(){c._observer&&(c._observer.disconnect(),c._observer=null)},c.autoInit=function(){if(q&&!c._autoInitialized){c._autoInitialized=!0,c.defineElement();var b=function(){var a=q.querySelectorAll("[data-sticky-sidebar]");Array.prototype.forEach.call(a,m)};"complete"===q.readyState?b():a.addEventListener("load",b)}},c});
\ No newline at end of file
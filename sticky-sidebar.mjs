@@ -0,0 +1,12 @@
+/**
+ * Sticky Sidebar JavaScript Plugin, ES module.
+ *
+ * Same as `sticky-sidebar.js` loaded by script tag, defines `<sticky-sidebar>` element and
+ * initializes Data-API sidebars. Import `sticky-sidebar/core` to leave that to the page.
+ */
+import StickySidebar from './sticky-sidebar.core.mjs';
+
+StickySidebar.autoInit();
+
+export default StickySidebar;
+export { StickySidebar };
@@ -0,0 +1,190 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+describe('Affix state machine', function(){
+    var StickySidebar = helpers.createWindow().StickySidebar;
+
+    // Sidebar at top of container that starts at 100px and ends at 2100px.
+    function dimensions(values){
+        var result = {
+            translate: 0,
+            containerStart: 100,
+            containerEnd: 2100,
+            sidebarSize: 300,
+            viewportSize: 800,
+            viewportStart: 0,
+            lastViewportStart: 0,
+            topSpacing: 20,
+            bottomSpacing: 0
+        };
+
+        for( var key in values ) result[key] = values[key];
+        result.viewportEnd = result.viewportStart + result.viewportSize;
+        return result;
+    }
+
+    function compute(values, state){
+        return StickySidebar.computeAffix(dimensions(values), state || {});
+    }
+
+    describe('when sidebar fits the viewport', function(){
+
+        it('does not change the affix before the container top', function(){
+            assert.strictEqual(compute({viewportStart: 50, lastViewportStart: 0}).affixType, false);
+        });
+
+        it('sticks to viewport top after the container top', function(){
+            var result = compute({viewportStart: 200, lastViewportStart: 0});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-TOP');
+            assert.strictEqual(result.translate, 120);
+        });
+
+        it('stops at the container bottom', function(){
+            var result = compute({viewportStart: 1900, lastViewportStart: 200});
+
+            assert.strictEqual(result.affixType, 'CONTAINER-BOTTOM');
+            assert.strictEqual(result.translate, 1700);
+        });
+
+        it('sticks to viewport top again when scrolling up from the container bottom', function(){
+            var result = compute({viewportStart: 1000, lastViewportStart: 1900, translate: 1700});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-TOP');
+            assert.strictEqual(result.translate, 920);
+        });
+
+        it('returns to static position above the container top', function(){
+            var result = compute({viewportStart: 50, lastViewportStart: 1000, translate: 920});
+
+            assert.strictEqual(result.affixType, 'STATIC');
+            assert.strictEqual(result.translate, 0);
+        });
+    });
+
+    describe('when sidebar is taller than the viewport', function(){
+        var tall = {sidebarSize: 1200, containerEnd: 3100, topSpacing: 0};
+
+        function computeTall(values){
+            var merged = {};
+            for( var key in tall ) merged[key] = tall[key];
+            for( key in values ) merged[key] = values[key];
+            return compute(merged);
+        }
+
+        it('scrolls with the page until the sidebar bottom', function(){
+            var result = computeTall({viewportStart: 300, lastViewportStart: 0});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-UNBOTTOM');
+            assert.strictEqual(result.translate, 0);
+        });
+
+        it('sticks to viewport bottom after the sidebar bottom', function(){
+            var result = computeTall({viewportStart: 600, lastViewportStart: 300});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-BOTTOM');
+            assert.strictEqual(result.translate, 100);
+        });
+
+        it('respects the bottom spacing', function(){
+            var result = computeTall({viewportStart: 600, lastViewportStart: 300, bottomSpacing: 50});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-BOTTOM');
+            assert.strictEqual(result.translate, 50);
+        });
+
+        it('stops at the container bottom', function(){
+            var result = computeTall({viewportStart: 2500, lastViewportStart: 600, translate: 100});
+
+            assert.strictEqual(result.affixType, 'CONTAINER-BOTTOM');
+            assert.strictEqual(result.translate, 1800);
+        });
+
+        it('unsticks from viewport bottom when scrolling up', function(){
+            var result = computeTall({viewportStart: 2000, lastViewportStart: 2500, translate: 1800});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-UNBOTTOM');
+            assert.strictEqual(result.translate, 1800);
+        });
+
+        it('sticks to viewport top when scrolling up to the sidebar top', function(){
+            var result = computeTall({viewportStart: 1800, lastViewportStart: 2000, translate: 1800});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-TOP');
+            assert.strictEqual(result.translate, 1700);
+        });
+
+        it('sticks to viewport top when the sidebar scrolls on its own', function(){
+            var result = StickySidebar.computeAffix(dimensions({sidebarSize: 800, containerEnd: 3100, topSpacing: 0,
+                viewportStart: 300, lastViewportStart: 0}), {overflowScroll: true});
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-TOP');
+            assert.strictEqual(result.translate, 200);
+        });
+    });
+
+    describe('when anchored at the bottom', function(){
+        var bottom = {anchor: 'bottom'};
+
+        it('sticks to viewport bottom between the container edges', function(){
+            var result = compute({viewportStart: 200, lastViewportStart: 0, bottomSpacing: 20}, bottom);
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-BOTTOM');
+            assert.strictEqual(result.translate, 580);
+        });
+
+        it('does not depend on scroll direction', function(){
+            var result = compute({viewportStart: 200, lastViewportStart: 1000, translate: 1380, bottomSpacing: 20}, bottom);
+
+            assert.strictEqual(result.affixType, 'VIEWPORT-BOTTOM');
+            assert.strictEqual(result.translate, 580);
+        });
+
+        it('stops at the container bottom', function(){
+            var result = compute({viewportStart: 1400, lastViewportStart: 200, bottomSpacing: 20}, bottom);
+
+            assert.strictEqual(result.affixType, 'CONTAINER-BOTTOM');
+            assert.strictEqual(result.translate, 1700);
+        });
+
+        it('stops at the container top', function(){
+            var result = compute({containerStart: 1000, containerEnd: 3000, viewportStart: 400,
+                lastViewportStart: 1000, translate: 480, bottomSpacing: 20}, bottom);
+
+            assert.strictEqual(result.affixType, 'CONTAINER-TOP');
+            assert.strictEqual(result.translate, 0);
+        });
+
+        it('names the states of taller sidebar at the top edge after the anchor', function(){
+            var tall = {sidebarSize: 1200, containerEnd: 3100, topSpacing: 0};
+
+            assert.strictEqual(compute(StickySidebar.extend({viewportStart: 300, lastViewportStart: 0}, tall), bottom).affixType,
+                'VIEWPORT-UNTOP');
+            assert.strictEqual(compute(StickySidebar.extend({viewportStart: 600, lastViewportStart: 300}, tall), bottom).affixType,
+                'VIEWPORT-BOTTOM');
+            assert.strictEqual(compute(StickySidebar.extend({viewportStart: 50, lastViewportStart: 300}, tall), bottom).affixType,
+                'CONTAINER-TOP');
+        });
+    });
+
+    describe('axis dimensions', function(){
+
+        it('maps dimensions of horizontal axis', function(){
+            var result = StickySidebar.getAxisDimensions({containerLeft: 10, containerRight: 500,
+                sidebarWidth: 100, viewportLeft: 40, topSpacing: 5}, 'x');
+
+            assert.strictEqual(result.containerStart, 10);
+            assert.strictEqual(result.containerEnd, 500);
+            assert.strictEqual(result.sidebarSize, 100);
+            assert.strictEqual(result.viewportStart, 40);
+            assert.strictEqual(result.topSpacing, 5);
+        });
+
+        it('names affix types of horizontal axis after left and right edges', function(){
+            assert.strictEqual(StickySidebar.toAxisAffixType('VIEWPORT-UNBOTTOM', 'x'), 'VIEWPORT-UNRIGHT');
+            assert.strictEqual(StickySidebar.toAxisAffixType('VIEWPORT-TOP', 'x'), 'VIEWPORT-LEFT');
+            assert.strictEqual(StickySidebar.toAxisAffixType('VIEWPORT-TOP', 'y'), 'VIEWPORT-TOP');
+            assert.strictEqual(StickySidebar.toAxisAffixType(false, 'x'), false);
+        });
+    });
+});
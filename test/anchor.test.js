@@ -0,0 +1,89 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+var eventNames = ['static', 'top', 'bottom', 'untop', 'container-top', 'container-bottom'];
+
+describe('Bottom anchor', function(){
+    var window, page, sidebar, events;
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, {viewportHeight: 800, containerTop: 1000, containerHeight: 2000,
+            sidebarHeight: 300, sidebarWidth: 250});
+        events = [];
+
+        var element = window.document.getElementById('sidebar');
+
+        eventNames.forEach(function(eventName){
+            element.addEventListener('affix.' + eventName + '.sticky', function(event){
+                events.push(event.detail.type);
+            });
+        });
+
+        sidebar = new window.StickySidebar('#sidebar', {bottomSpacing: 20, anchor: 'bottom'});
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    // Scroll to every position and collect affix type, translate and events of each step.
+    function scrollSteps(positions){
+        return positions.map(function(y){
+            events = [];
+            page.scrollTo(y);
+
+            return {y: y, affixType: sidebar.affixedType, translateY: sidebar.dimensions.translateY, events: events};
+        });
+    }
+
+    it('goes through container top, viewport bottom and container bottom', function(){
+        assert.strictEqual(sidebar.affixedType, 'CONTAINER-TOP');
+
+        assert.deepStrictEqual(scrollSteps([1000, 2500, 1000, 0]), [
+            {y: 1000, affixType: 'VIEWPORT-BOTTOM', translateY: 480, events: ['VIEWPORT-BOTTOM']},
+            {y: 2500, affixType: 'CONTAINER-BOTTOM', translateY: 1700, events: ['CONTAINER-BOTTOM']},
+            {y: 1000, affixType: 'VIEWPORT-BOTTOM', translateY: 480, events: ['VIEWPORT-BOTTOM']},
+            {y: 0, affixType: 'CONTAINER-TOP', translateY: 0, events: ['CONTAINER-TOP']}
+        ]);
+    });
+
+    it('fixes the inner wrapper at bottom spacing', function(){
+        page.scrollTo(1000);
+
+        assert.strictEqual(sidebar.sidebarInner.style.position, 'fixed');
+        assert.strictEqual(sidebar.sidebarInner.style.top, 'auto');
+        assert.strictEqual(sidebar.sidebarInner.style.bottom, '20px');
+        assert.strictEqual(sidebar.sidebar.style.height, '300px');
+    });
+
+    it('holds the inner wrapper at the container top', function(){
+        page.scrollTo(1000);
+        page.scrollTo(0);
+
+        assert.ok(/translate(3d)?\(0(px)?, 0(px)?/.test(sidebar.sidebarInner.style.transform), sidebar.sidebarInner.style.transform);
+        assert.ok(sidebar.sidebar.classList.contains('is-affixed'));
+    });
+
+    it('names the events of mirrored affix types', function(){
+        var StickySidebar = window.StickySidebar;
+
+        assert.strictEqual(StickySidebar.getEventName('CONTAINER-TOP'), 'container-top');
+        assert.strictEqual(StickySidebar.getEventName('VIEWPORT-UNTOP'), 'untop');
+    });
+
+    it('switches the anchor by setOptions()', function(){
+        page.scrollTo(1000);
+        sidebar.setOptions({topSpacing: 20, anchor: 'top'});
+
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+        assert.strictEqual(sidebar.sidebarInner.style.top, '20px');
+    });
+
+    it('throws on unknown anchor', function(){
+        assert.throws(function(){
+            new window.StickySidebar('#sidebar', {anchor: 'middle'});
+        }, /Invalid anchor "middle", should be "top" or "bottom"\./);
+    });
+});
@@ -0,0 +1,480 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+
+describe('Framework bindings', function(){
+    var window, page, element, events;
+
+    // Mutation observers are notified in a microtask.
+    function tick(){
+        return new Promise(function(resolve){ setTimeout(resolve); });
+    }
+
+    // Frameworks render the sidebar themselves, its layout is faked once it's rendered.
+    function fakeLayout(){
+        page = helpers.createPage(window, layout);
+        element = window.document.getElementById('sidebar');
+    }
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, layout);
+        element = window.document.getElementById('sidebar');
+        events = [];
+
+        element.addEventListener('sticky-affixed', function(event){
+            events.push(event.detail.type);
+        });
+    });
+
+    describe('Svelte action', function(){
+        var action;
+
+        beforeEach(function(){
+            helpers.loadScript(window, 'bindings/svelte.js');
+            action = window.StickySidebarSvelte.stickySidebar(element, {topSpacing: 20});
+        });
+
+        afterEach(function(){
+            if( action ) action.destroy();
+        });
+
+        it('dispatches sticky-affixed event when affix type is changed', function(){
+            page.scrollTo(200);
+            page.scrollTo(0);
+
+            assert.deepStrictEqual(events, ['VIEWPORT-TOP', 'STATIC']);
+        });
+
+        it('applies updated options', function(){
+            var sidebar = element.stickySidebar;
+
+            page.scrollTo(200);
+            action.update({topSpacing: 50, stickyClass: 'is-stuck'});
+
+            assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '50px');
+            assert.ok(element.classList.contains('is-stuck'));
+
+            // Options missing from the update return to their defaults.
+            action.update({});
+            assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '0px');
+            assert.strictEqual(element.stickySidebar, sidebar);
+        });
+
+        it('re-creates the sidebar when options that cannot be changed are changed', function(){
+            var inner = element.querySelector('.inner-wrapper-sticky');
+
+            action.update({overflowMode: 'scroll'});
+            page.scrollTo(200);
+
+            assert.strictEqual(element.querySelector('.inner-wrapper-sticky'), inner);
+            assert.strictEqual(inner.style.overflowY, 'auto');
+            assert.deepStrictEqual(events, ['VIEWPORT-TOP']);
+        });
+
+        it('updates the sidebar when the content is changed', function(){
+            var calls = 0, updateSticky = element.stickySidebar.updateSticky;
+
+            element.stickySidebar.updateSticky = function(){
+                calls++;
+                return updateSticky.apply(this, arguments);
+            };
+
+            element.querySelector('.inner-wrapper-sticky').appendChild(window.document.createElement('p'));
+
+            return tick().then(function(){
+                assert.strictEqual(calls, 1);
+            });
+        });
+
+        it('destroys the sidebar and stops dispatching events', function(){
+            var sidebar = element.stickySidebar;
+
+            action.destroy();
+            action = null;
+            page.scrollTo(200);
+
+            assert.strictEqual(sidebar._initialized, false);
+            assert.strictEqual(element.stickySidebar, undefined);
+            assert.deepStrictEqual(events, []);
+        });
+    });
+
+    describe('Vue directive', function(){
+        var directive;
+
+        beforeEach(function(){
+            helpers.loadScript(window, 'bindings/vue.js');
+            directive = window.StickySidebarVue.vStickySidebar;
+            directive.mounted(element, {value: {topSpacing: 20}});
+        });
+
+        afterEach(function(){
+            if( element.stickySidebar ) directive.unmounted(element);
+        });
+
+        it('dispatches sticky-affixed event when affix type is changed', function(){
+            page.scrollTo(200);
+
+            assert.deepStrictEqual(events, ['VIEWPORT-TOP']);
+        });
+
+        it('applies changed options and updates the sidebar otherwise', function(){
+            var sidebar = element.stickySidebar, calls = 0;
+            var setOptions = sidebar.setOptions;
+
+            sidebar.setOptions = function(){
+                calls++;
+                return setOptions.apply(this, arguments);
+            };
+
+            page.scrollTo(200);
+
+            directive.updated(element, {value: {topSpacing: 20}, oldValue: {topSpacing: 20}});
+            assert.strictEqual(calls, 0);
+
+            directive.updated(element, {value: {topSpacing: 50}, oldValue: {topSpacing: 20}});
+            assert.strictEqual(calls, 1);
+            assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '50px');
+        });
+
+        it('re-creates the sidebar when options that cannot be changed are changed', function(){
+            var sidebar = element.stickySidebar;
+
+            directive.updated(element, {value: {overflowMode: 'scroll'}, oldValue: {topSpacing: 20}});
+
+            assert.strictEqual(sidebar._initialized, false);
+            assert.strictEqual(element.stickySidebar.options.overflowMode, 'scroll');
+        });
+
+        it('destroys the sidebar when unmounted', function(){
+            var sidebar = element.stickySidebar;
+
+            directive.unmounted(element);
+            page.scrollTo(200);
+
+            assert.strictEqual(sidebar._initialized, false);
+            assert.strictEqual(element.stickySidebar, undefined);
+            assert.deepStrictEqual(events, []);
+        });
+    });
+
+    describe('React', function(){
+        var React, ReactDOM, h, root, sticky;
+
+        before(function(){
+            global.IS_REACT_ACT_ENVIRONMENT = true;
+            React = require('react');
+            ReactDOM = require('react-dom/client');
+            h = React.createElement;
+        });
+
+        after(function(){
+            delete global.IS_REACT_ACT_ENVIRONMENT;
+        });
+
+        beforeEach(function(){
+            // React DOM schedules updates through the global window.
+            global.window = window;
+            global.document = window.document;
+
+            window.React = React;
+            helpers.loadScript(window, 'bindings/react.js');
+
+            window.document.body.innerHTML = '<div id="root"></div>';
+            root = ReactDOM.createRoot(window.document.getElementById('root'));
+        });
+
+        afterEach(function(){
+            React.act(function(){ root.unmount(); });
+
+            delete global.window;
+            delete global.document;
+        });
+
+        function render(element){
+            React.act(function(){ root.render(element); });
+        }
+
+        function scrollTo(y){
+            React.act(function(){ page.scrollTo(y); });
+        }
+
+        describe('hook', function(){
+
+            function Sidebar(props){
+                sticky = window.StickySidebarReact.useStickySidebar(props.options, props.deps);
+
+                return h('div', {id: 'container'},
+                    h('div', {id: 'sidebar', ref: sticky.ref}, h('div', {className: 'inner-wrapper-sticky'})));
+            }
+
+            beforeEach(function(){
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [0]}));
+                fakeLayout();
+
+                // Renders again with the faked layout, the sidebar is updated when deps change.
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [1]}));
+            });
+
+            it('makes the element sticky and returns its affix type', function(){
+                assert.strictEqual(sticky.instance.current.sidebar, element);
+                assert.strictEqual(sticky.affixType, 'STATIC');
+
+                scrollTo(200);
+
+                assert.strictEqual(sticky.affixType, 'VIEWPORT-TOP');
+                assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '20px');
+            });
+
+            it('applies options only when their values change', function(){
+                var sidebar = sticky.instance.current, setOptions = 0, updates = 0;
+
+                sidebar.setOptions = function(){ setOptions++; };
+                sidebar.updateSticky = function(){ updates++; };
+
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [1]}));
+                assert.strictEqual(setOptions, 0);
+                assert.strictEqual(updates, 0);
+
+                render(h(Sidebar, {options: {topSpacing: 50, responsive: {768: {topSpacing: 80}}}, deps: [1]}));
+                assert.strictEqual(setOptions, 1);
+                assert.strictEqual(sticky.instance.current, sidebar);
+
+                // New objects of the same options are not applied again.
+                render(h(Sidebar, {options: {topSpacing: 50, responsive: {768: {topSpacing: 80}}}, deps: [1]}));
+                assert.strictEqual(setOptions, 1);
+                assert.strictEqual(updates, 0);
+            });
+
+            it('updates the sidebar when deps change', function(){
+                var updates = 0;
+
+                sticky.instance.current.updateSticky = function(){ updates++; };
+
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [1]}));
+                assert.strictEqual(updates, 0);
+
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [2]}));
+                assert.strictEqual(updates, 1);
+            });
+
+            it('re-creates the sidebar when options that cannot be changed are changed', function(){
+                var sidebar = sticky.instance.current;
+
+                render(h(Sidebar, {options: {overflowMode: 'scroll'}}));
+
+                assert.strictEqual(sidebar._initialized, false);
+                assert.notStrictEqual(sticky.instance.current, sidebar);
+                assert.strictEqual(sticky.instance.current.options.overflowMode, 'scroll');
+            });
+
+            it('destroys the sidebar when unmounted', function(){
+                var sidebar = sticky.instance.current;
+
+                render(h('div'));
+
+                assert.strictEqual(sidebar._initialized, false);
+                assert.strictEqual(sticky.instance.current, null);
+            });
+        });
+
+        describe('component', function(){
+
+            function Sidebar(props){
+                return h('div', {id: 'container'}, h(window.StickySidebarReact.StickySidebar, props));
+            }
+
+            it('renders the sidebar element and its inner wrapper', function(){
+                render(h(Sidebar, {as: 'aside', className: 'sidebar'}, h('p', null, 'Content')));
+
+                var aside = window.document.querySelector('#container > aside.sidebar');
+
+                assert.ok(aside);
+                assert.strictEqual(aside.querySelectorAll('.inner-wrapper-sticky').length, 1);
+                assert.strictEqual(aside.querySelector('.inner-wrapper-sticky > p').textContent, 'Content');
+            });
+
+            it('passes the affix type to children function', function(){
+                var children = function(affixType){ return affixType; };
+
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [0]}, children));
+
+                window.document.querySelector('#container > div').id = 'sidebar';
+                fakeLayout();
+                render(h(Sidebar, {options: {topSpacing: 20}, deps: [1]}, children));
+
+                scrollTo(200);
+                assert.strictEqual(element.textContent, 'VIEWPORT-TOP');
+                assert.ok(element.classList.contains('is-affixed'));
+
+                scrollTo(0);
+                assert.strictEqual(element.textContent, 'STATIC');
+            });
+        });
+    });
+
+    describe('Vue', function(){
+        var Vue, app, sticky, vm;
+        var vueGlobals = ['window', 'document', 'Element', 'SVGElement'];
+
+        beforeEach(function(){
+            // Vue DOM renderer takes the document and element classes from the global scope,
+            // it keeps the document once it's loaded.
+            vueGlobals.forEach(function(name){ global[name] = window[name]; });
+
+            Object.keys(require.cache).forEach(function(file){
+                if( /node_modules[\\/](vue|@vue[\\/]runtime-dom)[\\/]/.test(file) ) delete require.cache[file];
+            });
+            Vue = window.Vue = require('vue');
+            helpers.loadScript(window, 'bindings/vue.js');
+
+            window.document.body.innerHTML = '<div id="root"></div>';
+        });
+
+        afterEach(function(){
+            if( app ) app.unmount();
+            app = null;
+
+            vueGlobals.forEach(function(name){ delete global[name]; });
+        });
+
+        function mount(component){
+            app = Vue.createApp(component);
+            vm = app.mount(window.document.getElementById('root'));
+        }
+
+        describe('composable', function(){
+            var options, content;
+
+            beforeEach(function(){
+                options = Vue.ref({topSpacing: 20});
+                content = Vue.ref('');
+
+                mount({
+                    setup: function(){
+                        var target = Vue.ref(null);
+                        sticky = window.StickySidebarVue.useStickySidebar(target, options);
+
+                        return function(){
+                            return Vue.h('div', {id: 'container'}, [
+                                Vue.h('div', {id: 'sidebar', ref: target}, [
+                                    Vue.h('div', {'class': 'inner-wrapper-sticky'}, content.value)
+                                ])
+                            ]);
+                        };
+                    }
+                });
+
+                fakeLayout();
+                sticky.instance.value.updateSticky();
+            });
+
+            it('makes the element sticky and returns its affix type', function(){
+                assert.strictEqual(sticky.instance.value.sidebar, element);
+                assert.strictEqual(sticky.affixType.value, 'STATIC');
+
+                page.scrollTo(200);
+
+                assert.strictEqual(sticky.affixType.value, 'VIEWPORT-TOP');
+                assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '20px');
+            });
+
+            it('updates the sidebar after the component is updated', function(){
+                var updates = 0;
+
+                sticky.instance.value.updateSticky = function(){ updates++; };
+                content.value = 'Content';
+
+                return Vue.nextTick().then(function(){
+                    assert.strictEqual(updates, 1);
+                });
+            });
+
+            it('applies changed options and re-creates the sidebar when needed', function(){
+                var sidebar = sticky.instance.value;
+
+                page.scrollTo(200);
+                options.value.topSpacing = 50;
+
+                return Vue.nextTick().then(function(){
+                    assert.strictEqual(sticky.instance.value, sidebar);
+                    assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '50px');
+
+                    options.value = {overflowMode: 'scroll'};
+                    return Vue.nextTick();
+                }).then(function(){
+                    assert.strictEqual(sidebar._initialized, false);
+                    assert.strictEqual(sticky.instance.value.options.overflowMode, 'scroll');
+                });
+            });
+
+            it('destroys the sidebar when unmounted', function(){
+                var sidebar = sticky.instance.value;
+
+                app.unmount();
+                app = null;
+
+                assert.strictEqual(sidebar._initialized, false);
+                assert.strictEqual(sticky.instance.value, null);
+            });
+        });
+
+        describe('component', function(){
+            var affixed;
+
+            beforeEach(function(){
+                affixed = [];
+
+                mount({
+                    data: function(){
+                        return {options: {topSpacing: 20}};
+                    },
+
+                    render: function(){
+                        return Vue.h('div', {id: 'container'}, [
+                            Vue.h(window.StickySidebarVue.StickySidebar, {
+                                id: 'sidebar',
+                                tag: 'aside',
+                                ref: 'sidebar',
+                                options: this.options,
+                                onAffixed: function(type){ affixed.push(type); }
+                            }, {
+                                'default': function(slot){ return slot.affixType; }
+                            })
+                        ]);
+                    }
+                });
+
+                fakeLayout();
+                vm.$refs.sidebar.instance.updateSticky();
+            });
+
+            it('renders the sidebar element and its inner wrapper', function(){
+                assert.strictEqual(element.tagName, 'ASIDE');
+                assert.strictEqual(element.querySelectorAll('.inner-wrapper-sticky').length, 1);
+                assert.strictEqual(element.textContent, 'STATIC');
+            });
+
+            it('emits affixed event and passes the affix type to the slot', function(){
+                page.scrollTo(200);
+
+                return Vue.nextTick().then(function(){
+                    assert.deepStrictEqual(affixed, ['VIEWPORT-TOP']);
+                    assert.strictEqual(element.textContent, 'VIEWPORT-TOP');
+                });
+            });
+
+            it('applies the changed options prop', function(){
+                page.scrollTo(200);
+                vm.options = {topSpacing: 50};
+
+                return Vue.nextTick().then(function(){
+                    assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '50px');
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,114 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+
+describe('Debug overlay', function(){
+    var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+    var window, page, sidebar, logs;
+
+    function part(name){
+        return window.document.querySelector('.sticky-sidebar-debug-' + name);
+    }
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, layout);
+        logs = [];
+
+        window.console = {log: function(){ logs.push(Array.prototype.slice.call(arguments)); }};
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('is not drawn when the debug script is not loaded', function(){
+        sidebar = new window.StickySidebar('#sidebar', {debug: true});
+
+        assert.strictEqual(window.document.querySelector('.sticky-sidebar-debug'), null);
+    });
+
+    it('draws collider lines and container bounds following the scroll', function(){
+        helpers.loadScript(window, 'sticky-sidebar-debug.js');
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, bottomSpacing: 30, debug: true});
+
+        assert.strictEqual(part('collider-top').style.top, '20px');
+        assert.strictEqual(part('collider-bottom').style.top, '770px');
+        assert.strictEqual(part('container').style.top, '100px');
+        assert.strictEqual(part('container').style.height, '2000px');
+        assert.strictEqual(part('placeholder').style.width, '250px');
+
+        page.scrollTo(500);
+        assert.strictEqual(part('collider-top').style.top, '20px');
+        assert.strictEqual(part('container').style.top, '-400px');
+    });
+
+    it('is removed by setOptions() and destroy()', function(){
+        helpers.loadScript(window, 'sticky-sidebar-debug.js');
+        sidebar = new window.StickySidebar('#sidebar', {debug: true});
+
+        sidebar.setOptions({debug: false});
+        assert.strictEqual(window.document.querySelector('.sticky-sidebar-debug'), null);
+
+        sidebar.setOptions({debug: true});
+        assert.ok(window.document.querySelector('.sticky-sidebar-debug'));
+
+        sidebar.destroy();
+        assert.strictEqual(window.document.querySelector('.sticky-sidebar-debug'), null);
+    });
+
+    it('draws bounds of the inner wrapper', function(){
+        helpers.loadScript(window, 'sticky-sidebar-debug.js');
+        sidebar = new window.StickySidebar('#sidebar', {debug: true});
+
+        assert.strictEqual(part('sidebar').style.top, '100px');
+        assert.strictEqual(part('sidebar').style.height, '300px');
+    });
+
+    it('shows live dimensions, affix type and scroll direction in the panel', function(){
+        helpers.loadScript(window, 'sticky-sidebar-debug.js');
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, debug: true});
+
+        var panel = window.document.querySelector('.sticky-sidebar-debug-panel');
+
+        page.scrollTo(500);
+        assert.ok(/affixedType\s+VIEWPORT-TOP/.test(panel.textContent));
+        assert.ok(/direction\s+down/.test(panel.textContent));
+        assert.ok(/colliderTop\s+520\n/.test(panel.textContent));
+        assert.ok(/viewportTop\s+500\n/.test(panel.textContent));
+
+        page.scrollTo(300);
+        assert.ok(/direction\s+up/.test(panel.textContent));
+    });
+
+    it('logs affix transitions with the values that caused them', function(){
+        helpers.loadScript(window, 'sticky-sidebar-debug.js');
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, debug: true});
+
+        page.scrollTo(500);
+        page.scrollTo(1900);
+
+        var log = sidebar._debug.log;
+
+        assert.strictEqual(log.map(function(entry){ return entry.previousType + ' ' + entry.type; }).join(),
+            'STATIC VIEWPORT-TOP,VIEWPORT-TOP CONTAINER-BOTTOM');
+        assert.strictEqual(log[1].direction, 'down');
+        assert.strictEqual(log[1].values.colliderTop, 1920);
+        assert.strictEqual(log[1].values.containerEnd, 2100);
+        assert.strictEqual(log[1].values.sidebarSize, 300);
+
+        assert.strictEqual(logs.length, 2);
+        assert.strictEqual(logs[0][0], 'Sticky sidebar: STATIC -> VIEWPORT-TOP scrolling down');
+    });
+
+    it('stops logging once removed', function(){
+        helpers.loadScript(window, 'sticky-sidebar-debug.js');
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, debug: true});
+
+        sidebar.setOptions({debug: false});
+        page.scrollTo(500);
+
+        assert.strictEqual(logs.length, 0);
+    });
+});
@@ -0,0 +1,96 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+describe('destroy()', function(){
+    var window, listeners;
+
+    // Count listeners added to the window and not removed yet.
+    function trackListeners(window){
+        var addEventListener = window.addEventListener,
+            removeEventListener = window.removeEventListener;
+
+        listeners = [];
+
+        window.addEventListener = function(type, listener){
+            listeners.push({type: type, listener: listener});
+            return addEventListener.apply(this, arguments);
+        };
+
+        window.removeEventListener = function(type, listener){
+            listeners = listeners.filter(function(added){
+                return added.type !== type || added.listener !== listener;
+            });
+            return removeEventListener.apply(this, arguments);
+        };
+
+        window.ResizeObserver = helpers.FakeResizeObserver;
+        window.IntersectionObserver = helpers.FakeIntersectionObserver;
+        helpers.FakeIntersectionObserver.instances = [];
+    }
+
+    function mount(options){
+        return new window.StickySidebar('#sidebar', options);
+    }
+
+    it('removes only listeners of the destroyed instance', function(){
+        window = helpers.createWindow('<div><div id="sidebar"></div><div id="other"></div></div>', trackListeners);
+
+        var initial = listeners.length;
+        var other = new window.StickySidebar('#other');
+        var withOther = listeners.length;
+
+        mount().destroy();
+
+        assert.strictEqual(listeners.length, withOther);
+        assert.ok(withOther > initial);
+
+        other.destroy();
+        assert.strictEqual(listeners.length, initial);
+    });
+
+    it('unwraps the inner wrapper created by the plugin', function(){
+        var html = '<div id="container"><div id="sidebar" style="color: red;"><p>Content</p> text</div></div>';
+
+        window = helpers.createWindow(html, trackListeners);
+        mount({topSpacing: 20}).destroy();
+
+        assert.strictEqual(window.document.body.innerHTML, html);
+    });
+
+    it('restores original inline style of the sidebar and its inner wrapper', function(){
+        var html = '<div id="container"><div id="sidebar">' +
+            '<div class="sidebar__inner" style="padding: 10px;"></div></div></div>';
+
+        window = helpers.createWindow(html, trackListeners);
+
+        var sidebar = mount({innerWrapperSelector: '.sidebar__inner'});
+
+        sidebar.sidebar.style.height = '100px';
+        sidebar.sidebarInner.style.position = 'fixed';
+        sidebar.destroy();
+
+        assert.strictEqual(window.document.body.innerHTML, html);
+    });
+
+    it('leaves no handlers or nodes after mounting and destroying 100 times', function(){
+        var html = '<div id="container"><div id="sidebar"><p>Content</p></div></div>';
+
+        window = helpers.createWindow(html, trackListeners);
+
+        var initial = listeners.length;
+
+        for( var i = 0; i < 100; i++ ){
+            mount({nativeSticky: true, stackGroup: 'column', responsive: {768: {topSpacing: 20}}}).destroy();
+        }
+
+        var container = window.document.getElementById('container');
+
+        assert.strictEqual(listeners.length, initial);
+        assert.strictEqual(window.document.body.innerHTML, html);
+        assert.strictEqual(window.StickySidebar.getResizeObserver().elements.length, 0);
+        assert.strictEqual(container.resizeListeners, undefined);
+        assert.deepStrictEqual(Object.keys(window.StickySidebar.stacks), []);
+        assert.strictEqual(window.StickySidebar.scheduler.queue.length, 0);
+        assert.strictEqual(helpers.FakeIntersectionObserver.instances.length, 0);
+    });
+});
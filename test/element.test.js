@@ -0,0 +1,128 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+
+describe('Custom element', function(){
+    var window, page, element;
+
+    // Elements are initialized once the document is parsed.
+    function mount(attributes){
+        var markup = '<div class="outer"><div id="container">' +
+            '<sticky-sidebar id="sidebar" '+ (attributes || '') +'><div class="inner-wrapper-sticky"></div></sticky-sidebar>' +
+            '</div></div>';
+
+        window = helpers.createWindow(markup, function(window){
+            page = helpers.createPage(window, layout);
+        });
+        element = window.document.getElementById('sidebar');
+
+        return new Promise(function(resolve){
+            window.document.addEventListener('DOMContentLoaded', function(){ resolve(); });
+        });
+    }
+
+    afterEach(function(){
+        if( element && element.stickySidebar ) element.stickySidebar.destroy();
+    });
+
+    it('initializes the element with options of its attributes', function(){
+        return mount('top-spacing="20" container=".outer" sticky-class="is-stuck" native-sticky').then(function(){
+            var options = element.stickySidebar.options;
+
+            assert.ok(element.stickySidebar instanceof window.StickySidebar);
+            assert.strictEqual(options.topSpacing, 20);
+            assert.strictEqual(options.stickyClass, 'is-stuck');
+            assert.strictEqual(options.nativeSticky, true);
+            assert.strictEqual(element.stickySidebar.container, window.document.querySelector('.outer'));
+        });
+    });
+
+    it('parses JSON attributes', function(){
+        return mount('responsive=\'{"0": {"enabled": false}}\'').then(function(){
+            assert.strictEqual(element.stickySidebar._options.responsive[0].enabled, false);
+        });
+    });
+
+    it('dispatches sticky-affix and sticky-affixed events of the element', function(){
+        var events = [];
+
+        return mount('top-spacing="20"').then(function(){
+            ['sticky-affix', 'sticky-affixed'].forEach(function(eventName){
+                element.addEventListener(eventName, function(event){
+                    events.push(eventName + ':' + event.detail.type);
+                });
+            });
+
+            page.scrollTo(200);
+
+            assert.deepStrictEqual(events, ['sticky-affix:VIEWPORT-TOP', 'sticky-affixed:VIEWPORT-TOP']);
+        });
+    });
+
+    it('cancels the affix by the element event', function(){
+        return mount('top-spacing="20"').then(function(){
+            element.addEventListener('sticky-affix', function(event){
+                event.preventDefault();
+            });
+
+            page.scrollTo(200);
+
+            assert.notStrictEqual(element.stickySidebar.affixedType, 'VIEWPORT-TOP');
+        });
+    });
+
+    it('updates options when attributes change', function(){
+        return mount('top-spacing="20"').then(function(){
+            page.scrollTo(200);
+
+            element.setAttribute('top-spacing', '80');
+            assert.strictEqual(element.stickySidebar.options.topSpacing, 80);
+            assert.strictEqual(element.querySelector('.inner-wrapper-sticky').style.top, '80px');
+
+            element.removeAttribute('top-spacing');
+            assert.strictEqual(element.stickySidebar.options.topSpacing, 0);
+        });
+    });
+
+    it('re-creates the sidebar when options that cannot be changed are changed', function(){
+        return mount().then(function(){
+            var stickySidebar = element.stickySidebar;
+
+            element.setAttribute('overflow-mode', 'scroll');
+
+            assert.notStrictEqual(element.stickySidebar, stickySidebar);
+            assert.strictEqual(stickySidebar._initialized, false);
+            assert.strictEqual(element.stickySidebar.options.overflowMode, 'scroll');
+        });
+    });
+
+    it('is destroyed when removed and initialized again when inserted', function(){
+        return mount().then(function(){
+            var container = element.parentNode, stickySidebar = element.stickySidebar;
+
+            container.removeChild(element);
+            assert.strictEqual(stickySidebar._initialized, false);
+            assert.strictEqual(element.stickySidebar, undefined);
+
+            container.appendChild(element);
+            assert.strictEqual(element.stickySidebar._initialized, true);
+        });
+    });
+
+    it('initializes elements inserted later', function(){
+        return mount().then(function(){
+            var inserted = window.document.createElement('sticky-sidebar');
+
+            inserted.setAttribute('top-spacing', '30');
+            inserted.innerHTML = '<p>Widget</p>';
+            window.document.querySelector('.outer').appendChild(inserted);
+
+            assert.strictEqual(inserted.stickySidebar.options.topSpacing, 30);
+            assert.strictEqual(inserted.firstChild.className, 'inner-wrapper-sticky');
+
+            inserted.parentNode.removeChild(inserted);
+            assert.strictEqual(inserted.firstChild.tagName, 'P');
+        });
+    });
+});
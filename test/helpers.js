@@ -0,0 +1,194 @@
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var JSDOM = require('jsdom').JSDOM;
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'sticky-sidebar.js'), 'utf8');
+
+// Script contexts of the created windows, scripts are run in them like by script tags.
+var contexts = new WeakMap();
+
+/**
+ * Create a new jsdom window with sticky sidebar script loaded into it.
+ * @param {String} html - Markup of the document body.
+ * @param {Function} beforeLoad - Called with the window before the script is evaluated.
+ * @return {Window}
+ */
+exports.createWindow = function(html, beforeLoad){
+    var dom = new JSDOM('<!DOCTYPE html><html><body>' + (html || '') + '</body></html>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    var window = dom.window;
+
+    contexts.set(window, dom.getInternalVMContext());
+
+    // jsdom has no layout, give the document a desktop width.
+    Object.defineProperty(window.document.documentElement, 'clientWidth', {value: 1024, configurable: true});
+
+    if( beforeLoad ) beforeLoad(window);
+
+    vm.runInContext(source, contexts.get(window));
+    return window;
+};
+
+/**
+ * Load another script of the package into the window, after sticky sidebar.
+ * @param {Window} window
+ * @param {String} file - Path of the script from the package root, e.g. `bindings/svelte.js`.
+ */
+exports.loadScript = function(window, file){
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), contexts.get(window));
+};
+
+/**
+ * Minimal ResizeObserver that records observed elements and lets tests resize them.
+ * @constructor
+ * @param {Function} callback
+ */
+function FakeResizeObserver(callback){
+    this.callback = callback;
+    this.elements = [];
+}
+
+FakeResizeObserver.prototype = {
+    observe: function(element){
+        this.elements.push(element);
+        this.resize(element, 0, 0);
+    },
+
+    unobserve: function(element){
+        this.elements = this.elements.filter(function(observed){
+            return observed !== element;
+        });
+    },
+
+    disconnect: function(){
+        this.elements = [];
+    },
+
+    resize: function(element, width, height){
+        if( -1 === this.elements.indexOf(element) ) return;
+        this.callback([{target: element, contentRect: {width: width, height: height}}], this);
+    }
+};
+
+exports.FakeResizeObserver = FakeResizeObserver;
+
+/**
+ * Minimal IntersectionObserver that records its options and lets tests report entries.
+ * @constructor
+ * @param {Function} callback
+ * @param {Object} options
+ */
+function FakeIntersectionObserver(callback, options){
+    this.callback = callback;
+    this.options = options;
+    this.elements = [];
+
+    FakeIntersectionObserver.instances.push(this);
+}
+
+FakeIntersectionObserver.instances = [];
+
+FakeIntersectionObserver.prototype = {
+    observe: function(element){
+        this.elements.push(element);
+    },
+
+    disconnect: function(){
+        this.elements = [];
+        FakeIntersectionObserver.instances.splice(FakeIntersectionObserver.instances.indexOf(this), 1);
+    },
+
+    report: function(isIntersecting, top){
+        this.callback(this.elements.map(function(element){
+            return {target: element, isIntersecting: isIntersecting,
+                boundingClientRect: {top: top}, rootBounds: {top: 0}};
+        }), this);
+    }
+};
+
+exports.FakeIntersectionObserver = FakeIntersectionObserver;
+
+/**
+ * Fake layout of a page with `#container` that holds `#sidebar` and its inner wrapper,
+ * jsdom doesn't compute layout so sizes are given and positions follow the scroll.
+ * Horizontal positions are optional, `scrollX` is counted from the left edge and
+ * `scrollType` tells how the browser reports `scrollLeft` of RTL page.
+ * @param {Window} window - Window created by `createWindow()`.
+ * @param {Object} layout - `viewportHeight`, `containerTop`, `containerHeight`, `sidebarHeight` and `sidebarWidth`,
+ *                          optional `containerLeft`, `containerWidth`, `sidebarLeft`, `documentWidth` and `scrollType`.
+ * @return {Object} - Page with `scrollTo(y, x)` that scrolls and runs the scheduled frame,
+ *                    and `nextFrame()` that runs frames requested since.
+ */
+exports.createPage = function(window, layout){
+    var document = window.document, frames = [];
+    var page = {scrollY: 0, scrollX: 0, layout: layout};
+
+    var container = document.getElementById('container'),
+        sidebar = document.getElementById('sidebar'),
+        inner = sidebar.querySelector('.inner-wrapper-sticky');
+
+    function define(object, property, getter){
+        Object.defineProperty(object, property, {get: getter, configurable: true});
+    }
+
+    function rect(top, height, left, width){
+        return {top: top - page.scrollY, bottom: top - page.scrollY + height, height: height,
+            left: left - page.scrollX, right: left - page.scrollX + width, width: width};
+    }
+
+    // Raw `scrollLeft` as reported by browsers of each RTL scroll type.
+    function scrollLeft(){
+        var maxScrollLeft = (layout.documentWidth || 1024) - 1024;
+
+        switch( layout.scrollType ){
+            case 'negative': return page.scrollX - maxScrollLeft;
+            case 'reverse': return maxScrollLeft - page.scrollX;
+            default: return page.scrollX;
+        }
+    }
+
+    var containerLeft = layout.containerLeft || 0,
+        containerWidth = layout.containerWidth || 1000,
+        sidebarLeft = 'number' === typeof layout.sidebarLeft ? layout.sidebarLeft : containerLeft;
+
+    define(window, 'innerHeight', function(){ return layout.viewportHeight; });
+    define(window, 'innerWidth', function(){ return 1024; });
+    define(window, 'pageYOffset', function(){ return page.scrollY; });
+    define(window, 'pageXOffset', scrollLeft);
+    define(document.documentElement, 'scrollTop', function(){ return page.scrollY; });
+    define(document.documentElement, 'scrollLeft', scrollLeft);
+    define(document.documentElement, 'scrollWidth', function(){ return layout.documentWidth || 1024; });
+    define(sidebar, 'offsetWidth', function(){ return layout.sidebarWidth; });
+
+    container.getBoundingClientRect = function(){
+        return rect(layout.containerTop, layout.containerHeight, containerLeft, containerWidth);
+    };
+    sidebar.getBoundingClientRect = function(){
+        return rect(layout.containerTop, layout.sidebarHeight, sidebarLeft, layout.sidebarWidth);
+    };
+    inner.getBoundingClientRect = function(){
+        return rect(layout.containerTop, layout.sidebarHeight, sidebarLeft, layout.sidebarWidth);
+    };
+
+    window.requestAnimationFrame = function(callback){
+        return frames.push(callback);
+    };
+
+    // Frames requested while running the queued ones wait for the next frame.
+    page.nextFrame = function(){
+        frames.splice(0).forEach(function(callback){ callback(); });
+    };
+
+    page.scrollTo = function(y, x){
+        page.scrollY = y;
+        if( 'number' === typeof x ) page.scrollX = x;
+
+        window.dispatchEvent(new window.Event('scroll'));
+        page.nextFrame();
+    };
+
+    return page;
+};
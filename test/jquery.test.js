@@ -0,0 +1,202 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+
+describe('jQuery adapter', function(){
+    var window, page, $, $sidebar;
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup, function(window){
+            helpers.loadScript(window, 'node_modules/jquery/dist/jquery.js');
+        });
+        page = helpers.createPage(window, layout);
+        $ = window.jQuery;
+        $sidebar = $('#sidebar');
+    });
+
+    afterEach(function(){
+        if( $sidebar.data('stickySidebar') ) $sidebar.stickySidebar('destroy');
+    });
+
+    it('initializes the sidebar and keeps the instance in data', function(){
+        $sidebar.stickySidebar({topSpacing: 20});
+
+        var sidebar = $sidebar.data('stickySidebar');
+
+        assert.ok(sidebar instanceof window.StickySidebar);
+        assert.strictEqual($.fn.stickySidebar.Constructor, window.StickySidebar);
+        assert.strictEqual(sidebar.sidebar, $sidebar[0]);
+
+        // Calling the plugin again doesn't re-create the sidebar.
+        $sidebar.stickySidebar({topSpacing: 50});
+        assert.strictEqual($sidebar.data('stickySidebar'), sidebar);
+    });
+
+    it('passes jQuery object of the sidebar to spacing functions', function(){
+        var args = [];
+
+        $sidebar.stickySidebar({
+            topSpacing: function($element){ args.push($element); return 30; },
+            bottomSpacing: function($element){ args.push($element); return 10; }
+        });
+
+        var sidebar = $sidebar.data('stickySidebar');
+
+        assert.ok(args.length >= 2);
+        args.forEach(function($element){
+            assert.ok($element instanceof $);
+            assert.strictEqual($element[0], $sidebar[0]);
+        });
+        assert.strictEqual(sidebar.dimensions.topSpacing, 30);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 10);
+
+        // Spacing functions of sidebars created without jQuery get the element.
+        var element, other = new window.StickySidebar('#sidebar', {topSpacing: function(sidebar){ element = sidebar; return 0; }});
+
+        other.destroy();
+        assert.strictEqual(element, $sidebar[0]);
+    });
+
+    it('keeps jQuery objects of the elements as instance properties', function(){
+        $sidebar.stickySidebar({topSpacing: 20});
+
+        var sidebar = $sidebar.data('stickySidebar');
+
+        assert.ok(sidebar.$sidebar instanceof $);
+        assert.strictEqual(sidebar.$sidebar[0], sidebar.sidebar);
+        assert.strictEqual(sidebar.$sidebarInner[0], sidebar.sidebarInner);
+        assert.strictEqual(sidebar.$container[0], sidebar.container);
+    });
+
+    it('triggers events through jQuery with the detail', function(){
+        var events = [], nativeEvents = [];
+
+        $sidebar.on('affix.top.sticky affixed.top.sticky', function(event, detail){
+            events.push([event.type + '.' + event.namespace, detail.previousType, detail.type]);
+        });
+        $sidebar[0].addEventListener('affixed.top.sticky', function(event){
+            nativeEvents.push(event.detail.type);
+        });
+
+        $sidebar.stickySidebar({topSpacing: 20});
+        page.scrollTo(200);
+
+        assert.deepStrictEqual(events, [
+            ['affix.sticky.top', 'STATIC', 'VIEWPORT-TOP'],
+            ['affixed.sticky.top', 'STATIC', 'VIEWPORT-TOP']
+        ]);
+        assert.deepStrictEqual(nativeEvents, ['VIEWPORT-TOP']);
+    });
+
+    it('runs namespaced handlers only for their affix type with the bindings', function(){
+        var events = [];
+
+        helpers.loadScript(window, 'bindings/svelte.js');
+
+        $sidebar.on('affix.bottom.sticky affixed.bottom.sticky', function(event){
+            events.push(event.type + '.' + event.namespace);
+        });
+
+        var action = window.StickySidebarSvelte.stickySidebar($sidebar[0], {topSpacing: 20});
+
+        page.scrollTo(200);
+        action.destroy();
+
+        assert.deepStrictEqual(events, []);
+    });
+
+    it('cancels the affix by preventDefault() of jQuery handler', function(){
+        var affixed = 0;
+
+        $sidebar.on('affix.top.sticky', function(event){ event.preventDefault(); });
+        $sidebar.on('affixed.top.sticky', function(){ affixed++; });
+
+        $sidebar.stickySidebar({topSpacing: 20});
+        page.scrollTo(200);
+
+        assert.strictEqual($sidebar.data('stickySidebar').affixedType, 'STATIC');
+        assert.notStrictEqual($sidebar.find('.inner-wrapper-sticky')[0].style.position, 'fixed');
+        assert.strictEqual(affixed, 0);
+    });
+
+    it('updates the sidebar by jQuery triggered update event', function(){
+        $sidebar.stickySidebar({topSpacing: 20});
+
+        var calls = 0, sidebar = $sidebar.data('stickySidebar'), calcDimensions = sidebar.calcDimensions;
+
+        sidebar.calcDimensions = function(){
+            calls++;
+            return calcDimensions.apply(this, arguments);
+        };
+
+        $sidebar.trigger('update.sticky');
+        assert.strictEqual(calls, 1);
+    });
+
+    it('calls methods by name and throws on unknown ones', function(){
+        $sidebar.stickySidebar({topSpacing: 20});
+
+        var sidebar = $sidebar.data('stickySidebar');
+
+        assert.throws(function(){
+            $sidebar.stickySidebar('unknown');
+        }, /No method named "unknown"/);
+
+        $sidebar.stickySidebar('destroy');
+
+        assert.strictEqual(sidebar._initialized, false);
+        assert.strictEqual($sidebar.data('stickySidebar'), undefined);
+    });
+
+    it('changes options by setOptions method call', function(){
+        $sidebar.stickySidebar({topSpacing: 20});
+        page.scrollTo(200);
+
+        var sidebar = $sidebar.data('stickySidebar');
+
+        assert.strictEqual($sidebar.stickySidebar('setOptions', {topSpacing: 80, stickyClass: 'is-stuck'}), $sidebar);
+
+        assert.strictEqual($sidebar.data('stickySidebar'), sidebar);
+        assert.strictEqual(sidebar.options.topSpacing, 80);
+        assert.strictEqual(sidebar.dimensions.topSpacing, 80);
+        assert.strictEqual($sidebar.find('.inner-wrapper-sticky')[0].style.top, '80px');
+        assert.ok($sidebar.hasClass('is-stuck'));
+
+        assert.throws(function(){
+            $sidebar.stickySidebar('setOptions', {axis: 'x'});
+        }, /Option "axis" can not be changed after initialization/);
+    });
+
+    it('keeps the sidebar re-created by the Data-API in jQuery data', function(){
+        $sidebar.attr('data-sticky-sidebar', '');
+        window.StickySidebar.observe();
+
+        var sidebar = $sidebar.data('stickySidebar');
+
+        $sidebar.attr('data-overflow-mode', 'scroll');
+
+        // Mutation observers are notified in a microtask.
+        return new Promise(function(resolve){ setTimeout(resolve); }).then(function(){
+            var recreated = $sidebar.data('stickySidebar');
+
+            window.StickySidebar.disconnect();
+
+            assert.strictEqual(sidebar._initialized, false);
+            assert.notStrictEqual(recreated, sidebar);
+            assert.strictEqual(recreated.options.overflowMode, 'scroll');
+            assert.ok(recreated.$sidebar instanceof $);
+            assert.strictEqual(recreated._jQuery, true);
+        });
+    });
+
+    it('restores the previous plugin by noConflict()', function(){
+        var plugin = $.fn.stickySidebar;
+
+        assert.strictEqual(plugin.noConflict(), plugin);
+        assert.strictEqual($.fn.stickySidebar, undefined);
+
+        $.fn.stickySidebar = plugin;
+    });
+});
@@ -0,0 +1,149 @@
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var childProcess = require('child_process');
+var JSDOM = require('jsdom').JSDOM;
+
+var markup = '<div id="container"><div id="sidebar" data-sticky-sidebar><div class="inner-wrapper-sticky"></div></div></div>';
+
+function modulePath(file){
+    return path.join(__dirname, '..', file);
+}
+
+function createWindow(){
+    var dom = new JSDOM('<!DOCTYPE html><html><body>' + markup + '</body></html>', {pretendToBeVisual: true});
+
+    // Modules take the window from the global scope like in a browser.
+    global.window = dom.window;
+    return dom.window;
+}
+
+// Resolves once the window is loaded.
+function load(window){
+    return new Promise(function(resolve){
+        if( 'complete' === window.document.readyState ) resolve();
+        else window.addEventListener('load', function(){ resolve(); });
+    });
+}
+
+// Gets the factory function of UMD script, line endings are normalized.
+function readFactory(file){
+    var source = fs.readFileSync(modulePath(file), 'utf8').replace(/\r\n/g, '\n');
+    return source.slice(source.indexOf(', function(', source.indexOf('\n})(')) + 2, source.lastIndexOf('});') + 1);
+}
+
+describe('Modules', function(){
+
+    afterEach(function(){
+        delete global.window;
+    });
+
+    describe('CommonJS', function(){
+        var window, StickySidebar;
+
+        beforeEach(function(){
+            window = createWindow();
+
+            ['sticky-sidebar.cjs', 'sticky-sidebar.core.cjs', 'sticky-sidebar-debug.js', 'bindings/svelte.js'].forEach(function(file){
+                delete require.cache[modulePath(file)];
+            });
+            StickySidebar = require('../sticky-sidebar.cjs');
+        });
+
+        it('exports the constructor instead of defining a global', function(){
+            assert.strictEqual(typeof StickySidebar, 'function');
+            assert.strictEqual(StickySidebar.DEFAULTS.innerWrapperSelector, '.inner-wrapper-sticky');
+            assert.strictEqual(window.StickySidebar, undefined);
+        });
+
+        it('defines the element and initializes Data-API sidebars on load', function(){
+            assert.ok(window.customElements.get('sticky-sidebar'));
+
+            return load(window).then(function(){
+                assert.ok(window.document.getElementById('sidebar').stickySidebar instanceof StickySidebar);
+            });
+        });
+
+        it('exports the debug overlay of the required constructor', function(){
+            var Debug = require('../sticky-sidebar-debug.js');
+
+            assert.strictEqual(typeof Debug, 'function');
+            assert.strictEqual(StickySidebar.Debug, Debug);
+        });
+
+        it('shares the constructor of the core with the bindings', function(){
+            var element = window.document.getElementById('sidebar');
+            var action = require('../bindings/svelte.js').stickySidebar(element, {});
+
+            assert.strictEqual(require('../sticky-sidebar.core.cjs'), StickySidebar);
+            assert.ok(element.stickySidebar instanceof StickySidebar);
+            action.destroy();
+        });
+    });
+
+    describe('without DOM', function(){
+
+        // Runs the script in a separate Node process that has no window, like server-side rendering.
+        function run(args){
+            var result = childProcess.spawnSync(process.execPath, args, {cwd: modulePath(''), encoding: 'utf8'});
+
+            assert.strictEqual(result.status, 0, result.stderr);
+            return result.stdout.trim();
+        }
+
+        it('requires the CommonJS modules', function(){
+            assert.strictEqual(run(['-e', 'var StickySidebar = require("./sticky-sidebar.cjs");' +
+                'var Debug = require("./sticky-sidebar-debug.js");' +
+                'require("./sticky-sidebar.js");' +
+                'var bindings = ["react", "vue", "svelte"].map(function(name){ return require("./bindings/" + name + ".js"); });' +
+                'console.log(typeof StickySidebar, StickySidebar.Debug === Debug, bindings.length)']), 'function true 3');
+        });
+
+        it('imports the ES modules', function(){
+            assert.strictEqual(run(['--input-type=module', '-e', 'import StickySidebar from "./sticky-sidebar.mjs";' +
+                'import Debug from "./sticky-sidebar-debug.mjs";' +
+                'import * as react from "./bindings/react.mjs";' +
+                'import * as vue from "./bindings/vue.mjs";' +
+                'import * as svelte from "./bindings/svelte.mjs";' +
+                'console.log(typeof StickySidebar, StickySidebar.Debug === Debug, ' +
+                'typeof react.useStickySidebar, typeof vue.install, typeof svelte.stickySidebar)']),
+                'function true function function function');
+        });
+    });
+
+    describe('minified script', function(){
+
+        // Names of the static and prototype members of the script loaded by script tag.
+        function members(file){
+            var dom = new JSDOM('', {runScripts: 'outside-only'}), window = dom.window;
+
+            vm.runInContext(fs.readFileSync(modulePath(file), 'utf8'), dom.getInternalVMContext());
+            return Object.keys(window.StickySidebar).concat(Object.keys(window.StickySidebar.prototype)).sort();
+        }
+
+        it('is built from the current script', function(){
+            assert.deepStrictEqual(members('sticky-sidebar.min.js'), members('sticky-sidebar.js'), 'Run `grunt uglify` to rebuild.');
+        });
+    });
+
+    // Imports of ES modules are tested by `modules.test.mjs`.
+    describe('ES modules', function(){
+
+        it('are built from the current scripts', function(){
+            var built = {
+                'sticky-sidebar.core.mjs': 'sticky-sidebar.js',
+                'sticky-sidebar.core.cjs': 'sticky-sidebar.js',
+                'sticky-sidebar-debug.mjs': 'sticky-sidebar-debug.js',
+                'bindings/react.mjs': 'bindings/react.js',
+                'bindings/vue.mjs': 'bindings/vue.js',
+                'bindings/svelte.mjs': 'bindings/svelte.js'
+            };
+
+            Object.keys(built).forEach(function(file){
+                var source = fs.readFileSync(modulePath(file), 'utf8').replace(/\r\n/g, '\n');
+                assert.ok(-1 !== source.indexOf(readFactory(built[file])), 'Run `grunt modules` to rebuild ' + file + '.');
+            });
+        });
+    });
+});
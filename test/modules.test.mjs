@@ -0,0 +1,89 @@
+import assert from 'assert';
+import path from 'path';
+import url from 'url';
+import { JSDOM } from 'jsdom';
+
+var markup = '<div id="container"><div id="sidebar" data-sticky-sidebar><div class="inner-wrapper-sticky"></div></div></div>';
+
+// URL of the file in the package root, for dynamic import.
+function moduleURL(file){
+    return url.pathToFileURL(path.join(path.dirname(url.fileURLToPath(import.meta.url)), '..', file)).href;
+}
+
+function createWindow(){
+    var dom = new JSDOM('<!DOCTYPE html><html><body>' + markup + '</body></html>', {pretendToBeVisual: true});
+
+    // Modules take the window from the global scope like in a browser.
+    global.window = dom.window;
+    return dom.window;
+}
+
+// Resolves once the window is loaded.
+function load(window){
+    return new Promise(function(resolve){
+        if( 'complete' === window.document.readyState ) resolve();
+        else window.addEventListener('load', function(){ resolve(); });
+    });
+}
+
+describe('ES modules', function(){
+    var window, core, main, debug;
+
+    before(function(){
+        window = createWindow();
+
+        return load(window).then(function(){
+            return import(moduleURL('sticky-sidebar.core.mjs'));
+        }).then(function(module){
+            core = module;
+        });
+    });
+
+    beforeEach(function(){
+        global.window = window;
+    });
+
+    afterEach(function(){
+        delete global.window;
+    });
+
+    it('imports the core without side effects', function(){
+        assert.strictEqual(typeof core.default, 'function');
+        assert.strictEqual(core.StickySidebar, core.default);
+        assert.strictEqual(window.StickySidebar, undefined);
+        assert.strictEqual(window.customElements.get('sticky-sidebar'), undefined);
+        assert.strictEqual(window.document.getElementById('sidebar').stickySidebar, undefined);
+    });
+
+    it('initializes the page by the main module', function(){
+        return import(moduleURL('sticky-sidebar.mjs')).then(function(module){
+            main = module;
+
+            assert.strictEqual(main.default, core.default);
+            assert.ok(window.customElements.get('sticky-sidebar'));
+            assert.ok(window.document.getElementById('sidebar').stickySidebar instanceof core.default);
+
+            window.document.getElementById('sidebar').stickySidebar.destroy();
+        });
+    });
+
+    it('registers the debug overlay on the core constructor', function(){
+        return import(moduleURL('sticky-sidebar-debug.mjs')).then(function(module){
+            debug = module;
+
+            assert.strictEqual(typeof debug.default, 'function');
+            assert.strictEqual(core.default.Debug, debug.default);
+        });
+    });
+
+    it('imports the bindings with the core constructor', function(){
+        return import(moduleURL('bindings/svelte.mjs')).then(function(module){
+            var element = window.document.getElementById('sidebar');
+            var action = module.stickySidebar(element, {});
+
+            assert.strictEqual(module.default.stickySidebar, module.stickySidebar);
+            assert.ok(element.stickySidebar instanceof core.default);
+            action.destroy();
+        });
+    });
+});
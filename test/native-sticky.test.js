@@ -0,0 +1,149 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+
+describe('Native sticky', function(){
+    var window, sidebar, inner, observers;
+
+    beforeEach(function(){
+        observers = helpers.FakeIntersectionObserver.instances = [];
+        window = helpers.createWindow(markup, function(window){
+            window.IntersectionObserver = helpers.FakeIntersectionObserver;
+        });
+        inner = window.document.querySelector('.inner-wrapper-sticky');
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    function affixEvents(){
+        var events = [];
+        window.document.getElementById('sidebar').addEventListener('affix.container-bottom.sticky', function(){
+            events.push('CONTAINER-BOTTOM');
+        });
+        window.document.getElementById('sidebar').addEventListener('affix.top.sticky', function(){
+            events.push('VIEWPORT-TOP');
+        });
+        return events;
+    }
+
+    it('sticks the inner wrapper natively when the sidebar fits the viewport', function(){
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true, topSpacing: 20});
+
+        assert.strictEqual(inner.style.position, 'sticky');
+        assert.strictEqual(inner.style.top, '20px');
+        assert.strictEqual(window.document.querySelectorAll('.sticky-sidebar-sentinel').length, 2);
+        assert.strictEqual(observers[0].options.rootMargin, '-20px 0px 0px 0px');
+    });
+
+    it('dispatches affix events from the sentinels', function(){
+        var events = affixEvents();
+
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true});
+
+        observers[0].report(false, -10);
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+
+        observers[1].report(false, -10);
+        assert.strictEqual(sidebar.affixedType, 'CONTAINER-BOTTOM');
+
+        observers[1].report(true, 100);
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+
+        observers[0].report(true, 100);
+        assert.strictEqual(sidebar.affixedType, 'STATIC');
+
+        assert.deepStrictEqual(events, ['VIEWPORT-TOP', 'CONTAINER-BOTTOM', 'VIEWPORT-TOP']);
+    });
+
+    it('dispatches affix events at the sidebar edges by sentinel positions', function(){
+        var events = affixEvents(), element = window.document.getElementById('sidebar');
+
+        // Sidebar is as tall as its container, from 100px to 2100px, the inner wrapper is 300px tall.
+        var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+        var page = helpers.createPage(window, layout);
+
+        element.getBoundingClientRect = function(){
+            return {top: 100 - page.scrollY, bottom: 2100 - page.scrollY, height: 2000, left: 0, right: 250, width: 250};
+        };
+
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true, topSpacing: 20});
+
+        // Document position of the sentinel from its style and place in the sidebar.
+        function sentinelTop(sentinel){
+            if( 'absolute' === sentinel.style.position ) return 2100 - parseFloat(sentinel.style.bottom);
+            return sentinel === element.firstChild ? 100 : 100 + layout.sidebarHeight;
+        }
+
+        // Report the sentinels to observers like browser does, the line is moved down by root margin.
+        function scrollTo(y){
+            page.scrollTo(y);
+
+            observers.slice().forEach(function(observer){
+                var line = -parseFloat(observer.options.rootMargin);
+
+                observer.callback(observer.elements.map(function(sentinel){
+                    var top = sentinelTop(sentinel) - y;
+                    return {target: sentinel, isIntersecting: top >= line, boundingClientRect: {top: top}, rootBounds: {top: line}};
+                }), observer);
+            });
+
+            return sidebar.affixedType;
+        }
+
+        assert.strictEqual(scrollTo(50), 'STATIC');
+        assert.strictEqual(scrollTo(100), 'VIEWPORT-TOP');
+        assert.strictEqual(scrollTo(1700), 'VIEWPORT-TOP');
+        assert.strictEqual(scrollTo(1800), 'CONTAINER-BOTTOM');
+        assert.strictEqual(scrollTo(1000), 'VIEWPORT-TOP');
+        assert.strictEqual(scrollTo(0), 'STATIC');
+        assert.deepStrictEqual(events, ['VIEWPORT-TOP', 'CONTAINER-BOTTOM', 'VIEWPORT-TOP']);
+    });
+
+    it('falls back to the scroll engine when the sidebar is taller than the viewport', function(){
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true});
+
+        sidebar.calcDimensions = function(){
+            this.dimensions.sidebarHeight = 2000;
+            this.dimensions.viewportHeight = 800;
+        };
+        sidebar.updateSticky();
+
+        assert.strictEqual(sidebar._nativeSticky, false);
+        assert.strictEqual(inner.style.position, '');
+        assert.strictEqual(window.document.querySelectorAll('.sticky-sidebar-sentinel').length, 0);
+        assert.strictEqual(observers.length, 0);
+    });
+
+    it('uses the scroll engine when the sidebar is shorter than its container', function(){
+        var page = helpers.createPage(window, {viewportHeight: 800, containerTop: 100, containerHeight: 2000,
+            sidebarHeight: 300, sidebarWidth: 250});
+
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true, topSpacing: 20});
+
+        assert.strictEqual(sidebar._nativeSticky, false);
+        assert.strictEqual(observers.length, 0);
+
+        page.scrollTo(200);
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+        assert.strictEqual(inner.style.position, 'fixed');
+    });
+
+    it('uses the scroll engine without IntersectionObserver support', function(){
+        delete window.IntersectionObserver;
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true});
+
+        assert.strictEqual(sidebar._nativeSticky, false);
+        assert.notStrictEqual(inner.style.position, 'sticky');
+    });
+
+    it('removes sentinels and observers on destroy()', function(){
+        sidebar = new window.StickySidebar('#sidebar', {nativeSticky: true});
+        sidebar.destroy();
+
+        assert.strictEqual(window.document.querySelectorAll('.sticky-sidebar-sentinel').length, 0);
+        assert.strictEqual(observers.length, 0);
+    });
+});
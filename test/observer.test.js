@@ -0,0 +1,168 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div class="main"><div id="sidebar" data-sticky-sidebar data-top-spacing="20"></div></div>';
+
+describe('Data-API observer mode', function(){
+    var window, document, StickySidebar;
+
+    // Mutation observers are notified in a microtask.
+    function tick(){
+        return new Promise(function(resolve){ setTimeout(resolve); });
+    }
+
+    function createSidebar(attributes){
+        var sidebar = document.createElement('div');
+
+        sidebar.setAttribute('data-sticky-sidebar', '');
+        Object.keys(attributes || {}).forEach(function(name){
+            sidebar.setAttribute(name, attributes[name]);
+        });
+        return sidebar;
+    }
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        document = window.document;
+        StickySidebar = window.StickySidebar;
+
+        StickySidebar.observe();
+
+        // Changes are made after the Data-API has initialized sidebars on load.
+        return new Promise(function(resolve){
+            window.addEventListener('load', function(){ resolve(); });
+        });
+    });
+
+    afterEach(function(){
+        StickySidebar.disconnect();
+
+        Array.prototype.forEach.call(document.querySelectorAll('[data-sticky-sidebar]'), function(sidebar){
+            if( sidebar.stickySidebar ) sidebar.stickySidebar.destroy();
+        });
+    });
+
+    it('initializes sidebars of the document', function(){
+        var sidebar = document.getElementById('sidebar');
+
+        assert.ok(sidebar.stickySidebar instanceof StickySidebar);
+        assert.strictEqual(sidebar.stickySidebar.options.topSpacing, 20);
+    });
+
+    it('initializes sidebars added later', function(){
+        var sidebar = createSidebar({'data-top-spacing': '30'});
+        var wrapper = document.createElement('div');
+
+        wrapper.appendChild(sidebar);
+        document.querySelector('.main').appendChild(wrapper);
+
+        return tick().then(function(){
+            assert.strictEqual(sidebar.stickySidebar.options.topSpacing, 30);
+            assert.strictEqual(sidebar.stickySidebar.container, wrapper);
+        });
+    });
+
+    it('destroys sidebars removed from the document', function(){
+        var sidebar = document.getElementById('sidebar'), stickySidebar = sidebar.stickySidebar;
+
+        sidebar.parentNode.removeChild(sidebar);
+
+        return tick().then(function(){
+            assert.strictEqual(stickySidebar._initialized, false);
+            assert.strictEqual(sidebar.stickySidebar, undefined);
+        });
+    });
+
+    it('destroys sidebars when data-sticky-sidebar attribute is removed', function(){
+        var sidebar = document.getElementById('sidebar'), stickySidebar = sidebar.stickySidebar;
+
+        sidebar.removeAttribute('data-sticky-sidebar');
+
+        return tick().then(function(){
+            assert.strictEqual(stickySidebar._initialized, false);
+        });
+    });
+
+    it('re-reads options when data attributes change', function(){
+        var sidebar = document.getElementById('sidebar'), stickySidebar = sidebar.stickySidebar;
+
+        sidebar.setAttribute('data-top-spacing', '50');
+        sidebar.setAttribute('data-sticky-class', 'is-stuck');
+
+        return tick().then(function(){
+            assert.strictEqual(sidebar.stickySidebar, stickySidebar);
+            assert.strictEqual(stickySidebar.options.topSpacing, 50);
+            assert.strictEqual(stickySidebar.options.stickyClass, 'is-stuck');
+
+            sidebar.removeAttribute('data-top-spacing');
+            return tick();
+        }).then(function(){
+            assert.strictEqual(stickySidebar.options.topSpacing, 0);
+        });
+    });
+
+    it('re-creates sidebars when options that cannot be changed are changed', function(){
+        var sidebar = document.getElementById('sidebar'), stickySidebar = sidebar.stickySidebar;
+
+        sidebar.setAttribute('data-overflow-mode', 'scroll');
+
+        return tick().then(function(){
+            assert.strictEqual(stickySidebar._initialized, false);
+            assert.strictEqual(sidebar.stickySidebar.options.overflowMode, 'scroll');
+        });
+    });
+
+    it('does not react to style written by the sidebar', function(){
+        var sidebar = document.getElementById('sidebar'), calls = 0;
+        var setOptions = sidebar.stickySidebar.setOptions;
+
+        sidebar.stickySidebar.setOptions = function(){
+            calls++;
+            return setOptions.apply(this, arguments);
+        };
+
+        sidebar.style.position = 'relative';
+        sidebar.className = 'is-affixed';
+
+        return tick().then(function(){
+            assert.strictEqual(calls, 0);
+        });
+    });
+
+    it('uses container ancestor inserted after the sidebar', function(){
+        var sidebar = document.getElementById('sidebar');
+        var container = document.createElement('div');
+
+        container.setAttribute('data-sticky-sidebar-container', '');
+        sidebar.parentNode.insertBefore(container, sidebar);
+        container.appendChild(sidebar);
+
+        return tick().then(function(){
+            assert.strictEqual(sidebar.stickySidebar._initialized, true);
+            assert.strictEqual(sidebar.stickySidebar.container, container);
+        });
+    });
+
+    it('uses container attribute added to an ancestor later', function(){
+        var sidebar = document.getElementById('sidebar');
+        var main = document.querySelector('.main');
+
+        document.body.insertBefore(document.createElement('div'), main).appendChild(main);
+        main.parentNode.setAttribute('data-sticky-sidebar-container', '');
+
+        return tick().then(function(){
+            assert.strictEqual(sidebar.stickySidebar.container, main.parentNode);
+        });
+    });
+
+    it('stops observing after disconnect', function(){
+        var sidebar = createSidebar();
+
+        StickySidebar.disconnect();
+        document.body.appendChild(sidebar);
+
+        return tick().then(function(){
+            assert.strictEqual(sidebar.stickySidebar, undefined);
+        });
+    });
+});
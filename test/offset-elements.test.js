@@ -0,0 +1,147 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<header class="site-header" style="position: fixed; top: 0"></header>' +
+    '<div class="promo-bar" style="position: sticky; top: 0"></div>' +
+    '<div class="cookie-banner" style="position: fixed; bottom: 0"></div>' +
+    '<div class="static-bar"></div>' +
+    '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+
+describe('Offset elements', function(){
+    var window, page, sidebar, heights, tops;
+
+    beforeEach(function(){
+        heights = {'site-header': 60, 'promo-bar': 40, 'cookie-banner': 100, 'static-bar': 30};
+        tops = {'site-header': 0, 'promo-bar': 0, 'cookie-banner': 700, 'static-bar': 60};
+
+        window = helpers.createWindow(markup, function(window){
+            window.ResizeObserver = helpers.FakeResizeObserver;
+        });
+        page = helpers.createPage(window, {viewportHeight: 800, containerTop: 100, containerHeight: 2000,
+            sidebarHeight: 300, sidebarWidth: 250});
+
+        Object.keys(heights).forEach(function(className){
+            var element = window.document.querySelector('.' + className);
+
+            Object.defineProperty(element, 'offsetHeight', {
+                get: function(){ return heights[className]; }, configurable: true
+            });
+            element.getBoundingClientRect = function(){
+                return {top: tops[className], bottom: tops[className] + heights[className], height: heights[className],
+                    left: 0, right: 1024, width: 1024};
+            };
+        });
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('adds sizes of the given elements to the spacing of their edges', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 10, offsetElements: '.site-header, .cookie-banner'});
+        page.scrollTo(200);
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 70);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 100);
+        assert.strictEqual(sidebar.sidebarInner.style.top, '70px');
+    });
+
+    it('detects fixed and sticky elements by auto spacing', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 'auto'});
+        page.scrollTo(200);
+
+        assert.strictEqual(sidebar.options.topSpacing, 0);
+        assert.strictEqual(sidebar.dimensions.topSpacing, 100);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 100);
+    });
+
+    it('detects the edge by position as browsers resolve both insets to pixels', function(){
+        var banner = window.document.querySelector('.cookie-banner');
+
+        banner.style.top = '700px';
+        banner.style.bottom = '0px';
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header, .cookie-banner'});
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 60);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 100);
+    });
+
+    it('ignores hidden elements', function(){
+        heights['cookie-banner'] = 0;
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.cookie-banner'});
+
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 0);
+    });
+
+    it('ignores elements hidden by visibility', function(){
+        window.document.querySelector('.site-header').style.visibility = 'hidden';
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header, .cookie-banner'});
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 0);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 100);
+    });
+
+    it('counts sticky elements only while they are stuck', function(){
+        var promoBar = window.document.querySelector('.promo-bar');
+
+        promoBar.style.top = '60px';
+        tops['promo-bar'] = 500;
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header, .promo-bar'});
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 60);
+
+        tops['promo-bar'] = 60;
+        page.scrollTo(440);
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 100);
+    });
+
+    it('counts only the part of elements inside the viewport', function(){
+        tops['cookie-banner'] = 750;
+        tops['site-header'] = -60;
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header, .cookie-banner'});
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 0);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 50);
+    });
+
+    it('caches the sizes while scrolling', function(){
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header'});
+
+        heights['site-header'] = 80;
+        page.scrollTo(200);
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 60);
+    });
+
+    it('measures again when an element is resized or hidden', function(){
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header, .cookie-banner'});
+        page.scrollTo(200);
+
+        var observer = window.StickySidebar.getResizeObserver();
+        var banner = window.document.querySelector('.cookie-banner');
+
+        observer.resize(banner, 1024, 100);
+
+        heights['site-header'] = 80;
+        observer.resize(window.document.querySelector('.site-header'), 1024, 80);
+
+        heights['cookie-banner'] = 0;
+        observer.resize(banner, 0, 0);
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 80);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 0);
+        assert.strictEqual(sidebar.sidebarInner.style.top, '80px');
+    });
+
+    it('replaces observed elements by setOptions()', function(){
+        sidebar = new window.StickySidebar('#sidebar', {offsetElements: '.site-header'});
+        sidebar.setOptions({offsetElements: '.promo-bar'});
+
+        var observer = window.StickySidebar.getResizeObserver();
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 40);
+        assert.strictEqual(observer.elements.indexOf(window.document.querySelector('.site-header')), -1);
+        assert.notStrictEqual(observer.elements.indexOf(window.document.querySelector('.promo-bar')), -1);
+    });
+});
@@ -0,0 +1,87 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div class="outer"><div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div></div>';
+
+describe('Runtime options', function(){
+    var window, page, sidebar;
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, {viewportHeight: 800, containerTop: 100, containerHeight: 2000,
+            sidebarHeight: 300, sidebarWidth: 250});
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20});
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('parses spacing and re-positions the affixed sidebar', function(){
+        page.scrollTo(200);
+        assert.strictEqual(sidebar.sidebarInner.style.top, '20px');
+
+        sidebar.setOptions({topSpacing: '80'});
+
+        assert.strictEqual(sidebar.options.topSpacing, 80);
+        assert.strictEqual(sidebar.sidebarInner.style.top, '80px');
+        assert.strictEqual(sidebar.dimensions.translateY, 180);
+    });
+
+    it('keeps options that are not given', function(){
+        sidebar.setOptions({bottomSpacing: 10});
+
+        assert.strictEqual(sidebar.options.topSpacing, 20);
+        assert.strictEqual(sidebar.options.bottomSpacing, 10);
+    });
+
+    it('swaps the container', function(){
+        sidebar.setOptions({containerSelector: '.outer'});
+
+        assert.strictEqual(sidebar.container, window.document.querySelector('.outer'));
+    });
+
+    it('swaps the sticky class of the affixed sidebar', function(){
+        page.scrollTo(200);
+        sidebar.setOptions({stickyClass: 'is-stuck'});
+
+        assert.ok(! sidebar.sidebar.classList.contains('is-affixed'));
+        assert.ok(sidebar.sidebar.classList.contains('is-stuck'));
+    });
+
+    it('disables and enables the sidebar', function(){
+        page.scrollTo(200);
+
+        sidebar.setOptions({enabled: false});
+        assert.strictEqual(sidebar.affixedType, 'STATIC');
+        assert.strictEqual(sidebar.sidebarInner.getAttribute('style'), null);
+
+        sidebar.setOptions({enabled: true});
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+    });
+
+    it('validates the new options', function(){
+        assert.throws(function(){
+            sidebar.setOptions({axis: 'z'});
+        }, /Invalid axis "z"/);
+
+        assert.throws(function(){
+            sidebar.setOptions({axis: 'x'});
+        }, /Option "axis" can not be changed after initialization/);
+
+        assert.strictEqual(sidebar.options.axis, 'y');
+    });
+
+    it('compares plain objects and arrays of options deeply', function(){
+        var isSameOptions = window.StickySidebar.isSameOptions, spacing = function(){ return 10; };
+
+        assert.ok(isSameOptions({responsive: {768: {topSpacing: 20}}}, {responsive: {768: {topSpacing: 20}}}));
+        assert.ok(isSameOptions({offsetElements: [window.document.body], topSpacing: spacing},
+            {offsetElements: [window.document.body], topSpacing: spacing}));
+        assert.ok(isSameOptions(undefined, {}));
+
+        assert.ok(! isSameOptions({responsive: {768: {topSpacing: 20}}}, {responsive: {768: {topSpacing: 30}}}));
+        assert.ok(! isSameOptions({responsive: {768: {}}}, {responsive: [{}]}));
+        assert.ok(! isSameOptions({topSpacing: spacing}, {topSpacing: function(){ return 10; }}));
+    });
+});
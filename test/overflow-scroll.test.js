@@ -0,0 +1,136 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky">' +
+    '<a class="item">One</a><a class="item">Two</a><a class="item">Three</a>' +
+    '</div></div></div>';
+
+describe('Scroll overflow mode', function(){
+    var window, page, sidebar;
+
+    function mount(options){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, {viewportHeight: 800, containerTop: 100, containerHeight: 2000,
+            sidebarHeight: 1500, sidebarWidth: 250});
+
+        sidebar = new window.StickySidebar('#sidebar', options);
+    }
+
+    // Place items inside the inner wrapper at the given offsets of its scrolled content.
+    function layoutItems(tops, height){
+        var inner = sidebar.sidebarInner;
+
+        inner.getBoundingClientRect = function(){
+            return {top: 20, bottom: 770, height: 750};
+        };
+
+        Array.prototype.forEach.call(inner.querySelectorAll('.item'), function(item, index){
+            item.getBoundingClientRect = function(){
+                var top = 20 + tops[index] - inner.scrollTop;
+                return {top: top, bottom: top + height, height: height};
+            };
+        });
+    }
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('pins the inner wrapper at top spacing with viewport max height', function(){
+        mount({topSpacing: 20, bottomSpacing: 30, overflowMode: 'scroll'});
+        page.scrollTo(200);
+
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+        assert.strictEqual(sidebar.sidebarInner.style.top, '20px');
+        assert.strictEqual(sidebar.sidebarInner.style.maxHeight, '750px');
+        assert.strictEqual(sidebar.sidebarInner.style.overflowY, 'auto');
+        assert.strictEqual(sidebar.sidebar.style.height, '750px');
+    });
+
+    it('stops at the container bottom by the limited height', function(){
+        mount({topSpacing: 20, bottomSpacing: 30, overflowMode: 'scroll'});
+        page.scrollTo(200);
+        page.scrollTo(1900);
+
+        assert.strictEqual(sidebar.affixedType, 'CONTAINER-BOTTOM');
+        assert.strictEqual(sidebar.dimensions.translateY, 1250);
+    });
+
+    it('scrolls the sidebar with the page in page overflow mode', function(){
+        mount({topSpacing: 20});
+        page.scrollTo(1200);
+
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-BOTTOM');
+        assert.strictEqual(sidebar.sidebarInner.style.maxHeight, '');
+    });
+
+    it('clears max height of scroll overflow mode when affixed in page overflow mode', function(){
+        mount({topSpacing: 20});
+        sidebar.sidebarInner.style.maxHeight = '750px';
+        sidebar.sidebarInner.style.overflowY = 'auto';
+        page.scrollTo(1200);
+
+        assert.strictEqual(sidebar.sidebarInner.style.maxHeight, '');
+        assert.strictEqual(sidebar.sidebarInner.style.overflowY, '');
+    });
+
+    it('makes the inner wrapper focusable until destroyed', function(){
+        mount({overflowMode: 'scroll'});
+
+        assert.strictEqual(sidebar.sidebarInner.getAttribute('tabindex'), '0');
+
+        sidebar.destroy();
+        assert.strictEqual(sidebar.sidebarInner.hasAttribute('tabindex'), false);
+    });
+
+    it('validates the overflow mode', function(){
+        window = helpers.createWindow(markup);
+        sidebar = {destroy: function(){}};
+
+        assert.throws(function(){
+            new window.StickySidebar('#sidebar', {overflowMode: 'hidden'});
+        }, /Invalid overflow mode "hidden"/);
+    });
+
+    describe('active item', function(){
+
+        beforeEach(function(){
+            mount({topSpacing: 20, bottomSpacing: 30, overflowMode: 'scroll', activeSelector: '.active'});
+        });
+
+        it('scrolls the inner wrapper down to the active item', function(){
+            layoutItems([0, 700, 1400], 50);
+            sidebar.sidebarInner.querySelectorAll('.item')[2].classList.add('active');
+
+            sidebar.scrollActiveIntoView();
+            assert.strictEqual(sidebar.sidebarInner.scrollTop, 700);
+        });
+
+        it('scrolls the inner wrapper up to the active item', function(){
+            layoutItems([0, 700, 1400], 50);
+            sidebar.sidebarInner.scrollTop = 900;
+            sidebar.sidebarInner.querySelectorAll('.item')[1].classList.add('active');
+
+            sidebar.scrollActiveIntoView();
+            assert.strictEqual(sidebar.sidebarInner.scrollTop, 700);
+        });
+
+        it('does not scroll when the active item is visible', function(){
+            layoutItems([0, 700, 1400], 50);
+            sidebar.sidebarInner.querySelectorAll('.item')[1].classList.add('active');
+
+            sidebar.scrollActiveIntoView();
+            assert.strictEqual(sidebar.sidebarInner.scrollTop, 0);
+        });
+
+        it('follows class changes of the items', function(done){
+            layoutItems([0, 700, 1400], 50);
+            sidebar.sidebarInner.querySelectorAll('.item')[2].classList.add('active');
+
+            setTimeout(function(){
+                assert.strictEqual(sidebar.sidebarInner.scrollTop, 700);
+                done();
+            });
+        });
+    });
+});
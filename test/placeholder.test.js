@@ -0,0 +1,59 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+
+describe('Placeholder', function(){
+    var window, page, sidebar, element, inner, observer, layout;
+
+    beforeEach(function(){
+        layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+
+        window = helpers.createWindow(markup, function(window){
+            window.ResizeObserver = helpers.FakeResizeObserver;
+        });
+        page = helpers.createPage(window, layout);
+        element = window.document.getElementById('sidebar');
+        inner = element.querySelector('.inner-wrapper-sticky');
+
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20});
+        observer = window.StickySidebar.getResizeObserver();
+        observer.resize(element, 250, 0);
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('keeps height of the sidebar while the inner wrapper is fixed', function(){
+        page.scrollTo(200);
+
+        assert.strictEqual(inner.style.position, 'fixed');
+        assert.strictEqual(element.style.height, '300px');
+        assert.strictEqual(element.style.width, '');
+    });
+
+    it('syncs width of the fixed inner wrapper when the column is resized', function(){
+        page.scrollTo(200);
+
+        layout.sidebarWidth = 320;
+        observer.resize(element, 320, 300);
+
+        assert.strictEqual(sidebar.dimensions.sidebarWidth, 320);
+        assert.strictEqual(inner.style.width, '320px');
+    });
+
+    it('ignores height changes of the placeholder', function(){
+        var calls = 0, updateSticky = sidebar.updateSticky;
+
+        sidebar.updateSticky = function(){
+            calls++;
+            return updateSticky.apply(this, arguments);
+        };
+
+        page.scrollTo(200);
+        observer.resize(element, 250, 300);
+
+        assert.strictEqual(calls, 0);
+    });
+});
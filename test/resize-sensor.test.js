@@ -0,0 +1,146 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+
+describe('Resize sensor', function(){
+
+    describe('with ResizeObserver', function(){
+        var window, observer, container, inner;
+
+        beforeEach(function(){
+            window = helpers.createWindow(markup, function(window){
+                window.ResizeObserver = helpers.FakeResizeObserver;
+            });
+            container = window.document.getElementById('container');
+            inner = window.document.querySelector('.inner-wrapper-sticky');
+        });
+
+        function getObserver(){
+            return window.StickySidebar.getResizeObserver();
+        }
+
+        it('observes the inner wrapper, the container and the sidebar', function(){
+            new window.StickySidebar('#sidebar');
+            observer = getObserver();
+
+            assert.deepStrictEqual(observer.elements, [inner, container, window.document.getElementById('sidebar')]);
+            assert.strictEqual(window.document.querySelectorAll('object').length, 0);
+            assert.strictEqual(container.style.position, '');
+        });
+
+        it('calls listeners only when the element size changes', function(){
+            var sidebar = new window.StickySidebar('#sidebar');
+            var calls = 0;
+
+            sidebar.addResizerListener(container, function(){ calls++; });
+            observer = getObserver();
+
+            observer.resize(container, 0, 0);
+            assert.strictEqual(calls, 0);
+
+            observer.resize(container, 100, 200);
+            assert.strictEqual(calls, 1);
+        });
+
+        it('detaches all listeners and sensors after destroy()', function(){
+            var sidebar = new window.StickySidebar('#sidebar');
+            observer = getObserver();
+
+            sidebar.destroy();
+
+            assert.strictEqual(observer.elements.length, 0);
+            assert.strictEqual(sidebar._resizeListeners.length, 0);
+            assert.strictEqual(container.resizeListeners, undefined);
+            assert.strictEqual(inner.resizeListeners, undefined);
+        });
+
+        it('does not update destroyed sidebar when its elements are resized', function(){
+            var sidebar = new window.StickySidebar('#sidebar');
+            var calls = 0;
+
+            observer = getObserver();
+            sidebar.calcDimensions = function(){ calls++; };
+            sidebar.destroy();
+
+            observer.elements.push(container);
+            observer.resize(container, 100, 200);
+            assert.strictEqual(calls, 0);
+        });
+
+        it('removes only the given callback of the element', function(){
+            var sidebar = new window.StickySidebar('#sidebar', {resizeSensor: false});
+            var first = 0, second = 0;
+            var firstCallback = function(){ first++; };
+
+            sidebar.addResizerListener(container, firstCallback);
+            sidebar.addResizerListener(container, function(){ second++; });
+            observer = getObserver();
+
+            sidebar.removeResizeListener(container, firstCallback);
+            observer.resize(container, 100, 200);
+
+            assert.strictEqual(first, 0);
+            assert.strictEqual(second, 1);
+            assert.deepStrictEqual(observer.elements, [container]);
+        });
+
+        it('keeps observing shared container until its last sidebar is destroyed', function(){
+            var html = '<div id="container"><div id="first"></div><div id="second"></div></div>';
+
+            window = helpers.createWindow(html, function(window){
+                window.ResizeObserver = helpers.FakeResizeObserver;
+            });
+            container = window.document.getElementById('container');
+
+            var first = new window.StickySidebar('#first');
+            var second = new window.StickySidebar('#second');
+            observer = getObserver();
+
+            first.destroy();
+            assert.notStrictEqual(observer.elements.indexOf(container), -1);
+            assert.strictEqual(container.resizeListeners.length, 1);
+
+            second.destroy();
+            assert.strictEqual(observer.elements.indexOf(container), -1);
+        });
+    });
+
+    describe('without ResizeObserver', function(){
+        var window, container;
+
+        beforeEach(function(){
+            window = helpers.createWindow(markup, function(window){
+                delete window.ResizeObserver;
+            });
+            container = window.document.getElementById('container');
+
+            // jsdom doesn't compute default styles, so set the static position explicitly.
+            container.style.position = 'static';
+        });
+
+        it('does not append the legacy sensor unless fallback is enabled', function(){
+            new window.StickySidebar('#sidebar');
+
+            assert.strictEqual(window.document.querySelectorAll('object').length, 0);
+            assert.strictEqual(container.style.position, 'static');
+        });
+
+        it('appends the legacy sensor when fallback is enabled', function(){
+            new window.StickySidebar('#sidebar', {resizeSensorFallback: true});
+
+            assert.strictEqual(window.document.querySelectorAll('object').length, 3);
+            assert.strictEqual(container.style.position, 'relative');
+        });
+
+        it('removes the legacy sensor and restores position after destroy()', function(){
+            var sidebar = new window.StickySidebar('#sidebar', {resizeSensorFallback: true});
+
+            sidebar.destroy();
+
+            assert.strictEqual(window.document.querySelectorAll('object').length, 0);
+            assert.strictEqual(container.style.position, 'static');
+            assert.strictEqual(container.resizeTrigger, undefined);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+
+describe('Responsive breakpoints', function(){
+    var window, width, mediaQueryLists, sidebar;
+
+    var responsive = {
+        0: {enabled: false},
+        768: {enabled: true, topSpacing: 60},
+        1200: {topSpacing: '100'}
+    };
+
+    // Supports only `(min-width: Npx)` queries that responsive numeric keys produce.
+    function resize(newWidth){
+        width = newWidth;
+        mediaQueryLists.forEach(function(mediaQueryList){
+            mediaQueryList.listeners.forEach(function(listener){ listener(mediaQueryList); });
+        });
+    }
+
+    beforeEach(function(){
+        sidebar = null;
+        width = 1024;
+        mediaQueryLists = [];
+
+        window = helpers.createWindow(markup, function(window){
+            window.matchMedia = function(query){
+                var minWidth = parseInt(query.match(/min-width: (\d+)px/)[1]);
+                var mediaQueryList = {
+                    listeners: [],
+                    get matches(){ return width >= minWidth; },
+                    addListener: function(listener){ this.listeners.push(listener); },
+                    removeListener: function(listener){
+                        this.listeners.splice(this.listeners.indexOf(listener), 1);
+                    }
+                };
+
+                mediaQueryLists.push(mediaQueryList);
+                return mediaQueryList;
+            };
+        });
+    });
+
+    afterEach(function(){
+        if( sidebar ) sidebar.destroy();
+    });
+
+    it('merges options of all matching breakpoints', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 10, responsive: responsive});
+
+        assert.strictEqual(sidebar.options.enabled, true);
+        assert.strictEqual(sidebar.options.topSpacing, 60);
+    });
+
+    it('parses spacing of breakpoint options', function(){
+        width = 1300;
+        sidebar = new window.StickySidebar('#sidebar', {responsive: responsive});
+
+        assert.strictEqual(sidebar.options.topSpacing, 100);
+    });
+
+    it('disables the sidebar in breakpoint with `enabled: false`', function(){
+        width = 500;
+        sidebar = new window.StickySidebar('#sidebar', {responsive: responsive});
+
+        assert.strictEqual(sidebar.options.enabled, false);
+        assert.strictEqual(sidebar._breakpoint, true);
+    });
+
+    it('switches options and fires breakpoint event when media changes', function(){
+        var events = [];
+
+        sidebar = new window.StickySidebar('#sidebar', {responsive: responsive});
+        sidebar.sidebar.addEventListener('breakpoint.sticky', function(event){
+            events.push(event.detail.breakpoints);
+        });
+
+        resize(1300);
+        assert.strictEqual(sidebar.options.topSpacing, 100);
+
+        resize(1250);
+        resize(600);
+        assert.strictEqual(sidebar._breakpoint, true);
+
+        assert.deepStrictEqual(events.map(function(breakpoints){ return breakpoints.join(); }),
+            ['0,768,1200', '0']);
+    });
+
+    it('replaces the container of breakpoint', function(){
+        var html = '<div id="outer"><div id="container"><div id="sidebar"></div></div></div>';
+
+        window.document.body.innerHTML = html;
+        sidebar = new window.StickySidebar('#sidebar', {responsive: {1200: {containerSelector: '#outer'}}});
+        assert.strictEqual(sidebar.container.id, 'container');
+
+        resize(1300);
+        assert.strictEqual(sidebar.container.id, 'outer');
+    });
+
+    it('rejects options that can not be changed after initialization', function(){
+        assert.throws(function(){
+            sidebar = new window.StickySidebar('#sidebar', {responsive: {768: {axis: 'x'}}});
+        }, /Option "axis" can not be changed by responsive breakpoint "768"/);
+
+        assert.throws(function(){
+            sidebar = new window.StickySidebar('#sidebar', {responsive: {1200: {overflowMode: 'scroll'}}});
+        }, /Option "overflowMode" can not be changed by responsive breakpoint "1200"/);
+
+        sidebar = new window.StickySidebar('#sidebar', {responsive: responsive});
+
+        assert.throws(function(){
+            sidebar.setOptions({responsive: {768: {scrollContainer: '#container'}}});
+        }, /Option "scrollContainer" can not be changed by responsive breakpoint "768"/);
+    });
+
+    it('validates values of breakpoint options', function(){
+        assert.throws(function(){
+            sidebar = new window.StickySidebar('#sidebar', {responsive: {768: {anchor: 'middle'}}});
+        }, /Invalid anchor "middle"/);
+
+        assert.throws(function(){
+            sidebar = new window.StickySidebar('#sidebar', {responsive: {1200: {transitionEasing: 'bounce'}}});
+        }, /Invalid transition easing "bounce"/);
+    });
+
+    it('swaps sticky class and stack group when media changes', function(){
+        var StickySidebar = window.StickySidebar;
+
+        sidebar = new StickySidebar('#sidebar', {responsive: {1200: {stickyClass: 'is-wide-sticky', stackGroup: 'wide'}}});
+        sidebar.sidebar.classList.add('is-affixed');
+
+        resize(1300);
+
+        assert.ok(sidebar.sidebar.classList.contains('is-wide-sticky'));
+        assert.ok(! sidebar.sidebar.classList.contains('is-affixed'));
+        assert.strictEqual(StickySidebar.stacks.wide.length, 1);
+        assert.strictEqual(StickySidebar.stacks.wide[0], sidebar);
+
+        resize(1000);
+
+        assert.ok(sidebar.sidebar.classList.contains('is-affixed'));
+        assert.strictEqual(StickySidebar.stacks.wide, undefined);
+    });
+
+    it('removes media query listeners on destroy()', function(){
+        sidebar = new window.StickySidebar('#sidebar', {responsive: responsive});
+        sidebar.destroy();
+
+        mediaQueryLists.forEach(function(mediaQueryList){
+            assert.strictEqual(mediaQueryList.listeners.length, 0);
+        });
+    });
+});
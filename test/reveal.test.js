@@ -0,0 +1,53 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+describe('Reveal mode', function(){
+    var window, sidebar;
+
+    beforeEach(function(){
+        window = helpers.createWindow('<div id="container"><div id="sidebar"></div></div>');
+        sidebar = new window.StickySidebar('#sidebar', {reveal: true, revealTolerance: 10});
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    function scroll(deltas){
+        var state = {affixedType: 'STATIC', scrollDistance: 0, revealTolerance: 10};
+
+        return deltas.map(function(delta){
+            var result = window.StickySidebar.computeReveal(delta, state);
+
+            state.affixedType = result.affixType;
+            state.scrollDistance = result.scrollDistance;
+            return result.affixType;
+        });
+    }
+
+    it('reveals the sidebar until scroll distance exceeds the tolerance', function(){
+        assert.deepStrictEqual(scroll([4, 4]), ['VIEWPORT-REVEALED', 'VIEWPORT-REVEALED']);
+    });
+
+    it('hides the sidebar when scrolling down', function(){
+        assert.deepStrictEqual(scroll([6, 6]), ['VIEWPORT-REVEALED', 'VIEWPORT-HIDDEN']);
+    });
+
+    it('keeps the sidebar hidden on small scroll up', function(){
+        assert.deepStrictEqual(scroll([20, -5]), ['VIEWPORT-HIDDEN', 'VIEWPORT-HIDDEN']);
+    });
+
+    it('reveals the sidebar when scrolling up', function(){
+        assert.deepStrictEqual(scroll([20, -5, -6]), ['VIEWPORT-HIDDEN', 'VIEWPORT-HIDDEN', 'VIEWPORT-REVEALED']);
+    });
+
+    it('slides the hidden sidebar out of the viewport', function(){
+        sidebar.dimensions.sidebarHeight = 200;
+        sidebar.dimensions.topSpacing = 20;
+
+        var style = sidebar._getStyle('VIEWPORT-HIDDEN');
+
+        assert.strictEqual(style.inner.position, 'fixed');
+        assert.ok(/^translate(3d)?\(0, -220px/.test(style.inner.transform) || -220 === style.inner.top);
+    });
+});
@@ -0,0 +1,143 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+var rtlStyle = '<style>html, #container, #sidebar { direction: rtl; }</style>';
+
+describe('Writing direction', function(){
+    var window, page, sidebar, events;
+
+    function mount(html, layout, options){
+        window = helpers.createWindow(html);
+        page = helpers.createPage(window, layout);
+        events = [];
+
+        ['left', 'right', 'container-left', 'container-right'].forEach(function(eventName){
+            window.document.getElementById('sidebar').addEventListener('affix.' + eventName + '.sticky', function(){
+                events.push(eventName);
+            });
+        });
+
+        if( layout.scrollType ) window.StickySidebar._rtlScrollType = layout.scrollType;
+        page.scrollX = layout.scrollX || 0;
+
+        sidebar = new window.StickySidebar('#sidebar', options);
+    }
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    describe('scroll offset', function(){
+        var element = {scrollWidth: 1500, clientWidth: 1000};
+
+        before(function(){
+            window = helpers.createWindow();
+            sidebar = {destroy: function(){}};
+        });
+
+        after(function(){
+            delete window.StickySidebar._rtlScrollType;
+        });
+
+        it('is counted from the left edge in all browsers', function(){
+            var StickySidebar = window.StickySidebar;
+
+            [['default', 200], ['negative', -300], ['reverse', 300]].forEach(function(test){
+                StickySidebar._rtlScrollType = test[0];
+                element.scrollLeft = test[1];
+
+                assert.strictEqual(StickySidebar.getScrollLeft(element, true), 200, test[0]);
+            });
+        });
+
+        it('is not changed in left-to-right', function(){
+            window.StickySidebar._rtlScrollType = 'negative';
+            element.scrollLeft = 200;
+
+            assert.strictEqual(window.StickySidebar.getScrollLeft(element, false), 200);
+        });
+    });
+
+    describe('vertical axis', function(){
+        var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300,
+            sidebarWidth: 250, containerLeft: 0, sidebarLeft: 700};
+
+        it('fixes the sidebar from the left edge in LTR', function(){
+            mount(markup, layout, {topSpacing: 20});
+            page.scrollTo(200);
+
+            assert.strictEqual(sidebar.sidebarInner.style.left, '700px');
+            assert.strictEqual(sidebar.sidebarInner.style.right, '');
+        });
+
+        it('fixes the sidebar from the right edge in RTL', function(){
+            mount(rtlStyle + markup, layout, {topSpacing: 20});
+            page.scrollTo(200);
+
+            assert.strictEqual(sidebar.sidebarInner.style.right, '74px');
+            assert.strictEqual(sidebar.sidebarInner.style.left, '');
+        });
+
+        ['default', 'negative', 'reverse'].forEach(function(scrollType){
+            it('follows horizontal scroll of the page in RTL with '+ scrollType +' scroll type', function(){
+                mount(rtlStyle + markup, {viewportHeight: 800, containerTop: 100, containerHeight: 2000,
+                    sidebarHeight: 300, sidebarWidth: 250, containerLeft: 500, sidebarLeft: 1200,
+                    documentWidth: 1524, scrollX: 500, scrollType: scrollType}, {topSpacing: 20});
+
+                page.scrollTo(200);
+                assert.strictEqual(sidebar.sidebarInner.style.right, '74px');
+
+                page.scrollTo(200, 300);
+                assert.strictEqual(sidebar.dimensions.viewportLeft, 300);
+                assert.strictEqual(sidebar.sidebarInner.style.right, '-126px');
+            });
+        });
+    });
+
+    describe('horizontal axis', function(){
+
+        it('sticks to the left edge and stops at the container right in LTR', function(){
+            mount(markup, {viewportHeight: 800, containerTop: 0, containerHeight: 800, sidebarHeight: 800,
+                sidebarWidth: 300, containerLeft: 124, containerWidth: 1900, documentWidth: 3024},
+                {axis: 'x', topSpacing: 20});
+
+            page.scrollTo(0, 300);
+            assert.strictEqual(sidebar.affixedType, 'VIEWPORT-LEFT');
+            assert.strictEqual(sidebar.dimensions.translateX, 196);
+            assert.strictEqual(sidebar.sidebarInner.style.left, '20px');
+
+            page.scrollTo(0, 2000);
+            assert.strictEqual(sidebar.affixedType, 'CONTAINER-RIGHT');
+            assert.strictEqual(sidebar.dimensions.translateX, 1600);
+            assert.ok(/\(1600px/.test(sidebar.sidebarInner.style.transform));
+
+            assert.deepStrictEqual(events, ['left', 'container-right']);
+        });
+
+        ['default', 'negative', 'reverse'].forEach(function(scrollType){
+            it('sticks to the right edge and stops at the container left in RTL with '+ scrollType +' scroll type', function(){
+                mount(rtlStyle + markup, {viewportHeight: 800, containerTop: 0, containerHeight: 800, sidebarHeight: 800,
+                    sidebarWidth: 300, containerLeft: 1000, containerWidth: 1900, sidebarLeft: 2600,
+                    documentWidth: 3024, scrollX: 2000, scrollType: scrollType}, {axis: 'x', topSpacing: 20});
+
+                assert.strictEqual(sidebar.affixedType, 'STATIC');
+
+                page.scrollTo(0, 1700);
+                assert.strictEqual(sidebar.affixedType, 'VIEWPORT-RIGHT');
+                assert.strictEqual(sidebar.dimensions.translateX, 196);
+                assert.strictEqual(sidebar.sidebarInner.style.right, '20px');
+
+                page.scrollTo(0, 0);
+                assert.strictEqual(sidebar.affixedType, 'CONTAINER-LEFT');
+                assert.strictEqual(sidebar.dimensions.translateX, 1600);
+                assert.ok(/-1600px/.test(sidebar.sidebarInner.style.transform));
+
+                page.scrollTo(0, 1700);
+                assert.strictEqual(sidebar.affixedType, 'VIEWPORT-RIGHT');
+
+                assert.deepStrictEqual(events, ['right', 'container-left', 'right']);
+            });
+        });
+    });
+});
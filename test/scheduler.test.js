@@ -0,0 +1,82 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="first"></div><div id="second"></div></div>';
+
+describe('Frame scheduler', function(){
+    var window, frames, first, second;
+
+    beforeEach(function(){
+        frames = [];
+        window = helpers.createWindow(markup, function(window){
+            window.requestAnimationFrame = function(callback){
+                return frames.push(callback);
+            };
+        });
+        first = new window.StickySidebar('#first');
+        second = new window.StickySidebar('#second');
+    });
+
+    afterEach(function(){
+        first.destroy();
+        second.destroy();
+    });
+
+    function spy(calls){
+        [first, second].forEach(function(stickySidebar, index){
+            var name = index ? 'second' : 'first';
+
+            stickySidebar._readPosition = function(){
+                calls.push('read ' + name);
+                return {affixType: 'STATIC', style: {inner: {}, outer: {}}};
+            };
+            stickySidebar._writePosition = function(){
+                calls.push('write ' + name);
+            };
+        });
+    }
+
+    it('requests one frame for many scroll events', function(){
+        var calls = [];
+        spy(calls);
+
+        window.dispatchEvent(new window.Event('scroll'));
+        window.dispatchEvent(new window.Event('scroll'));
+
+        assert.strictEqual(frames.length, 1);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('reads all sidebars before writing any of them', function(){
+        var calls = [];
+        spy(calls);
+
+        window.dispatchEvent(new window.Event('scroll'));
+        frames.shift()();
+
+        assert.deepStrictEqual(calls, ['read first', 'read second', 'write first', 'write second']);
+    });
+
+    it('skips destroyed sidebars', function(){
+        var calls = [];
+        spy(calls);
+
+        window.dispatchEvent(new window.Event('scroll'));
+        first.destroy();
+        frames.shift()();
+
+        assert.deepStrictEqual(calls, ['read second', 'write second']);
+    });
+
+    it('measures cost of the frames', function(){
+        var scheduler = window.StickySidebar.scheduler;
+
+        scheduler.resetStats();
+        window.dispatchEvent(new window.Event('scroll'));
+        frames.shift()();
+
+        assert.strictEqual(scheduler.stats.frames, 1);
+        assert.ok(scheduler.stats.lastDuration >= 0);
+        assert.strictEqual(scheduler.stats.averageDuration, scheduler.stats.totalDuration);
+    });
+});
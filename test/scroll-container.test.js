@@ -0,0 +1,171 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="pane"><div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div></div>';
+
+describe('Scroll container', function(){
+    var window, pane, sidebar, frames, layout;
+
+    // Pane has 2px border, the container is placed in the scrolled content of the pane.
+    function rect(top, height, left, width){
+        var paneTop = layout.paneTop + 2 - layout.scrollTop, paneLeft = layout.paneLeft + 2;
+        return {top: paneTop + top, bottom: paneTop + top + height, height: height,
+            left: paneLeft + left, right: paneLeft + left + width, width: width};
+    }
+
+    function define(object, property, getter){
+        Object.defineProperty(object, property, {get: getter, configurable: true});
+    }
+
+    function scrollPane(y){
+        layout.scrollTop = y;
+        pane.dispatchEvent(new window.Event('scroll'));
+        frames.splice(0).forEach(function(callback){ callback(); });
+    }
+
+    beforeEach(function(){
+        layout = {paneTop: 50, paneLeft: 20, paneHeight: 600, scrollTop: 0};
+        frames = [];
+
+        window = helpers.createWindow(markup, function(window){
+            window.ResizeObserver = helpers.FakeResizeObserver;
+        });
+        pane = window.document.getElementById('pane');
+
+        var container = window.document.getElementById('container'),
+            sidebarElement = window.document.getElementById('sidebar');
+
+        define(window, 'innerHeight', function(){ return 800; });
+        define(window.document.documentElement, 'clientHeight', function(){ return 800; });
+
+        pane.getBoundingClientRect = function(){
+            return {top: layout.paneTop, bottom: layout.paneTop + layout.paneHeight + 4, height: layout.paneHeight + 4,
+                left: layout.paneLeft, right: layout.paneLeft + 804, width: 804};
+        };
+        define(pane, 'clientTop', function(){ return 2; });
+        define(pane, 'clientLeft', function(){ return 2; });
+        define(pane, 'clientHeight', function(){ return layout.paneHeight; });
+        define(pane, 'clientWidth', function(){ return 800; });
+        define(pane, 'scrollTop', function(){ return layout.scrollTop; });
+
+        container.getBoundingClientRect = function(){ return rect(100, 2000, 10, 700); };
+        sidebarElement.getBoundingClientRect = function(){ return rect(100, 300, 10, 250); };
+        sidebarElement.querySelector('.inner-wrapper-sticky').getBoundingClientRect = function(){ return rect(100, 300, 10, 250); };
+        define(sidebarElement, 'offsetWidth', function(){ return 250; });
+
+        window.requestAnimationFrame = function(callback){
+            return frames.push(callback);
+        };
+
+        sidebar = new window.StickySidebar('#sidebar', {scrollContainer: '#pane', topSpacing: 10});
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('gets offsets relative to the scrolled content of the pane', function(){
+        scrollPane(300);
+
+        var offset = sidebar._getOffset(window.document.getElementById('container'));
+
+        assert.strictEqual(offset.top, 100);
+        assert.strictEqual(offset.left, 10);
+        assert.strictEqual(sidebar.dimensions.viewportTop, 300);
+    });
+
+    it('calculates distances between the pane viewport and the screen viewport', function(){
+        sidebar._calcViewportOffsets();
+
+        assert.strictEqual(sidebar.dimensions.viewportOffsetTop, 52);
+        assert.strictEqual(sidebar.dimensions.viewportOffsetLeft, 22);
+        assert.strictEqual(sidebar.dimensions.viewportOffsetBottom, 800 - (52 + 600));
+        assert.strictEqual(sidebar.dimensions.viewportOffsetRight, 1024 - (22 + 800));
+    });
+
+    it('places the fixed sidebar inside the scrolled pane', function(){
+        scrollPane(200);
+
+        var style = sidebar.sidebarInner.style;
+
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+        assert.strictEqual(style.position, 'fixed');
+        assert.strictEqual(style.top, '62px');
+        assert.strictEqual(style.left, '32px');
+    });
+
+    it('measures offset elements against the pane viewport', function(){
+        var header = window.document.createElement('header'), toolbar = window.document.createElement('div');
+
+        sidebar.destroy();
+
+        // Fixed header of the page above the pane, and toolbar fixed over the top of the pane.
+        [[header, 0, 50], [toolbar, 52, 30]].forEach(function(item){
+            item[0].style.position = 'fixed';
+            item[0].getBoundingClientRect = function(){
+                return {top: item[1], bottom: item[1] + item[2], height: item[2], left: 0, right: 800, width: 800};
+            };
+            define(item[0], 'offsetHeight', function(){ return item[2]; });
+            define(item[0], 'offsetWidth', function(){ return 800; });
+            window.document.body.appendChild(item[0]);
+        });
+        toolbar.className = 'toolbar';
+        header.className = 'header';
+
+        sidebar = new window.StickySidebar('#sidebar', {scrollContainer: '#pane', topSpacing: 10, offsetElements: '.header, .toolbar'});
+
+        assert.strictEqual(sidebar.dimensions.topSpacing, 40);
+        assert.strictEqual(sidebar.dimensions.bottomSpacing, 0);
+    });
+
+    it('updates the viewport when the pane is resized', function(){
+        var observer = window.StickySidebar.getResizeObserver();
+
+        assert.notStrictEqual(observer.elements.indexOf(pane), -1);
+
+        layout.paneHeight = 400;
+        observer.resize(pane, 800, 400);
+
+        assert.strictEqual(sidebar.dimensions.viewportHeight, 400);
+        assert.strictEqual(sidebar.dimensions.viewportOffsetBottom, 800 - (52 + 400));
+    });
+
+    it('listens to the container once when it is the scroll container', function(){
+        var observer = window.StickySidebar.getResizeObserver(), scheduled = 0;
+        var schedule = window.StickySidebar.scheduler.schedule;
+
+        sidebar.destroy();
+        sidebar = new window.StickySidebar('#sidebar', {scrollContainer: '#container'});
+
+        var container = window.document.getElementById('container');
+
+        assert.strictEqual(sidebar.container, container);
+        assert.strictEqual(container.resizeListeners.filter(function(callback){
+            return callback === sidebar.updateSticky;
+        }).length, 1);
+
+        window.StickySidebar.scheduler.schedule = function(){ scheduled++; };
+        container.dispatchEvent(new window.Event('scroll'));
+        window.StickySidebar.scheduler.schedule = schedule;
+
+        assert.strictEqual(scheduled, 1);
+
+        // The container keeps being observed as the scroll container when it's replaced.
+        sidebar.setOptions({containerSelector: '#pane'});
+
+        assert.strictEqual(sidebar.container, pane);
+        assert.strictEqual(container.resizeListeners.length, 1);
+        assert.notStrictEqual(observer.elements.indexOf(pane), -1);
+
+        sidebar.destroy();
+        assert.strictEqual(observer.elements.indexOf(container), -1);
+    });
+
+    it('stops observing the pane when destroyed', function(){
+        var observer = window.StickySidebar.getResizeObserver();
+
+        sidebar.destroy();
+
+        assert.strictEqual(observer.elements.indexOf(pane), -1);
+    });
+});
@@ -0,0 +1,188 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+var eventNames = ['static', 'top', 'bottom', 'unbottom', 'container-bottom'];
+
+describe('Scrolling', function(){
+    var window, page, sidebar, events;
+
+    function mount(layout, options){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, layout);
+        events = [];
+
+        var element = window.document.getElementById('sidebar');
+
+        eventNames.forEach(function(eventName){
+            element.addEventListener('affix.' + eventName + '.sticky', function(event){
+                events.push(event.detail.type);
+            });
+        });
+
+        sidebar = new window.StickySidebar('#sidebar', options);
+    }
+
+    // Scroll to every position and collect affix type, translate and events of each step.
+    function scrollSteps(positions){
+        return positions.map(function(y){
+            events = [];
+            page.scrollTo(y);
+
+            return {
+                y: y,
+                affixType: sidebar.affixedType,
+                translateY: sidebar.dimensions.translateY,
+                events: events
+            };
+        });
+    }
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    describe('sidebar that fits the viewport', function(){
+
+        beforeEach(function(){
+            mount({viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250},
+                {topSpacing: 20});
+        });
+
+        it('goes through static, viewport top and container bottom', function(){
+            assert.deepStrictEqual(scrollSteps([200, 1900, 1000, 50]), [
+                {y: 200, affixType: 'VIEWPORT-TOP', translateY: 120, events: ['VIEWPORT-TOP']},
+                {y: 1900, affixType: 'CONTAINER-BOTTOM', translateY: 1700, events: ['CONTAINER-BOTTOM']},
+                {y: 1000, affixType: 'VIEWPORT-TOP', translateY: 920, events: ['VIEWPORT-TOP']},
+                {y: 50, affixType: 'STATIC', translateY: 0, events: ['STATIC']}
+            ]);
+        });
+
+        it('fixes the inner wrapper at top spacing', function(){
+            page.scrollTo(200);
+
+            assert.strictEqual(sidebar.sidebarInner.style.position, 'fixed');
+            assert.strictEqual(sidebar.sidebarInner.style.top, '20px');
+            assert.strictEqual(sidebar.sidebarInner.style.width, '250px');
+            assert.strictEqual(sidebar.sidebar.style.height, '300px');
+        });
+
+        it('translates the inner wrapper at container bottom', function(){
+            page.scrollTo(1900);
+
+            assert.ok(/translate(3d)?\(0(px)?, 1700px/.test(sidebar.sidebarInner.style.transform),
+                sidebar.sidebarInner.style.transform);
+        });
+
+        it('toggles the sticky class', function(){
+            page.scrollTo(200);
+            assert.ok(sidebar.sidebar.classList.contains('is-affixed'));
+
+            page.scrollTo(50);
+            assert.ok(! sidebar.sidebar.classList.contains('is-affixed'));
+            assert.strictEqual(sidebar.sidebarInner.style.position, 'relative');
+        });
+    });
+
+    describe('affix events', function(){
+
+        beforeEach(function(){
+            mount({viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250},
+                {topSpacing: 20});
+        });
+
+        it('dispatches affix and affixed events with previous type, type and dimensions', function(){
+            var details = [];
+
+            ['affix.top.sticky', 'affixed.top.sticky'].forEach(function(eventName){
+                sidebar.sidebar.addEventListener(eventName, function(event){
+                    details.push({name: eventName, previousType: event.detail.previousType,
+                        type: event.detail.type, translateY: event.detail.dimensions.translateY});
+                });
+            });
+
+            page.scrollTo(200);
+
+            assert.deepStrictEqual(details, [
+                {name: 'affix.top.sticky', previousType: 'STATIC', type: 'VIEWPORT-TOP', translateY: 120},
+                {name: 'affixed.top.sticky', previousType: 'STATIC', type: 'VIEWPORT-TOP', translateY: 120}
+            ]);
+        });
+
+        it('cancels the style change when affix event is prevented', function(){
+            var affixed = 0;
+
+            sidebar.sidebar.addEventListener('affix.top.sticky', function(event){
+                event.preventDefault();
+            });
+            sidebar.sidebar.addEventListener('affixed.top.sticky', function(){
+                affixed++;
+            });
+
+            page.scrollTo(200);
+
+            assert.strictEqual(affixed, 0);
+            assert.notStrictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+            assert.notStrictEqual(sidebar.sidebarInner.style.position, 'fixed');
+            assert.ok(! sidebar.sidebar.classList.contains('is-affixed'));
+        });
+
+        it('keeps dimensions of the previous affix when affix event is prevented', function(){
+            var prevent = true, dimensions = sidebar.dimensions;
+
+            sidebar.sidebar.addEventListener('affix.top.sticky', function(event){
+                if( prevent ) event.preventDefault();
+            });
+
+            page.scrollTo(200);
+
+            assert.strictEqual(dimensions.translateY, 0);
+            assert.strictEqual(dimensions.lastViewportTop, 0);
+            assert.strictEqual(dimensions.scrollDistance, 0);
+
+            // The affix is tried again on next scroll.
+            prevent = false;
+            page.scrollTo(210);
+
+            assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+            assert.strictEqual(dimensions.translateY, 130);
+            assert.strictEqual(dimensions.lastViewportTop, 210);
+        });
+
+        it('names the events after affix types', function(){
+            var StickySidebar = window.StickySidebar;
+
+            assert.strictEqual(StickySidebar.getEventName('STATIC'), 'static');
+            assert.strictEqual(StickySidebar.getEventName('VIEWPORT-TOP'), 'top');
+            assert.strictEqual(StickySidebar.getEventName('VIEWPORT-BOTTOM'), 'bottom');
+            assert.strictEqual(StickySidebar.getEventName('VIEWPORT-UNBOTTOM'), 'unbottom');
+            assert.strictEqual(StickySidebar.getEventName('CONTAINER-BOTTOM'), 'container-bottom');
+        });
+    });
+
+    describe('sidebar that is taller than the viewport', function(){
+
+        beforeEach(function(){
+            mount({viewportHeight: 800, containerTop: 100, containerHeight: 3000, sidebarHeight: 1200, sidebarWidth: 250});
+        });
+
+        it('follows the viewport bottom when scrolling down and the top when scrolling up', function(){
+            assert.deepStrictEqual(scrollSteps([300, 600, 2500, 2000, 1800, 50]), [
+                {y: 300, affixType: 'VIEWPORT-UNBOTTOM', translateY: 0, events: ['VIEWPORT-UNBOTTOM']},
+                {y: 600, affixType: 'VIEWPORT-BOTTOM', translateY: 100, events: ['VIEWPORT-BOTTOM']},
+                {y: 2500, affixType: 'CONTAINER-BOTTOM', translateY: 1800, events: ['CONTAINER-BOTTOM']},
+                {y: 2000, affixType: 'VIEWPORT-UNBOTTOM', translateY: 1800, events: ['VIEWPORT-UNBOTTOM']},
+                {y: 1800, affixType: 'VIEWPORT-TOP', translateY: 1700, events: ['VIEWPORT-TOP']},
+                {y: 50, affixType: 'STATIC', translateY: 0, events: ['STATIC']}
+            ]);
+        });
+
+        it('fixes the inner wrapper at viewport bottom', function(){
+            scrollSteps([300, 600]);
+
+            assert.strictEqual(sidebar.sidebarInner.style.position, 'fixed');
+            assert.strictEqual(sidebar.sidebarInner.style.bottom, '0px');
+            assert.strictEqual(sidebar.sidebarInner.style.top, 'auto');
+        });
+    });
+});
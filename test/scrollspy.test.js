@@ -0,0 +1,180 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container">' +
+    '<div id="sidebar"><div class="inner-wrapper-sticky"><nav>' +
+        '<a href="#intro">Intro</a><a href="#usage"><span>Usage</span></a><a href="#api">API</a>' +
+        '<a href="#missing">Missing</a><a href="other.html#usage">Other page</a>' +
+    '</nav></div></div>' +
+    '<div class="content"><section id="intro"></section><section id="usage"></section><section id="api"></section></div>' +
+'</div>';
+
+var sections = {intro: 100, usage: 900, api: 1600};
+
+describe('Scrollspy', function(){
+    var window, document, page, sidebar, events, scrolls;
+
+    function link(id){
+        return document.querySelector('nav a[href="#'+ id +'"]');
+    }
+
+    function click(element, init){
+        var event = new window.MouseEvent('click', window.StickySidebar.extend({bubbles: true, cancelable: true}, init));
+
+        element.dispatchEvent(event);
+        return event;
+    }
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        document = window.document;
+        page = helpers.createPage(window, {viewportHeight: 800, containerTop: 100, containerHeight: 2000,
+            sidebarHeight: 300, sidebarWidth: 250});
+
+        events = [];
+        scrolls = [];
+
+        Object.keys(sections).forEach(function(id){
+            var section = document.getElementById(id);
+
+            Object.defineProperty(section, 'offsetHeight', {value: 600, configurable: true});
+            section.getBoundingClientRect = function(){
+                return {top: sections[id] - page.scrollY, left: 0, height: 600, width: 700};
+            };
+        });
+
+        Object.defineProperty(document.documentElement, 'scrollHeight', {value: 2200, configurable: true});
+
+        window.scrollTo = function(options){
+            scrolls.push(options);
+        };
+
+        document.getElementById('sidebar').addEventListener('activate.sticky', function(event){
+            events.push(event.detail.section.id + ':' + (event.detail.previousLink ? event.detail.previousLink.hash : null));
+        });
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('activates the link of the last section that reached top spacing', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, scrollSpy: true});
+
+        assert.strictEqual(document.querySelector('.active'), null);
+
+        page.scrollTo(80);
+        assert.ok(link('intro').classList.contains('active'));
+
+        page.scrollTo(878);
+        assert.ok(link('intro').classList.contains('active'));
+
+        page.scrollTo(879);
+        assert.ok(link('usage').classList.contains('active'));
+        assert.strictEqual(document.querySelectorAll('.active').length, 1);
+
+        page.scrollTo(50);
+        assert.strictEqual(document.querySelector('.active'), null);
+
+        assert.deepStrictEqual(events, ['intro:null', 'usage:#intro']);
+    });
+
+    it('counts offset of fixed elements in top spacing', function(){
+        var header = document.createElement('header');
+
+        header.style.position = 'fixed';
+        Object.defineProperty(header, 'offsetHeight', {value: 60});
+        document.body.insertBefore(header, document.body.firstChild);
+
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, offsetElements: 'header', scrollSpy: true});
+        page.scrollTo(820);
+
+        assert.ok(link('usage').classList.contains('active'));
+    });
+
+    it('activates the last section at the end of the page', function(){
+        sidebar = new window.StickySidebar('#sidebar', {scrollSpy: true});
+        page.scrollTo(1400);
+
+        assert.ok(link('api').classList.contains('active'));
+    });
+
+    it('uses the given links and active class', function(){
+        sidebar = new window.StickySidebar('#sidebar', {scrollSpy: 'a[href="#api"]', scrollSpyClass: 'is-current'});
+        page.scrollTo(1000);
+
+        assert.strictEqual(document.querySelector('.is-current'), null);
+
+        page.scrollTo(1600);
+        assert.ok(link('api').classList.contains('is-current'));
+    });
+
+    it('moves the active class when options are changed', function(){
+        sidebar = new window.StickySidebar('#sidebar', {scrollSpy: true});
+        page.scrollTo(1000);
+
+        sidebar.setOptions({scrollSpyClass: 'is-current'});
+        assert.ok(link('usage').classList.contains('is-current'));
+        assert.strictEqual(document.querySelector('.active'), null);
+
+        sidebar.setOptions({scrollSpy: false});
+        assert.strictEqual(document.querySelector('.is-current'), null);
+        assert.deepStrictEqual(events, ['usage:null']);
+    });
+
+    it('scrolls smoothly to the section below top spacing when a link is clicked', function(){
+        var urls = [];
+
+        // Documents of jsdom without URL can't push history.
+        window.history.pushState = function(state, title, url){
+            urls.push(url);
+        };
+
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, scrollSpy: true});
+
+        var event = click(link('usage').firstChild);
+
+        assert.strictEqual(event.defaultPrevented, true);
+        assert.strictEqual(scrolls.length, 1);
+        assert.strictEqual(scrolls[0].top, 880);
+        assert.strictEqual(scrolls[0].behavior, 'smooth');
+        assert.deepStrictEqual(urls, ['#usage']);
+    });
+
+    it('scrolls instantly when reduced motion is preferred', function(){
+        window.matchMedia = function(query){
+            return {matches: '(prefers-reduced-motion: reduce)' === query, addListener: function(){}, removeListener: function(){}};
+        };
+
+        window.history.pushState = function(){};
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, scrollSpy: true});
+        window.scrollTo = function(x, y){
+            scrolls.push([x, y]);
+        };
+
+        click(link('api'));
+        assert.deepStrictEqual(scrolls, [[0, 1580]]);
+    });
+
+    it('leaves other links and modified clicks to the browser', function(){
+        sidebar = new window.StickySidebar('#sidebar', {scrollSpy: true});
+
+        document.querySelector('a[href="other.html#usage"]').addEventListener('click', function(event){
+            assert.strictEqual(event.defaultPrevented, false);
+            event.preventDefault();
+        });
+
+        click(document.querySelector('a[href="other.html#usage"]'));
+        assert.strictEqual(click(link('missing')).defaultPrevented, false);
+        assert.strictEqual(click(link('usage'), {ctrlKey: true}).defaultPrevented, false);
+        assert.deepStrictEqual(scrolls, []);
+    });
+
+    it('removes the active class on destroy', function(){
+        sidebar = new window.StickySidebar('#sidebar', {scrollSpy: true});
+        page.scrollTo(1000);
+        sidebar.destroy();
+
+        assert.strictEqual(document.querySelector('.active'), null);
+    });
+});
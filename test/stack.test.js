@@ -0,0 +1,61 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container">' +
+    '<div id="toc"><div class="inner-wrapper-sticky"></div></div>' +
+    '<div id="ad"><div class="inner-wrapper-sticky"></div></div>' +
+'</div>';
+
+describe('Stack group', function(){
+    var window, toc, ad;
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+
+        // Create the instances in reverse order, the registry sorts them in document order.
+        ad = new window.StickySidebar('#ad', {stackGroup: 'column', topSpacing: 20});
+        toc = new window.StickySidebar('#toc', {stackGroup: 'column', topSpacing: 20});
+
+        toc.dimensions.sidebarHeight = 300;
+        toc.dimensions.containerBottom = 2000;
+    });
+
+    afterEach(function(){
+        toc.destroy();
+        ad.destroy();
+    });
+
+    it('registers the sidebars in document order', function(){
+        var stack = window.StickySidebar.stacks.column;
+
+        assert.strictEqual(stack.length, 2);
+        assert.strictEqual(stack[0], toc);
+        assert.strictEqual(stack[1], ad);
+    });
+
+    it('keeps the spacing of the first sidebar', function(){
+        toc.dimensions.viewportTop = 500;
+        assert.strictEqual(toc._getStackSpacing(20), 20);
+    });
+
+    it('sticks the next sidebar below bottom edge of the previous one', function(){
+        ad.dimensions.viewportTop = 500;
+        assert.strictEqual(ad._getStackSpacing(20), 320);
+    });
+
+    it('moves the next sidebar up when the previous one is pushed out by its container', function(){
+        ad.dimensions.viewportTop = 1800;
+        assert.strictEqual(ad._getStackSpacing(20), 200);
+
+        ad.dimensions.viewportTop = 2100;
+        assert.strictEqual(ad._getStackSpacing(20), 20);
+    });
+
+    it('removes the sidebars from the registry on destroy()', function(){
+        toc.destroy();
+        assert.strictEqual(window.StickySidebar.stacks.column.length, 1);
+
+        ad.destroy();
+        assert.strictEqual(window.StickySidebar.stacks.column, undefined);
+    });
+});
@@ -0,0 +1,184 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var markup = '<div id="container"><div id="sidebar"><div class="inner-wrapper-sticky"></div></div></div>';
+var layout = {viewportHeight: 800, containerTop: 100, containerHeight: 2000, sidebarHeight: 300, sidebarWidth: 250};
+
+describe('Affix transition', function(){
+    var window, page, sidebar, inner, time;
+
+    // Sum of vertical translations of the transform.
+    function translateY(transform){
+        var y = 0, pattern = /translate(?:3d)?\([^,]+,\s*(-?[\d.]+)px/g, match;
+
+        while( (match = pattern.exec(transform || '')) ) y += parseFloat(match[1]);
+        return y;
+    }
+
+    function offset(){
+        var transform = inner.style.transform;
+        return translateY(transform) - translateY(sidebar._transition ? sidebar._transition.transform : transform);
+    }
+
+    beforeEach(function(){
+        window = helpers.createWindow(markup);
+        page = helpers.createPage(window, layout);
+        inner = window.document.querySelector('.inner-wrapper-sticky');
+        time = 0;
+
+        window.StickySidebar.now = function(){ return time; };
+
+        // Position of the inner wrapper follows its inline style.
+        inner.getBoundingClientRect = function(){
+            var style = inner.style, top;
+
+            if( 'fixed' === style.position )
+                top = 'auto' === style.top ? layout.viewportHeight - parseFloat(style.bottom) - layout.sidebarHeight : parseFloat(style.top);
+            else
+                top = layout.containerTop - page.scrollY;
+
+            top += translateY(style.transform);
+            return {top: top, bottom: top + layout.sidebarHeight, height: layout.sidebarHeight,
+                left: 0, right: layout.sidebarWidth, width: layout.sidebarWidth};
+        };
+    });
+
+    afterEach(function(){
+        sidebar.destroy();
+    });
+
+    it('jumps between affix types by default', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20});
+        page.scrollTo(500);
+
+        assert.strictEqual(inner.style.transform, '');
+        assert.strictEqual(inner.getBoundingClientRect().top, 20);
+    });
+
+    it('eases from the previous position to the new one', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true});
+        page.scrollTo(500);
+
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+        assert.strictEqual(inner.style.position, 'fixed');
+        assert.strictEqual(inner.getBoundingClientRect().top, -400);
+
+        time = 125;
+        page.nextFrame();
+        assert.strictEqual(offset(), -52.5);
+
+        time = 250;
+        page.nextFrame();
+        assert.strictEqual(inner.style.transform, '');
+        assert.strictEqual(inner.getBoundingClientRect().top, 20);
+        assert.strictEqual(sidebar._transition, null);
+    });
+
+    it('uses the given duration and easing', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true,
+            transitionDuration: 100, transitionEasing: 'linear'});
+        page.scrollTo(500);
+
+        time = 25;
+        page.nextFrame();
+        assert.strictEqual(offset(), -315);
+
+        time = 100;
+        page.nextFrame();
+        assert.strictEqual(inner.style.transform, '');
+    });
+
+    it('keeps the sidebar within its container while easing', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true,
+            transitionEasing: function(progress){ return progress < 1 ? -1 : 1; }});
+
+        page.scrollTo(2000);
+        assert.strictEqual(sidebar.affixedType, 'CONTAINER-BOTTOM');
+        assert.strictEqual(inner.getBoundingClientRect().top, 100 - 2000);
+
+        time = 250;
+        page.nextFrame();
+        assert.ok(/^translate(3d)?\(0(px)?, 1700px(, 0(px)?)?\)$/.test(inner.style.transform), inner.style.transform);
+
+        // The eased offset moves the sidebar below the container, it's held at its bottom edge.
+        page.scrollTo(1500);
+        assert.strictEqual(sidebar.affixedType, 'VIEWPORT-TOP');
+        assert.strictEqual(offset(), 280);
+        assert.strictEqual(inner.getBoundingClientRect().bottom, layout.containerTop + layout.containerHeight - 1500);
+
+        time = 500;
+        page.nextFrame();
+        assert.strictEqual(inner.getBoundingClientRect().top, 20);
+    });
+
+    it('starts a new transition from the current position', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true, transitionEasing: 'linear'});
+        page.scrollTo(500);
+
+        time = 125;
+        page.nextFrame();
+        assert.strictEqual(inner.getBoundingClientRect().top, -190);
+
+        page.scrollTo(1850);
+        assert.strictEqual(sidebar.affixedType, 'CONTAINER-BOTTOM');
+        assert.strictEqual(inner.getBoundingClientRect().top, -190);
+    });
+
+    it('reads the position of the inner wrapper and the scroll only in the read phase', function(){
+        var writing = false, getBoundingClientRect = inner.getBoundingClientRect;
+
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true, transitionEasing: 'linear'});
+
+        var writePosition = sidebar._writePosition, getScrollTop = sidebar._getScrollTop;
+
+        sidebar._writePosition = function(){
+            writing = true;
+            writePosition.apply(this, arguments);
+            writing = false;
+        };
+        inner.getBoundingClientRect = function(){
+            assert.ok(! writing, 'Layout is read in the write phase.');
+            return getBoundingClientRect.apply(this, arguments);
+        };
+        sidebar._getScrollTop = function(){
+            assert.ok(! writing, 'Scroll position is read in the write phase.');
+            return getScrollTop.apply(this, arguments);
+        };
+
+        page.scrollTo(500);
+        assert.strictEqual(offset(), -420);
+
+        page.scrollTo(1850);
+        assert.strictEqual(sidebar.affixedType, 'CONTAINER-BOTTOM');
+        assert.strictEqual(getBoundingClientRect.call(inner).top, -400);
+    });
+
+    it('jumps when the user prefers reduced motion', function(){
+        window.matchMedia = function(query){
+            return {matches: '(prefers-reduced-motion: reduce)' === query, addListener: function(){}, removeListener: function(){}};
+        };
+
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true});
+        page.scrollTo(500);
+
+        assert.strictEqual(inner.getBoundingClientRect().top, 20);
+    });
+
+    it('stops the transition on destroy', function(){
+        sidebar = new window.StickySidebar('#sidebar', {topSpacing: 20, transition: true});
+        page.scrollTo(500);
+        sidebar.destroy();
+
+        time = 125;
+        page.nextFrame();
+        assert.strictEqual(inner.style.transform, '');
+    });
+
+    it('throws on unknown easing', function(){
+        sidebar = {destroy: function(){}};
+
+        assert.throws(function(){
+            new window.StickySidebar('#sidebar', {transition: true, transitionEasing: 'bounce'});
+        }, /Invalid transition easing "bounce"/);
+    });
+});